@@ -1,25 +1,51 @@
 import {
   storyListener,
   fetchStoryFiles,
+  fetchAlbumFiles,
+  getAlbumFirstMedia,
+  getAlbumId,
+  getAlbumDownloadId,
   getAttachmentCount,
   getDownloadCount,
   getCreateTime,
   isStoryPost,
+  isStoryEdited,
   getStoryPostId,
   getStoryMessage,
   getStoryId,
+  getStoryMetrics,
+  getStorySourcePostUrl,
+  getStoryUrl,
 } from "./story.js";
 import { React, ReactDOM } from "./react.js";
 import { useDownloadButtonInjection } from "./download-button.js";
+import { loadSettings, saveSettings } from "./settings.js";
+import {
+  GraphqlRequestError,
+  getRecordedTraffic,
+  isBlockingError,
+  setTrafficRecording,
+} from "./graphql.js";
+import { renderHar } from "./har.js";
+import { MAX_REQUESTS_PER_MINUTE, setRateLimit } from "./scheduler.js";
+import { PREVIEW_CONTEXT, renderTemplate, validateTemplate } from "./naming.js";
 
 /**
  * @typedef {import('./types').Story} Story
+ * @typedef {import('./types').Album} Album
+ * @typedef {import('./types').MediaId} MediaId
+ * @typedef {import('./types').StoryFile} StoryFile
+ * @typedef {import('./types').Settings} Settings
+ * @typedef {import('./types').NamingTemplateKind} NamingTemplateKind
  * @typedef {import('./types').AppMessage} AppMessage
  * @typedef {import('./types').ChromeMessage} ChromeMessage
  */
 
 const { useState, useEffect, useCallback, useMemo, useRef } = React;
 
+/** Choices for the request rate setting. */
+const REQUESTS_PER_MINUTE_OPTIONS = [10, 20, 30, 60, MAX_REQUESTS_PER_MINUTE];
+
 /**
  * Hook to listen for Chrome extension messages of a specific type.
  * @template {ChromeMessage['type']} T
@@ -61,14 +87,87 @@ function trackEvent(name, properties) {
 }
 
 /**
- * Download all files for a story.
- * @param {Story} story
+ * Send files to the content script for download, one at a time.
+ * @param {AsyncGenerator<StoryFile>} files
+ * @returns {Promise<number>} The number of files sent for download.
  */
-async function downloadStory(story) {
-  for await (const { storyId, url, filename } of fetchStoryFiles(story)) {
+async function sendDownloads(files) {
+  let count = 0;
+  for await (const { storyId, url, filename } of files) {
     await new Promise((r) => setTimeout(r, 200));
     sendAppMessage({ type: "FPDL_DOWNLOAD", storyId, url, filename });
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Download all files for a story.
+ * @param {Story} story
+ * @param {Settings} settings
+ * @returns {Promise<number>} The number of files sent for download.
+ */
+async function downloadStory(story, settings) {
+  return sendDownloads(fetchStoryFiles(story, settings));
+}
+
+/**
+ * Describe a failed download for the user.
+ * @param {unknown} err
+ * @returns {string}
+ */
+function describeDownloadError(err) {
+  if (err instanceof GraphqlRequestError) {
+    switch (err.kind) {
+      case "rate-limited":
+        return "Facebook is limiting requests from your account. Wait a few minutes, or lower the request rate in the settings, then download again.";
+      case "login-required":
+        return "Facebook logged you out. Log in again, then reload the page.";
+      case "checkpoint":
+        return "Facebook wants you to confirm your account. Complete the check on facebook.com, then reload the page.";
+      default:
+        return `A Facebook request failed: ${err.message}`;
+    }
+  }
+  return `Download failed: ${err instanceof Error ? err.message : String(err)}`;
+}
+
+/**
+ * Save the recorded GraphQL traffic as a HAR file, to attach to a bug report.
+ */
+function exportDebugLog() {
+  trackEvent("DebugLogExported");
+  const har = renderHar(getRecordedTraffic());
+  const url = URL.createObjectURL(
+    new Blob([har], { type: "application/json" }),
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `fpdl-debug-${new Date().toISOString().replace(/[:.]/g, "-")}.har`;
+  link.click();
+  // Give the browser time to start the download before releasing the file
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
+/**
+ * Find the first photo of an album from the links in the album grid, for albums
+ * whose data was not seen (see getAlbumFirstMedia).
+ * @param {string} albumId
+ * @returns {MediaId | undefined}
+ */
+function findAlbumFirstMedia(albumId) {
+  for (const link of document.querySelectorAll("a[href*='set=a.']")) {
+    let url;
+    try {
+      url = new URL(/** @type {HTMLAnchorElement} */ (link).href);
+    } catch {
+      continue;
+    }
+    if (url.searchParams.get("set") !== `a.${albumId}`) continue;
+    const fbid = url.searchParams.get("fbid");
+    if (fbid) return { __typename: "Photo", id: fbid };
   }
+  return undefined;
 }
 
 /**
@@ -150,6 +249,54 @@ function injectStyles() {
         .fpdl-close-btn:hover {
             opacity: 1;
         }
+        .fpdl-settings {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 12px;
+            font-size: 12px;
+            padding: 4px 6px 8px;
+            border-bottom: 1px solid rgba(255,255,255,0.2);
+            margin-bottom: 6px;
+        }
+        .fpdl-settings label {
+            cursor: pointer;
+            user-select: none;
+        }
+        .fpdl-templates {
+            display: grid;
+            grid-template-columns: auto 1fr;
+            align-items: center;
+            gap: 4px 8px;
+            width: 100%;
+        }
+        .fpdl-templates input {
+            font: 12px monospace;
+            padding: 2px 4px;
+        }
+        .fpdl-template-preview {
+            grid-column: 2;
+            font-family: monospace;
+            opacity: 0.8;
+            word-break: break-all;
+        }
+        .fpdl-template-error {
+            grid-column: 2;
+            color: #ff8a80;
+        }
+        .fpdl-error {
+            display: flex;
+            align-items: flex-start;
+            gap: 8px;
+            max-width: 480px;
+            font-size: 12px;
+            padding: 6px 8px;
+            margin-bottom: 6px;
+            border-radius: 4px;
+            background: rgba(255, 82, 82, 0.35);
+        }
+        .fpdl-error span {
+            flex: 1;
+        }
         .fpdl-table {
             width: 100%;
             border-collapse: collapse;
@@ -209,19 +356,37 @@ function injectStyles() {
   document.head.appendChild(style);
 }
 
+/**
+ * Check if all files of a story have been downloaded.
+ * The total is only known once all files were sent, until then the story is still downloading.
+ * @param {number | undefined} downloadedCount
+ * @param {number | undefined} downloadTotal
+ * @returns {boolean}
+ */
+function isStoryDownloaded(downloadedCount, downloadTotal) {
+  return (
+    downloadedCount !== undefined &&
+    downloadTotal !== undefined &&
+    downloadedCount >= downloadTotal
+  );
+}
+
 /**
  * Render a single story row in the table.
- * @param {{ story: Story, selected: boolean, onToggle: () => void, downloadedCount: number | undefined }} props
+ * @param {{ story: Story, selected: boolean, onToggle: () => void, downloadedCount: number | undefined, downloadTotal: number | undefined }} props
  */
-function StoryRow({ story, selected, onToggle, downloadedCount }) {
-  const total = getDownloadCount(story);
+function StoryRow({
+  story,
+  selected,
+  onToggle,
+  downloadedCount,
+  downloadTotal,
+}) {
+  const total = downloadTotal ?? getDownloadCount(story);
   const isPending = downloadedCount === 0;
+  const isDownloaded = isStoryDownloaded(downloadedCount, downloadTotal);
   const isDownloading =
-    downloadedCount !== undefined &&
-    downloadedCount > 0 &&
-    downloadedCount < total;
-  const isDownloaded =
-    downloadedCount !== undefined && downloadedCount >= total;
+    downloadedCount !== undefined && downloadedCount > 0 && !isDownloaded;
 
   let className = undefined;
   if (isDownloaded) {
@@ -234,6 +399,12 @@ function StoryRow({ story, selected, onToggle, downloadedCount }) {
     className = "fpdl-row-selected";
   }
 
+  const metrics = getStoryMetrics(story);
+  const url = getStoryUrl(story);
+  const sourcePostUrl = getStorySourcePostUrl(story);
+  /** @param {MouseEvent} e */
+  const stopPropagation = (e) => e.stopPropagation();
+
   return React.createElement(
     "tr",
     {
@@ -258,28 +429,80 @@ function StoryRow({ story, selected, onToggle, downloadedCount }) {
       { className: "fpdl-td" },
       getCreateTime(story)?.toLocaleString() ?? "",
     ),
-    React.createElement("td", { className: "fpdl-td" }, getStoryPostId(story)),
+    React.createElement(
+      "td",
+      { className: "fpdl-td" },
+      url
+        ? React.createElement(
+            "a",
+            {
+              href: url,
+              target: "_blank",
+              rel: "noopener noreferrer",
+              onClick: stopPropagation,
+            },
+            getStoryPostId(story),
+          )
+        : getStoryPostId(story),
+    ),
     React.createElement(
       "td",
       { className: "fpdl-td fpdl-td-message" },
       (getStoryMessage(story) ?? "").slice(0, 500),
+      sourcePostUrl &&
+        React.createElement(
+          "a",
+          {
+            href: sourcePostUrl,
+            target: "_blank",
+            rel: "noopener noreferrer",
+            onClick: stopPropagation,
+            style: { marginLeft: "4px" },
+          },
+          "(post)",
+        ),
     ),
     React.createElement(
       "td",
       { className: "fpdl-td" },
       isStoryPost(story) && story.attached_story ? "true" : "false",
     ),
+    React.createElement(
+      "td",
+      { className: "fpdl-td" },
+      isStoryEdited(story) ? "true" : "false",
+    ),
     React.createElement(
       "td",
       { className: "fpdl-td" },
       getAttachmentCount(story),
     ),
+    React.createElement(
+      "td",
+      {
+        className: "fpdl-td",
+        title: metrics?.reactions
+          ?.map((r) => `${r.name}: ${r.count}`)
+          .join("\n"),
+      },
+      metrics?.reactionCount ?? "",
+    ),
+    React.createElement(
+      "td",
+      { className: "fpdl-td" },
+      metrics?.commentCount ?? "",
+    ),
+    React.createElement(
+      "td",
+      { className: "fpdl-td" },
+      metrics?.shareCount ?? "",
+    ),
   );
 }
 
 /**
  * Render the story table with headers and rows.
- * @param {{ stories: Story[], selectedStories: Set<string>, toggleStory: (story: Story) => void, toggleAllStories: () => void, downloadingStories: { [storyId: string]: number } }} props
+ * @param {{ stories: Story[], selectedStories: Set<string>, toggleStory: (story: Story) => void, toggleAllStories: () => void, downloadingStories: { [storyId: string]: number }, downloadTotals: { [storyId: string]: number } }} props
  */
 function StoryTable({
   stories,
@@ -287,6 +510,7 @@ function StoryTable({
   toggleStory,
   toggleAllStories,
   downloadingStories,
+  downloadTotals,
 }) {
   const selectableStories = stories.filter(
     (s) => !(getStoryId(s) in downloadingStories),
@@ -322,7 +546,11 @@ function StoryTable({
           "Message",
         ),
         React.createElement("th", { className: "fpdl-th" }, "Attached Story"),
+        React.createElement("th", { className: "fpdl-th" }, "Edited"),
         React.createElement("th", { className: "fpdl-th" }, "Attachments"),
+        React.createElement("th", { className: "fpdl-th" }, "Reactions"),
+        React.createElement("th", { className: "fpdl-th" }, "Comments"),
+        React.createElement("th", { className: "fpdl-th" }, "Shares"),
       ),
     ),
     React.createElement(
@@ -335,6 +563,7 @@ function StoryTable({
           selected: selectedStories.has(getStoryId(story)),
           onToggle: () => toggleStory(story),
           downloadedCount: downloadingStories[getStoryId(story)],
+          downloadTotal: downloadTotals[getStoryId(story)],
         }),
       ),
     ),
@@ -343,12 +572,13 @@ function StoryTable({
 
 /**
  * Render a button to hide/unhide stories based on current state.
- * @param {{ selectedStories: Set<string>, visibleStories: Story[], downloadingStories: { [storyId: string]: number }, hiddenStories: Set<string>, clearSelectedStories: () => void, setHiddenStories: (updater: (prev: Set<string>) => Set<string>) => void }} props
+ * @param {{ selectedStories: Set<string>, visibleStories: Story[], downloadingStories: { [storyId: string]: number }, downloadTotals: { [storyId: string]: number }, hiddenStories: Set<string>, clearSelectedStories: () => void, setHiddenStories: (updater: (prev: Set<string>) => Set<string>) => void }} props
  */
 function HideButton({
   selectedStories,
   visibleStories,
   downloadingStories,
+  downloadTotals,
   hiddenStories,
   clearSelectedStories,
   setHiddenStories,
@@ -358,11 +588,10 @@ function HideButton({
       visibleStories
         .filter((s) => {
           const id = getStoryId(s);
-          const downloadingCount = downloadingStories[id];
-          return downloadingCount === getDownloadCount(s);
+          return isStoryDownloaded(downloadingStories[id], downloadTotals[id]);
         })
         .map((s) => getStoryId(s)),
-    [visibleStories, downloadingStories],
+    [visibleStories, downloadingStories, downloadTotals],
   );
 
   const hideSelected = useCallback(() => {
@@ -411,6 +640,228 @@ function HideButton({
   );
 }
 
+/**
+ * Render a button to download the whole album on an album page.
+ * @param {{ downloadAlbum: (album: Album) => Promise<void>, showDownloadError: (message: string) => void, downloadingStories: { [storyId: string]: number }, downloadTotals: { [storyId: string]: number } }} props
+ */
+function AlbumButton({
+  downloadAlbum,
+  showDownloadError,
+  downloadingStories,
+  downloadTotals,
+}) {
+  const albumId = getAlbumId(window.location.href);
+  if (!albumId) return null;
+
+  const downloadId = getAlbumDownloadId(albumId);
+  const downloaded = downloadingStories[downloadId];
+  const total = downloadTotals[downloadId];
+  const downloading = downloaded !== undefined && total === undefined;
+
+  let label = "Download album";
+  if (downloading) label = `Downloading album (${downloaded})`;
+  else if (downloaded !== undefined) label = `Album (${downloaded}/${total})`;
+
+  return React.createElement(
+    "button",
+    {
+      type: "button",
+      className: "fpdl-btn",
+      disabled: downloading,
+      style: { marginLeft: "8px" },
+      onClick: () => {
+        const firstMedia =
+          getAlbumFirstMedia(albumId) ?? findAlbumFirstMedia(albumId);
+        if (!firstMedia) {
+          showDownloadError(
+            "None of this album's photos have loaded yet. Scroll down to its photos, then try again.",
+          );
+          return;
+        }
+        trackEvent("AlbumDownloadClicked");
+        downloadAlbum({
+          id: albumId,
+          url: window.location.href,
+          title: document.title.replace(/\s*\|\s*Facebook$/, "") || null,
+          first_media: firstMedia,
+        }).catch((err) => {
+          // Already shown in the panel
+          console.error("[fpdl] download failed for album", albumId, err);
+        });
+      },
+    },
+    label,
+  );
+}
+
+/**
+ * Render a naming template input. Edits are saved on blur, and only when valid.
+ * @param {{ label: string, kind: NamingTemplateKind, draft: string, setDraft: (draft: string) => void, save: () => void }} props
+ */
+function TemplateInput({ label, kind, draft, setDraft, save }) {
+  const error = validateTemplate(draft, kind);
+  return React.createElement(
+    React.Fragment,
+    null,
+    React.createElement("span", null, label),
+    React.createElement("input", {
+      type: "text",
+      value: draft,
+      spellCheck: false,
+      onChange: (/** @type {{ target: HTMLInputElement }} */ e) =>
+        setDraft(e.target.value),
+      onBlur: save,
+      onKeyDown: (/** @type {KeyboardEvent} */ e) => {
+        if (e.key === "Enter") save();
+      },
+    }),
+    error &&
+      React.createElement("span", { className: "fpdl-template-error" }, error),
+  );
+}
+
+/**
+ * Render the folder and file naming template inputs with a live preview.
+ * @param {{ settings: Settings, updateSettings: (patch: Partial<Settings>) => void }} props
+ */
+function NamingTemplates({ settings, updateSettings }) {
+  const [folderDraft, setFolderDraft] = useState(settings.folderTemplate);
+  const [fileDraft, setFileDraft] = useState(settings.fileTemplate);
+
+  // Preview the drafts as they are typed, falling back to the saved templates while invalid
+  const folderTemplate = validateTemplate(folderDraft, "folder")
+    ? settings.folderTemplate
+    : folderDraft;
+  const fileTemplate = validateTemplate(fileDraft, "file")
+    ? settings.fileTemplate
+    : fileDraft;
+  const preview = `${renderTemplate(folderTemplate, PREVIEW_CONTEXT)}/${renderTemplate(fileTemplate, PREVIEW_CONTEXT)}.jpg`;
+
+  return React.createElement(
+    "div",
+    { className: "fpdl-templates" },
+    React.createElement(TemplateInput, {
+      label: "Folder",
+      kind: "folder",
+      draft: folderDraft,
+      setDraft: setFolderDraft,
+      save: () => {
+        if (folderTemplate !== settings.folderTemplate) {
+          updateSettings({ folderTemplate });
+        }
+      },
+    }),
+    React.createElement(TemplateInput, {
+      label: "File",
+      kind: "file",
+      draft: fileDraft,
+      setDraft: setFileDraft,
+      save: () => {
+        if (fileTemplate !== settings.fileTemplate) {
+          updateSettings({ fileTemplate });
+        }
+      },
+    }),
+    React.createElement(
+      "span",
+      { className: "fpdl-template-preview" },
+      `Preview: ${preview}`,
+    ),
+  );
+}
+
+/**
+ * Render the settings controls.
+ * @param {{ settings: Settings, updateSettings: (patch: Partial<Settings>) => void }} props
+ */
+function SettingsPanel({ settings, updateSettings }) {
+  return React.createElement(
+    "div",
+    { className: "fpdl-settings" },
+    React.createElement(
+      "label",
+      null,
+      React.createElement("input", {
+        type: "checkbox",
+        checked: settings.videoThumbnails,
+        onChange: (/** @type {{ target: HTMLInputElement }} */ e) =>
+          updateSettings({ videoThumbnails: e.target.checked }),
+      }),
+      " Save video thumbnails",
+    ),
+    React.createElement(
+      "label",
+      null,
+      "Facebook requests per minute ",
+      React.createElement(
+        "select",
+        {
+          value: settings.requestsPerMinute,
+          onChange: (/** @type {{ target: HTMLSelectElement }} */ e) =>
+            updateSettings({ requestsPerMinute: Number(e.target.value) }),
+        },
+        [
+          ...new Set([
+            ...REQUESTS_PER_MINUTE_OPTIONS,
+            settings.requestsPerMinute,
+          ]),
+        ]
+          .sort((a, b) => a - b)
+          .map((n) => React.createElement("option", { key: n, value: n }, n)),
+      ),
+    ),
+    React.createElement(
+      "label",
+      null,
+      React.createElement("input", {
+        type: "checkbox",
+        checked: settings.recordTraffic,
+        onChange: (/** @type {{ target: HTMLInputElement }} */ e) =>
+          updateSettings({ recordTraffic: e.target.checked }),
+      }),
+      " Record Facebook traffic for bug reports",
+    ),
+    settings.recordTraffic &&
+      React.createElement(
+        "button",
+        { type: "button", className: "fpdl-btn", onClick: exportDebugLog },
+        "Export debug log",
+      ),
+    React.createElement(NamingTemplates, { settings, updateSettings }),
+  );
+}
+
+/**
+ * Hook to load the user's settings and persist changes.
+ * @returns {{ settings: Settings, updateSettings: (patch: Partial<Settings>) => void }}
+ */
+function useSettings() {
+  const [settings, setSettings] = useState(loadSettings);
+
+  const updateSettings = useCallback(
+    (/** @type {Partial<Settings>} */ patch) => {
+      // Only the names of the changed settings: templates can contain names and paths
+      trackEvent("SettingsChanged", { keys: Object.keys(patch).join(",") });
+      setSettings((prev) => ({ ...prev, ...patch }));
+    },
+    [],
+  );
+
+  useEffect(() => {
+    saveSettings(settings);
+  }, [settings]);
+
+  useEffect(() => {
+    setRateLimit(settings.requestsPerMinute);
+  }, [settings.requestsPerMinute]);
+
+  useEffect(() => {
+    setTrafficRecording(settings.recordTraffic);
+  }, [settings.recordTraffic]);
+
+  return { settings, updateSettings };
+}
+
 /**
  * Hook to manage dialog open/close state.
  * @param {{ clearSelectedStories: () => void }} params
@@ -544,24 +995,36 @@ function useVisibleStories({ stories }) {
 
 /**
  * Hook to manage story download state and download logic.
- * @param {{ stories: Story[], visibleStories: Story[], selectedStories: Set<string>, clearSelectedStories: () => void }} params
- * @returns {{ downloadingStories: { [storyId: string]: number }, downloadStories: () => void }}
+ * @param {{ stories: Story[], visibleStories: Story[], selectedStories: Set<string>, clearSelectedStories: () => void, settings: Settings }} params
+ * @returns {{ downloadingStories: { [storyId: string]: number }, downloadTotals: { [storyId: string]: number }, downloadStories: () => void, downloadSingleStory: (story: Story) => Promise<void>, downloadAlbum: (album: Album) => Promise<void>, downloadError: string | null, showDownloadError: (message: string) => void, dismissDownloadError: () => void }}
  */
 function useDownloadingStories({
   stories,
   visibleStories,
   selectedStories,
   clearSelectedStories,
+  settings,
 }) {
   const [downloadingStories, setDownloadingStories] = useState(
     /** @type {{ [storyId: string]: number }} */ ({}),
   );
+  const [downloadTotals, setDownloadTotals] = useState(
+    /** @type {{ [storyId: string]: number }} */ ({}),
+  );
+  const [downloadError, setDownloadError] = useState(
+    /** @type {string | null} */ (null),
+  );
   const downloadQueueRef = React.useRef(/** @type {Story[]} */ ([]));
   const isProcessingRef = React.useRef(false);
+  // Queued downloads use the settings at the time they start
+  const settingsRef = useRef(settings);
+  settingsRef.current = settings;
 
   useChromeMessage(
     "FPDL_DOWNLOAD_RESULT",
     useCallback((message) => {
+      // Muxed videos are created in the page, release them once saved
+      if (message.url.startsWith("blob:")) URL.revokeObjectURL(message.url);
       setDownloadingStories((prev) => ({
         ...prev,
         [message.storyId]: (prev[message.storyId] ?? 0) + 1,
@@ -569,6 +1032,70 @@ function useDownloadingStories({
     }, []),
   );
 
+  const dismissDownloadError = useCallback(() => setDownloadError(null), []);
+
+  // Unmark stories that will not be downloaded, so they can be selected again
+  const unmarkDownloads = useCallback(
+    (/** @type {string[]} */ downloadIds) =>
+      setDownloadingStories((prev) => {
+        const next = { ...prev };
+        for (const id of downloadIds) delete next[id];
+        return next;
+      }),
+    [],
+  );
+
+  // Show why a download failed, once per failure
+  const reportDownloadError = useCallback(
+    (/** @type {unknown} */ err, /** @type {string[]} */ downloadIds) => {
+      trackEvent("DownloadFailed", {
+        kind: err instanceof GraphqlRequestError ? err.kind : "unknown",
+      });
+      setDownloadError(describeDownloadError(err));
+      unmarkDownloads(downloadIds);
+    },
+    [unmarkDownloads],
+  );
+
+  const downloadSingleStory = useCallback(
+    async (/** @type {Story} */ story) => {
+      const storyId = getStoryId(story);
+      let total;
+      try {
+        total = await downloadStory(story, settingsRef.current);
+      } catch (err) {
+        reportDownloadError(err, [storyId]);
+        throw err;
+      }
+      setDownloadTotals((prev) => ({ ...prev, [storyId]: total }));
+    },
+    [reportDownloadError],
+  );
+
+  const downloadAlbum = useCallback(
+    async (/** @type {Album} */ album) => {
+      const downloadId = getAlbumDownloadId(album.id);
+      // Albums are tracked like stories, under their own download ID
+      setDownloadingStories((prev) => ({ ...prev, [downloadId]: 0 }));
+      setDownloadTotals((prev) => {
+        const next = { ...prev };
+        delete next[downloadId];
+        return next;
+      });
+      let total;
+      try {
+        total = await sendDownloads(
+          fetchAlbumFiles(album, settingsRef.current),
+        );
+      } catch (err) {
+        reportDownloadError(err, [downloadId]);
+        throw err;
+      }
+      setDownloadTotals((prev) => ({ ...prev, [downloadId]: total }));
+    },
+    [reportDownloadError],
+  );
+
   const processDownloadQueue = useCallback(async () => {
     if (isProcessingRef.current) return;
     if (downloadQueueRef.current.length === 0) return;
@@ -580,13 +1107,19 @@ function useDownloadingStories({
       if (!story) break;
 
       try {
-        await downloadStory(story);
+        await downloadSingleStory(story);
       } catch (err) {
         console.error(
           "[fpdl] download failed for story",
           getStoryId(story),
           err,
         );
+        // The rest of the queue would fail the same way, and retrying makes throttling worse.
+        // downloadSingleStory already reported the error.
+        if (isBlockingError(err)) {
+          const dropped = downloadQueueRef.current.splice(0);
+          unmarkDownloads(dropped.map(getStoryId));
+        }
       }
 
       if (downloadQueueRef.current.length > 0) {
@@ -595,7 +1128,7 @@ function useDownloadingStories({
     }
 
     isProcessingRef.current = false;
-  }, []);
+  }, [downloadSingleStory, unmarkDownloads]);
 
   const downloadStories = useCallback(() => {
     const storiesToDownload = visibleStories.filter((s) =>
@@ -610,6 +1143,7 @@ function useDownloadingStories({
     });
 
     clearSelectedStories();
+    setDownloadError(null);
 
     // Mark stories as queued (0 downloads) for UI feedback
     setDownloadingStories((prev) => {
@@ -632,7 +1166,44 @@ function useDownloadingStories({
     processDownloadQueue,
   ]);
 
-  return { downloadingStories, downloadStories };
+  return {
+    downloadingStories,
+    downloadTotals,
+    downloadStories,
+    downloadSingleStory,
+    downloadAlbum,
+    downloadError,
+    showDownloadError: setDownloadError,
+    dismissDownloadError,
+  };
+}
+
+/**
+ * Render why the last download failed, with the debug log export while recording.
+ * @param {{ message: string, onDismiss: () => void, onExportDebugLog: (() => void) | undefined }} props
+ */
+function DownloadError({ message, onDismiss, onExportDebugLog }) {
+  return React.createElement(
+    "div",
+    { className: "fpdl-error", role: "alert" },
+    React.createElement("span", null, message),
+    onExportDebugLog &&
+      React.createElement(
+        "button",
+        { type: "button", className: "fpdl-btn", onClick: onExportDebugLog },
+        "Save debug log",
+      ),
+    React.createElement(
+      "button",
+      {
+        type: "button",
+        className: "fpdl-close-btn",
+        onClick: onDismiss,
+        title: "Dismiss",
+      },
+      "×",
+    ),
+  );
 }
 
 /**
@@ -650,11 +1221,23 @@ function App({ initialStories, onStory }) {
     toggleAllStories,
     clearSelectedStories,
   } = useSelectedStories({ stories, visibleStories });
-  const { downloadingStories, downloadStories } = useDownloadingStories({
+  const { settings, updateSettings } = useSettings();
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const {
+    downloadingStories,
+    downloadTotals,
+    downloadStories,
+    downloadSingleStory,
+    downloadAlbum,
+    downloadError,
+    showDownloadError,
+    dismissDownloadError,
+  } = useDownloadingStories({
     stories,
     visibleStories,
     selectedStories,
     clearSelectedStories,
+    settings,
   });
 
   const { open, closeDialog } = useDialogOpen({ clearSelectedStories });
@@ -675,13 +1258,29 @@ function App({ initialStories, onStory }) {
 
   useDownloadButtonInjection(
     stories,
-    useCallback(async (story) => {
-      trackEvent("InjectedDownloadClicked", downloadingCountRef.current);
-      await downloadStory(story);
-    }, []),
+    useCallback(
+      async (story) => {
+        trackEvent("InjectedDownloadClicked", downloadingCountRef.current);
+        await downloadSingleStory(story);
+      },
+      [downloadSingleStory],
+    ),
   );
 
-  if (!open) return null;
+  const errorBanner =
+    downloadError &&
+    React.createElement(DownloadError, {
+      message: downloadError,
+      onDismiss: dismissDownloadError,
+      onExportDebugLog: settings.recordTraffic ? exportDebugLog : undefined,
+    });
+
+  // Downloads also start from the buttons injected into posts, so show errors while closed
+  if (!open) {
+    return errorBanner
+      ? React.createElement("div", { className: "fpdl-container" }, errorBanner)
+      : null;
+  }
 
   return React.createElement(
     "div",
@@ -703,15 +1302,32 @@ function App({ initialStories, onStory }) {
         selectedStories,
         visibleStories,
         downloadingStories,
+        downloadTotals,
         hiddenStories,
         clearSelectedStories,
         setHiddenStories,
       }),
+      React.createElement(AlbumButton, {
+        downloadAlbum,
+        showDownloadError,
+        downloadingStories,
+        downloadTotals,
+      }),
       React.createElement(
         "div",
         { className: "fpdl-title" },
         `Facebook Post Downloader (${visibleStories.length})`,
       ),
+      React.createElement(
+        "button",
+        {
+          type: "button",
+          className: "fpdl-close-btn",
+          onClick: () => setSettingsOpen((v) => !v),
+          title: "Settings",
+        },
+        "⚙",
+      ),
       React.createElement(
         "a",
         {
@@ -736,12 +1352,16 @@ function App({ initialStories, onStory }) {
         "×",
       ),
     ),
+    errorBanner,
+    settingsOpen &&
+      React.createElement(SettingsPanel, { settings, updateSettings }),
     React.createElement(StoryTable, {
       stories: visibleStories,
       selectedStories,
       toggleStory,
       toggleAllStories,
       downloadingStories,
+      downloadTotals,
     }),
   );
 }
@@ -0,0 +1,97 @@
+/**
+ * @typedef {import('./types').MediaEvent} MediaEvent
+ */
+
+/** Content lines longer than this many octets are folded (RFC 5545, section 3.1). */
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT property value.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeText(str) {
+  return str
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Format a Unix timestamp (seconds) as a UTC DATE-TIME, e.g. 20240115T093000Z.
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function formatDateTime(timestamp) {
+  return new Date(timestamp * 1000)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+/**
+ * Fold a content line into lines of at most 75 octets, without splitting characters.
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  /** @type {string[]} */
+  const lines = [];
+  let current = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts towards the limit
+    if (octets + size > MAX_LINE_OCTETS) {
+      lines.push(current);
+      current = " ";
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+  return lines.join("\r\n");
+}
+
+/**
+ * Render an event as an iCalendar (.ics) file.
+ * Returns undefined when the event has no start time, which iCalendar requires.
+ * @param {MediaEvent} event
+ * @param {Date} [now] - Time the calendar file is created (DTSTAMP)
+ * @returns {string | undefined}
+ */
+export function renderIcs(event, now = new Date()) {
+  if (event.start_time === null) return undefined;
+
+  const description = [
+    event.description,
+    event.host ? `Hosted by ${event.host}` : null,
+    event.url,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Facebook Post Downloader//EN",
+    "CALSCALE:GREGORIAN",
+    "BEGIN:VEVENT",
+    `UID:${event.id}@facebook.com`,
+    `DTSTAMP:${formatDateTime(Math.floor(now.getTime() / 1000))}`,
+    `DTSTART:${formatDateTime(event.start_time)}`,
+    ...(event.end_time !== null && event.end_time > event.start_time
+      ? [`DTEND:${formatDateTime(event.end_time)}`]
+      : []),
+    `SUMMARY:${escapeText(event.name)}`,
+    ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+    `DESCRIPTION:${escapeText(description)}`,
+    `URL:${event.url}`,
+    "END:VEVENT",
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
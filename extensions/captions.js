@@ -0,0 +1,123 @@
+/**
+ * @typedef {import('./types').CaptionCue} CaptionCue
+ */
+
+const TIMESTAMP_PATTERN = /(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})/;
+
+/**
+ * Parse an SRT or WebVTT timestamp to milliseconds.
+ * @param {string} str
+ * @returns {number | undefined}
+ */
+function parseTimestamp(str) {
+  const match = TIMESTAMP_PATTERN.exec(str);
+  if (!match) return undefined;
+  const [, hours, minutes, seconds, millis] = match;
+  return (
+    Number(hours ?? 0) * 3600000 +
+    Number(minutes) * 60000 +
+    Number(seconds) * 1000 +
+    Number(millis.padEnd(3, "0"))
+  );
+}
+
+/**
+ * Format milliseconds as an HH:MM:SS timestamp with the given decimal separator.
+ * @param {number} ms
+ * @param {"," | "."} separator - "," for SRT, "." for WebVTT
+ * @returns {string}
+ */
+function formatTimestamp(ms, separator) {
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  const millis = ms % 1000;
+  return (
+    [hours, minutes, seconds].map((n) => String(n).padStart(2, "0")).join(":") +
+    separator +
+    String(millis).padStart(3, "0")
+  );
+}
+
+/**
+ * Parse SRT or WebVTT content into cues.
+ * Blocks without a timing line (WEBVTT header, NOTE, STYLE, REGION) are skipped.
+ * @param {string} content
+ * @returns {CaptionCue[]}
+ */
+export function parseCaptions(content) {
+  /** @type {CaptionCue[]} */
+  const cues = [];
+  const blocks = content
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .split(/\n{2,}/);
+
+  for (const block of blocks) {
+    const lines = block.split("\n");
+    const timingIndex = lines.findIndex((line) => line.includes("-->"));
+    if (timingIndex === -1) continue;
+
+    const [startStr, endStr] = lines[timingIndex].split("-->");
+    const start = parseTimestamp(startStr);
+    const end = parseTimestamp(endStr);
+    if (start === undefined || end === undefined) continue;
+
+    const text = lines
+      .slice(timingIndex + 1)
+      .join("\n")
+      .trim();
+    if (!text) continue;
+
+    cues.push({ start, end, text });
+  }
+
+  return cues;
+}
+
+/**
+ * Render cues as SRT content.
+ * @param {CaptionCue[]} cues
+ * @returns {string}
+ */
+export function renderSrt(cues) {
+  return cues
+    .map(
+      (cue, i) =>
+        `${i + 1}\n` +
+        `${formatTimestamp(cue.start, ",")} --> ${formatTimestamp(cue.end, ",")}\n` +
+        `${cue.text}\n`,
+    )
+    .join("\n");
+}
+
+/**
+ * Render cues as WebVTT content.
+ * @param {CaptionCue[]} cues
+ * @returns {string}
+ */
+export function renderVtt(cues) {
+  const lines = ["WEBVTT", ""];
+  for (const cue of cues) {
+    lines.push(
+      `${formatTimestamp(cue.start, ".")} --> ${formatTimestamp(cue.end, ".")}`,
+    );
+    // A blank line would end the cue early
+    lines.push(cue.text.replace(/\n{2,}/g, "\n"));
+    lines.push("");
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Download a caption track and parse it into cues.
+ * @param {string} url
+ * @returns {Promise<CaptionCue[]>}
+ */
+export async function fetchCaptionCues(url) {
+  const res = await fetch(url);
+  if (!res.ok) {
+    throw new Error(`Failed to fetch captions: ${res.status}`);
+  }
+  return parseCaptions(await res.text());
+}
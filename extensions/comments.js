@@ -0,0 +1,251 @@
+import { sendGraphqlRequest } from "./graphql.js";
+
+/**
+ * @typedef {import('./types').Comment} Comment
+ * @typedef {import('./types').CommentThread} CommentThread
+ * @typedef {import('./types').Media} Media
+ */
+
+const COMMENTS_QUERY = "CommentsListComponentsPaginationQuery";
+const REPLIES_QUERY = "Depth1CommentsListPaginationQuery";
+
+/**
+ * Check if an object is a Comment.
+ * @param {unknown} obj
+ * @returns {obj is Comment}
+ */
+function isComment(obj) {
+  if (!obj || typeof obj !== "object") return false;
+  const o = /** @type {Record<string, unknown>} */ (obj);
+  if (o.__typename !== "Comment") return false;
+  if (typeof o.id !== "string" || !o.id) return false;
+  if (!o.author || typeof o.author !== "object") return false;
+  return true;
+}
+
+/**
+ * Recursively find the first connection (edges + page_info) of comments.
+ * The outermost connection wins, so preview replies nested inside a comment are ignored.
+ * @param {unknown} obj
+ * @returns {{ comments: Comment[], endCursor: string | undefined, hasNextPage: boolean } | undefined}
+ */
+function findCommentConnection(obj) {
+  if (!obj || typeof obj !== "object") return undefined;
+
+  const o = /** @type {Record<string, unknown>} */ (obj);
+
+  if (Array.isArray(o.edges) && o.edges.some((e) => isComment(e?.node))) {
+    /** @type {Comment[]} */
+    const comments = [];
+    for (const edge of o.edges) {
+      if (isComment(edge?.node)) comments.push(edge.node);
+    }
+    /** @type {any} */
+    const pageInfo = o.page_info;
+    return {
+      comments,
+      endCursor:
+        typeof pageInfo?.end_cursor === "string"
+          ? pageInfo.end_cursor
+          : undefined,
+      hasNextPage: pageInfo?.has_next_page === true,
+    };
+  }
+
+  const values = Array.isArray(obj) ? obj : Object.values(o);
+  for (const value of values) {
+    const found = findCommentConnection(value);
+    if (found) return found;
+  }
+  return undefined;
+}
+
+/**
+ * Page through a comment connection until there are no more pages.
+ * @param {string} apiName
+ * @param {(cursor: string | null) => Record<string, unknown>} getVariables
+ * @returns {AsyncGenerator<Comment>}
+ */
+async function* fetchCommentPages(apiName, getVariables) {
+  /** @type {string | null} */
+  let cursor = null;
+  /** @type {Set<string>} */
+  const seenCursors = new Set();
+
+  while (true) {
+    const objs = await sendGraphqlRequest({
+      apiName,
+      variables: getVariables(cursor),
+    });
+
+    const connection = findCommentConnection(objs);
+    if (!connection) return;
+
+    yield* connection.comments;
+
+    if (!connection.hasNextPage || !connection.endCursor) return;
+    // Guard against the server handing back the same cursor forever
+    if (seenCursors.has(connection.endCursor)) return;
+    seenCursors.add(connection.endCursor);
+    cursor = connection.endCursor;
+  }
+}
+
+/**
+ * Fetch the reply threads of a comment, following nested replies.
+ * @param {Comment} comment
+ * @returns {Promise<CommentThread[]>}
+ */
+async function fetchReplyThreads(comment) {
+  const feedbackId = comment.feedback?.id;
+  const expansionToken = comment.feedback?.expansion_info?.expansion_token;
+  const replyCount = comment.feedback?.replies_fields?.total_count ?? 0;
+  if (!feedbackId || !expansionToken || replyCount === 0) return [];
+
+  /** @type {CommentThread[]} */
+  const threads = [];
+  for await (const reply of fetchCommentPages(REPLIES_QUERY, (cursor) => ({
+    id: feedbackId,
+    expansionToken,
+    repliesAfterCursor: cursor,
+  }))) {
+    threads.push({ comment: reply, replies: await fetchReplyThreads(reply) });
+  }
+  return threads;
+}
+
+/**
+ * Fetch all comments and their nested replies for a feedback target.
+ * @param {string} feedbackId
+ * @returns {Promise<CommentThread[]>}
+ */
+export async function fetchCommentThreads(feedbackId) {
+  /** @type {CommentThread[]} */
+  const threads = [];
+  for await (const comment of fetchCommentPages(COMMENTS_QUERY, (cursor) => ({
+    id: feedbackId,
+    commentsAfterCursor: cursor,
+  }))) {
+    threads.push({ comment, replies: await fetchReplyThreads(comment) });
+  }
+  return threads;
+}
+
+/**
+ * Get the media (e.g. photos) attached to a comment.
+ * @param {Comment} comment
+ * @returns {Media[]}
+ */
+export function getCommentMedia(comment) {
+  /** @type {Media[]} */
+  const media = [];
+  for (const attachment of comment.attachments ?? []) {
+    const m = attachment?.style_type_renderer?.attachment?.media;
+    if (m && typeof m.id === "string") media.push(m);
+  }
+  return media;
+}
+
+/**
+ * Flatten comment threads into a list of comments (depth-first).
+ * @param {CommentThread[]} threads
+ * @returns {Comment[]}
+ */
+export function flattenCommentThreads(threads) {
+  return threads.flatMap((t) => [
+    t.comment,
+    ...flattenCommentThreads(t.replies),
+  ]);
+}
+
+/**
+ * Get the downloaded files for a comment, relative to the story folder.
+ * @param {Comment} comment
+ * @param {Map<string, string>} files - Map of media ID to relative filename
+ * @returns {string[]}
+ */
+function getCommentFiles(comment, files) {
+  return getCommentMedia(comment)
+    .map((m) => files.get(m.id))
+    .filter((f) => f !== undefined);
+}
+
+/**
+ * Format when a comment was posted.
+ * @param {Comment} comment
+ * @returns {string | null} ISO 8601 time, or null when the comment has no valid timestamp
+ */
+function getCommentTime(comment) {
+  const time = comment.created_time;
+  if (typeof time !== "number" || !Number.isFinite(time)) return null;
+  return new Date(time * 1000).toISOString();
+}
+
+/**
+ * Render a comment thread (and its replies as nested blockquotes) to markdown lines.
+ * @param {CommentThread} thread
+ * @param {Map<string, string>} files
+ * @returns {string[]}
+ */
+function renderCommentThread({ comment, replies }, files) {
+  const lines = [];
+
+  const date = getCommentTime(comment);
+  lines.push(
+    date
+      ? `**${comment.author.name}** · ${date}`
+      : `**${comment.author.name}**`,
+  );
+  lines.push("");
+
+  if (comment.body?.text) {
+    lines.push(comment.body.text);
+    lines.push("");
+  }
+
+  for (const file of getCommentFiles(comment, files)) {
+    lines.push(`![${file.split("/").pop()}](./${file})`);
+    lines.push("");
+  }
+
+  for (const reply of replies) {
+    const replyLines = renderCommentThread(reply, files);
+    lines.push(...replyLines.map((line) => (line ? `> ${line}` : ">")));
+    lines.push("");
+  }
+
+  return lines;
+}
+
+/**
+ * Render comment threads to markdown content.
+ * @param {CommentThread[]} threads
+ * @param {Map<string, string>} files - Map of media ID to relative filename
+ * @returns {string}
+ */
+export function renderComments(threads, files) {
+  const lines = ["# Comments", ""];
+  for (const thread of threads) {
+    lines.push("---");
+    lines.push("");
+    lines.push(...renderCommentThread(thread, files));
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Serialize comment threads to plain JSON-friendly objects.
+ * @param {CommentThread[]} threads
+ * @param {Map<string, string>} files - Map of media ID to relative filename
+ * @returns {Array<Record<string, unknown>>}
+ */
+export function serializeComments(threads, files) {
+  return threads.map(({ comment, replies }) => ({
+    id: comment.legacy_fbid ?? comment.id,
+    author: { id: comment.author.id, name: comment.author.name },
+    created_time: getCommentTime(comment),
+    text: comment.body?.text ?? "",
+    files: getCommentFiles(comment, files),
+    replies: serializeComments(replies, files),
+  }));
+}
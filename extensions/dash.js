@@ -0,0 +1,117 @@
+import { muxFragmentedMp4 } from "./mp4.js";
+
+/**
+ * @typedef {import('./types').DashRepresentation} DashRepresentation
+ */
+
+/**
+ * Decode the XML entities used in manifest attribute values and text.
+ * @param {string} str
+ * @returns {string}
+ */
+function decodeXmlEntities(str) {
+  return str.replace(/&(amp|lt|gt|quot|apos);/g, (_, name) => {
+    switch (name) {
+      case "amp":
+        return "&";
+      case "lt":
+        return "<";
+      case "gt":
+        return ">";
+      case "quot":
+        return '"';
+      default:
+        return "'";
+    }
+  });
+}
+
+/**
+ * Parse the attributes of an XML start tag.
+ * @param {string} str
+ * @returns {Record<string, string>}
+ */
+function parseAttributes(str) {
+  /** @type {Record<string, string>} */
+  const attrs = {};
+  for (const match of str.matchAll(/([\w:]+)="([^"]*)"/g)) {
+    attrs[match[1]] = decodeXmlEntities(match[2]);
+  }
+  return attrs;
+}
+
+/**
+ * Parse the representations of a DASH manifest (MPD).
+ * Facebook's manifests use the on-demand profile: one BaseURL per representation.
+ * @param {string} xml
+ * @returns {DashRepresentation[]}
+ */
+export function parseDashManifest(xml) {
+  /** @type {DashRepresentation[]} */
+  const representations = [];
+
+  for (const set of xml.matchAll(
+    /<AdaptationSet\b([^>]*)>([\s\S]*?)<\/AdaptationSet>/g,
+  )) {
+    const setAttrs = parseAttributes(set[1]);
+    for (const rep of set[2].matchAll(
+      /<Representation\b([^>]*)>([\s\S]*?)<\/Representation>/g,
+    )) {
+      const attrs = parseAttributes(rep[1]);
+      const baseUrl = /<BaseURL>([^<]*)<\/BaseURL>/.exec(rep[2])?.[1];
+      const mimeType =
+        attrs.mimeType ??
+        setAttrs.mimeType ??
+        (setAttrs.contentType ? `${setAttrs.contentType}/mp4` : undefined);
+      const bandwidth = Number(attrs.bandwidth);
+      if (!baseUrl || !mimeType || !Number.isFinite(bandwidth)) continue;
+
+      /** @type {DashRepresentation} */
+      const representation = {
+        base_url: decodeXmlEntities(baseUrl.trim()),
+        bandwidth,
+        mime_type: mimeType,
+      };
+      if (attrs.width) representation.width = Number(attrs.width);
+      if (attrs.height) representation.height = Number(attrs.height);
+      representations.push(representation);
+    }
+  }
+
+  return representations;
+}
+
+/**
+ * Pick the highest-bandwidth representation of a content type.
+ * @param {DashRepresentation[]} representations
+ * @param {"video" | "audio"} contentType
+ * @returns {DashRepresentation | undefined}
+ */
+export function selectRepresentation(representations, contentType) {
+  /** @type {DashRepresentation | undefined} */
+  let best;
+  for (const rep of representations) {
+    if (!rep.mime_type.startsWith(`${contentType}/`)) continue;
+    if (!best || rep.bandwidth > best.bandwidth) best = rep;
+  }
+  return best;
+}
+
+/**
+ * Download a video and an audio representation and mux them into one MP4.
+ * @param {DashRepresentation} video
+ * @param {DashRepresentation} audio
+ * @returns {Promise<Blob>}
+ */
+export async function fetchDashVideo(video, audio) {
+  const [videoData, audioData] = await Promise.all(
+    [video, audio].map(async (rep) => {
+      const res = await fetch(rep.base_url);
+      if (!res.ok) {
+        throw new Error(`Failed to fetch ${rep.mime_type}: ${res.status}`);
+      }
+      return new Uint8Array(await res.arrayBuffer());
+    }),
+  );
+  return muxFragmentedMp4(videoData, audioData);
+}
@@ -0,0 +1,65 @@
+/**
+ * doc_ids learned from Facebook's own GraphQL requests, keyed by friendly name.
+ * They outlive Facebook deploys that rotate the ids, until the page sends the new ones.
+ * The page's localStorage is used because app.js runs in the page world,
+ * where chrome.storage is not available.
+ */
+const STORAGE_KEY = "fpdl-doc-ids";
+
+/** @type {Map<string, string> | undefined} */
+let learnedDocIds;
+
+/**
+ * Load the learned doc_ids, once.
+ * @returns {Map<string, string>}
+ */
+function getLearnedDocIds() {
+  if (learnedDocIds) return learnedDocIds;
+  learnedDocIds = new Map();
+
+  /** @type {unknown} */
+  let stored;
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? "null");
+  } catch (err) {
+    console.warn("[fpdl] failed to load doc_ids", err);
+    return learnedDocIds;
+  }
+  if (!stored || typeof stored !== "object") return learnedDocIds;
+
+  for (const [apiName, docId] of Object.entries(stored)) {
+    if (typeof docId === "string" && /^\d+$/.test(docId)) {
+      learnedDocIds.set(apiName, docId);
+    }
+  }
+  return learnedDocIds;
+}
+
+/**
+ * Record the doc_id of a GraphQL request, persisting it if it is new or changed.
+ * @param {string} apiName - The request's friendly name
+ * @param {string} docId
+ */
+export function learnDocId(apiName, docId) {
+  if (!apiName || !/^\d+$/.test(docId)) return;
+  const docIds = getLearnedDocIds();
+  if (docIds.get(apiName) === docId) return;
+  docIds.set(apiName, docId);
+  try {
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify(Object.fromEntries(docIds)),
+    );
+  } catch (err) {
+    console.warn("[fpdl] failed to save doc_ids", err);
+  }
+}
+
+/**
+ * Get the last doc_id the page used for a GraphQL request.
+ * @param {string} apiName
+ * @returns {string | undefined}
+ */
+export function getLearnedDocId(apiName) {
+  return getLearnedDocIds().get(apiName);
+}
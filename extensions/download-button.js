@@ -1,4 +1,9 @@
-import { getStoryUrl, getStoryId, getStoryPostId } from "./story.js";
+import {
+  getStoryUrl,
+  getStoryId,
+  getStoryPostId,
+  isStoryProfileAlbum,
+} from "./story.js";
 import { React } from "./react.js";
 
 /**
@@ -261,6 +266,72 @@ function injectWatchVideoButtons(stories, downloadStory) {
   }
 }
 
+/**
+ * Inject a download button into the Stories viewer (facebook.com/stories/<bucket>/<card>/).
+ * The viewer has no stable action row, so the button floats over the top right of the page.
+ * @param {Story[]} stories
+ * @param {(story: Story) => Promise<void>} downloadStory
+ */
+function injectStoriesViewerButton(stories, downloadStory) {
+  // Get the card ID from the URL, which changes as the viewer moves to the next card
+  const match = /^\/stories\/[^/]+\/([^/]+)/.exec(window.location.pathname);
+  const cardId = match ? decodeURIComponent(match[1]) : null;
+
+  // Check if existing button is for a different card, if so remove it
+  const existingBtn = document.querySelector(".fpdl-download-btn--story");
+  if (existingBtn) {
+    if (existingBtn.getAttribute("data-story-id") === cardId) return;
+    existingBtn.remove();
+  }
+  if (!cardId) return;
+
+  const story = stories.find((s) => getStoryId(s) === cardId);
+  if (!story) return;
+
+  const downloadBtn = createDownloadButton(story, downloadStory);
+  downloadBtn.classList.add("fpdl-download-btn--story");
+  downloadBtn.setAttribute("data-story-id", cardId);
+  document.body.appendChild(downloadBtn);
+}
+
+/**
+ * Inject a download button next to the profile or page name, which downloads its
+ * profile pictures and cover photos albums.
+ * @param {Story[]} stories
+ * @param {(story: Story) => Promise<void>} downloadStory
+ */
+function injectProfileHeaderButton(stories, downloadStory) {
+  const heading = document.querySelector("div[role='main'] h1");
+  const name = heading?.textContent?.trim();
+
+  // Check if existing button is for a different profile, if so remove it
+  const existingBtn = document.querySelector(".fpdl-download-btn--profile");
+  if (existingBtn) {
+    if (existingBtn.getAttribute("data-profile-name") === name) return;
+    existingBtn.remove();
+  }
+  if (!heading || !name) return;
+
+  const albums = stories.filter(
+    (s) => isStoryProfileAlbum(s) && s.album.owner.name === name,
+  );
+  if (albums.length === 0) return;
+
+  const downloadBtn = createDownloadButton(albums[0], async () => {
+    for (const album of albums) {
+      await downloadStory(album);
+    }
+  });
+  downloadBtn.classList.add("fpdl-download-btn--profile");
+  downloadBtn.setAttribute("data-profile-name", name);
+  downloadBtn.setAttribute(
+    "aria-label",
+    "Download profile pictures and cover photos",
+  );
+  downloadBtn.title = "Download profile pictures and cover photos";
+  heading.insertAdjacentElement("afterend", downloadBtn);
+}
+
 /**
  * Inject download buttons into all supported page types.
  * @param {Story[]} stories
@@ -270,6 +341,8 @@ function injectDownloadButtons(stories, downloadStory) {
   injectPostFeedButtons(stories, downloadStory);
   injectVideoFeedButtons(stories, downloadStory);
   injectWatchVideoButtons(stories, downloadStory);
+  injectStoriesViewerButton(stories, downloadStory);
+  injectProfileHeaderButton(stories, downloadStory);
 }
 
 /**
@@ -334,6 +407,23 @@ function injectDownloadButtonStyles() {
         .fpdl-download-btn--watch:hover {
             background: var(--hover-overlay);
         }
+        .fpdl-download-btn--story {
+            position: fixed;
+            top: 72px;
+            right: 16px;
+            z-index: 1000;
+            width: 40px;
+            height: 40px;
+            background: rgba(0, 0, 0, 0.5);
+            color: #fff;
+        }
+        .fpdl-download-btn--story:hover {
+            background: rgba(0, 0, 0, 0.7);
+        }
+        .fpdl-download-btn--profile {
+            display: inline-flex;
+            vertical-align: middle;
+        }
     `;
   document.head.appendChild(style);
 }
@@ -1,3 +1,63 @@
+import { getLearnedDocId, learnDocId } from "./doc-ids.js";
+import {
+  getBackoffDelay,
+  pauseRequests,
+  scheduleRequest,
+} from "./scheduler.js";
+
+/**
+ * @typedef {import('./types').DocIdSource} DocIdSource
+ * @typedef {import('./types').GraphqlErrorKind} GraphqlErrorKind
+ * @typedef {import('./types').GraphqlEvent} GraphqlEvent
+ * @typedef {import('./types').RecordedGraphqlEvent} RecordedGraphqlEvent
+ */
+
+/** How many requests the traffic recorder keeps, dropping the oldest. */
+const MAX_RECORDED_EVENTS = 200;
+
+/**
+ * Total length of the responses the traffic recorder keeps, in characters.
+ * Responses make up nearly all of a recording, and a long feed can return megabytes.
+ */
+const MAX_RECORDED_RESPONSE_LENGTH = 20 * 1024 * 1024;
+
+/** Replaces the values of secret headers and fields in recorded traffic. */
+const REDACTED = "[redacted]";
+
+/**
+ * Replaces the account's user ID elsewhere in recorded traffic. It is often a bare
+ * number in the responses, so the replacement must be one too; Facebook itself
+ * sends "0" as the user ID of logged-out visitors.
+ */
+const REDACTED_USER_ID = "0";
+
+/** Headers that carry the session. */
+const SECRET_HEADERS = new Set([
+  "authorization",
+  "cookie",
+  "set-cookie",
+  "x-fb-lsd",
+]);
+
+/** Request fields that carry the session's tokens or the account's user ID. */
+const SECRET_PAYLOAD_FIELDS = new Set([
+  "__user",
+  "av",
+  "fb_dtsg",
+  "jazoest",
+  "lsd",
+]);
+
+/** Matches the string values of response fields that carry tokens. */
+const SECRET_RESPONSE_VALUES =
+  /"(access_token|fb_dtsg|lsd)":"(?:[^"\\]|\\.)*"/g;
+
+/** @type {RecordedGraphqlEvent[] | undefined} */
+let recordedEvents;
+
+/** Total length of the recorded responses. */
+let recordedResponseLength = 0;
+
 /** @type {Set<(ev: import('./types').GraphqlEvent) => void>} */
 const listeners = new Set();
 
@@ -11,9 +71,97 @@ export function graphqlListener(cb) {
 }
 
 /**
- * @param {import('./types').GraphqlEvent} ev
+ * Keep a rolling buffer of GraphQL traffic for bug reports, or stop and drop it.
+ * @param {boolean} enabled
+ */
+export function setTrafficRecording(enabled) {
+  recordedEvents = enabled ? (recordedEvents ?? []) : undefined;
+  if (!recordedEvents) recordedResponseLength = 0;
+}
+
+/**
+ * Get the recorded GraphQL traffic, oldest first.
+ * @returns {RecordedGraphqlEvent[]}
+ */
+export function getRecordedTraffic() {
+  return [...(recordedEvents ?? [])];
+}
+
+/**
+ * Replace the values of secret keys in a record, and the user ID in the others.
+ * @param {Record<string, string>} record
+ * @param {Set<string>} secretKeys - Lowercase keys
+ * @param {(text: string) => string} scrub
+ * @returns {Record<string, string>}
  */
-function emit(ev) {
+function redactRecord(record, secretKeys, scrub) {
+  return Object.fromEntries(
+    Object.entries(record).map(([key, value]) => [
+      key,
+      secretKeys.has(key.toLowerCase()) ? REDACTED : scrub(value),
+    ]),
+  );
+}
+
+/**
+ * Create a function that replaces the account's user ID wherever it appears,
+ * e.g. in the variables or as the viewer's ID in a response.
+ * @param {Record<string, string>} payload - The request payload, which names the account
+ * @returns {(text: string) => string}
+ */
+function createUserIdScrubber(payload) {
+  const userId = [payload.__user, payload.av].find(
+    (id) => id && /^\d+$/.test(id) && id !== "0",
+  );
+  if (!userId) return (text) => text;
+  const pattern = new RegExp(`(?<!\\d)${userId}(?!\\d)`, "g");
+  return (text) => text.replace(pattern, REDACTED_USER_ID);
+}
+
+/**
+ * Record a GraphQL exchange, without the session's cookies and tokens or the
+ * account's user ID.
+ * @param {GraphqlEvent} ev
+ * @param {string} responseText - The response as received, before assembling its payloads
+ * @param {RecordedGraphqlEvent['initiator']} initiator
+ */
+function recordEvent(ev, responseText, initiator) {
+  if (!recordedEvents) return;
+  const scrub = createUserIdScrubber(ev.requestPayload);
+  const recorded = {
+    url: ev.url,
+    requestHeaders: redactRecord(ev.requestHeaders, SECRET_HEADERS, scrub),
+    responseHeaders: redactRecord(ev.responseHeaders, SECRET_HEADERS, scrub),
+    requestPayload: redactRecord(
+      ev.requestPayload,
+      SECRET_PAYLOAD_FIELDS,
+      scrub,
+    ),
+    responseText: scrub(
+      responseText.replace(SECRET_RESPONSE_VALUES, `"$1":"${REDACTED}"`),
+    ),
+    status: ev.status,
+    time: Date.now(),
+    initiator,
+  };
+  recordedEvents.push(recorded);
+  recordedResponseLength += recorded.responseText.length;
+  while (
+    recordedEvents.length > MAX_RECORDED_EVENTS ||
+    recordedResponseLength > MAX_RECORDED_RESPONSE_LENGTH
+  ) {
+    const dropped = recordedEvents.shift();
+    if (!dropped) break;
+    recordedResponseLength -= dropped.responseText.length;
+  }
+}
+
+/**
+ * @param {GraphqlEvent} ev
+ * @param {string} responseText - The response as received, for the traffic recorder
+ */
+function emit(ev, responseText) {
+  recordEvent(ev, responseText, "page");
   for (const cb of listeners) {
     try {
       cb(ev);
@@ -27,9 +175,77 @@ function emit(ev) {
 // and alternate hosts (web.facebook.com, m.facebook.com) still match.
 const GRAPHQL_URL = `${location.origin}/api/graphql/`;
 
+/** How many times sendGraphqlRequest tries a throttled or failing request. */
+const MAX_ATTEMPTS = 4;
+
+/** Facebook error codes of throttled requests. */
+const RATE_LIMIT_ERROR_CODES = new Set([368, 1390008, 1675004]);
+
+/** Facebook error codes of requests made after the session expired. */
+const LOGIN_ERROR_CODES = new Set([1357001]);
+
+/** Facebook error codes of "Sorry, something went wrong", which a retry usually fixes. */
+const TRANSIENT_ERROR_CODES = new Set([1357004]);
+
+/** @type {Set<GraphqlErrorKind>} */
+const RETRYABLE_ERROR_KINDS = new Set(["rate-limited", "transient"]);
+
+/** @type {Set<GraphqlErrorKind>} */
+const BLOCKING_ERROR_KINDS = new Set([
+  "rate-limited",
+  "login-required",
+  "checkpoint",
+]);
+
+/**
+ * A failed sendGraphqlRequest, with the kind of failure.
+ */
+export class GraphqlRequestError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ kind: GraphqlErrorKind, status?: number, code?: number, retryAfterMs?: number }} details
+   */
+  constructor(message, { kind, status, code, retryAfterMs }) {
+    super(message);
+    this.name = "GraphqlRequestError";
+    /** @type {GraphqlErrorKind} */
+    this.kind = kind;
+    /** @type {number | undefined} HTTP status */
+    this.status = status;
+    /** @type {number | undefined} Facebook error code */
+    this.code = code;
+    /** @type {number | undefined} How long Facebook asked to wait before retrying */
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Whether every following request would fail the same way, so downloads should stop.
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+export function isBlockingError(err) {
+  return (
+    err instanceof GraphqlRequestError && BLOCKING_ERROR_KINDS.has(err.kind)
+  );
+}
+
+/**
+ * Whether the request could not be sent because Facebook has not loaded the API on this
+ * page yet. Opening the matching feature on Facebook (e.g. a post's comments) makes it
+ * available.
+ * @param {unknown} err
+ * @returns {boolean}
+ */
+export function isUnavailableError(err) {
+  return err instanceof GraphqlRequestError && err.kind === "unavailable";
+}
+
 /**
  * Map of API names to their module names and fallback doc IDs.
- * @type {Record<string, { moduleName: string, fallbackDocId: string }>}
+ * APIs without a fallback doc ID only work when Facebook has loaded the module,
+ * or after the page has sent the request itself (see resolveDocId).
+ * @type {Record<string, { moduleName: string, fallbackDocId?: string }>}
  */
 const DOC_ID_MODULES = {
   CometPhotoRootContentQuery: {
@@ -40,6 +256,15 @@ const DOC_ID_MODULES = {
     moduleName: "CometVideoRootMediaViewerQuery_facebookRelayOperation",
     fallbackDocId: "25092610667077508",
   },
+  CometEditHistoryDialogQuery: {
+    moduleName: "CometEditHistoryDialogQuery_facebookRelayOperation",
+  },
+  CommentsListComponentsPaginationQuery: {
+    moduleName: "CommentsListComponentsPaginationQuery_facebookRelayOperation",
+  },
+  Depth1CommentsListPaginationQuery: {
+    moduleName: "Depth1CommentsListPaginationQuery_facebookRelayOperation",
+  },
 };
 
 /**
@@ -82,18 +307,88 @@ const DEFAULT_VARIABLES = {
     __relay_internal__pv__CometUFIReactionsEnableShortNamerelayprovider: false,
     __relay_internal__pv__CometImmersivePhotoCanUserDisable3DMotionrelayprovider: false,
   },
+  CommentsListComponentsPaginationQuery: {
+    commentsAfterCount: -1,
+    commentsAfterCursor: null,
+    commentsBeforeCount: null,
+    commentsBeforeCursor: null,
+    commentsIntentToken: "CHRONOLOGICAL_UNFILTERED_INTENT_V1",
+    feedLocation: "DEDICATED_COMMENTING_SURFACE",
+    focusCommentID: null,
+    scale: 1,
+    useDefaultActor: false,
+    __relay_internal__pv__IsWorkUserrelayprovider: false,
+  },
+  Depth1CommentsListPaginationQuery: {
+    clientKey: null,
+    expansionToken: null,
+    feedLocation: "DEDICATED_COMMENTING_SURFACE",
+    focusCommentID: null,
+    repliesAfterCount: null,
+    repliesAfterCursor: null,
+    repliesBeforeCount: null,
+    repliesBeforeCursor: null,
+    scale: 1,
+    useDefaultActor: false,
+    __relay_internal__pv__IsWorkUserrelayprovider: false,
+  },
 };
 
 /**
- * Get doc_id for an API using Facebook's internal require().
+ * Resolve the doc_id for an API, trying in order:
+ * 1. "module": Facebook's internal require() of the operation module, current when it is loaded
+ * 2. "learned": the doc_id the page last sent for the API (see recordDocId)
+ * 3. "fallback": the doc_id hard-coded in DOC_ID_MODULES, which breaks when Facebook rotates it
  * @param {string} apiName
- * @returns {string}
+ * @returns {{ docId: string, source: DocIdSource }}
  */
-function getDocId(apiName) {
+function resolveDocId(apiName) {
   const config = DOC_ID_MODULES[apiName];
-  if (!config) throw new Error(`Unknown API: ${apiName}`);
-  // @ts-ignore - Facebook's global require
-  return require(config.moduleName) ?? config.fallbackDocId;
+  if (config) {
+    try {
+      // @ts-ignore - Facebook's global require
+      const docId = require(config.moduleName);
+      if (docId) return { docId: String(docId), source: "module" };
+    } catch {
+      // the module is not loaded on this page
+    }
+  }
+
+  const learned = getLearnedDocId(apiName);
+  if (learned) return { docId: learned, source: "learned" };
+
+  if (config?.fallbackDocId) {
+    return { docId: config.fallbackDocId, source: "fallback" };
+  }
+  throw new GraphqlRequestError(`No doc_id available for API: ${apiName}`, {
+    kind: "unavailable",
+  });
+}
+
+/** @type {Map<string, DocIdSource>} */
+const reportedDocIdSources = new Map();
+
+/**
+ * Log which strategy resolved an API's doc_id, whenever it changes.
+ * @param {string} apiName
+ * @param {{ docId: string, source: DocIdSource }} resolved
+ */
+function reportDocIdSource(apiName, { docId, source }) {
+  if (reportedDocIdSources.get(apiName) === source) return;
+  reportedDocIdSources.set(apiName, source);
+  console.info(`[fpdl] using ${source} doc_id ${docId} for ${apiName}`);
+}
+
+/**
+ * Learn the doc_id of one of the page's own GraphQL requests.
+ * @param {Record<string, string>} headers
+ * @param {Record<string, string>} payload
+ */
+function recordDocId(headers, payload) {
+  const apiName =
+    headers["x-fb-friendly-name"] || payload["fb_api_req_friendly_name"];
+  const docId = payload["doc_id"];
+  if (apiName && docId) learnDocId(apiName, docId);
 }
 
 /**
@@ -239,7 +534,9 @@ function parseNdjson(text) {
     const trimmed = line.trim();
     if (!trimmed) continue;
     try {
-      result.push(JSON.parse(trimmed));
+      const parsed = JSON.parse(trimmed);
+      // skip lines that are valid JSON but not payloads, e.g. null
+      if (isPlainObject(parsed)) result.push(parsed);
     } catch {
       // skip invalid JSON lines
     }
@@ -247,6 +544,166 @@ function parseNdjson(text) {
   return result;
 }
 
+/**
+ * Parse a urlencoded GraphQL request body into its fields (doc_id, variables, ...).
+ * @param {unknown} body
+ * @returns {Record<string, string> | undefined}
+ */
+function parseRequestBody(body) {
+  /** @type {string | undefined} */
+  let bodyText;
+  if (typeof body === "string") {
+    bodyText = body;
+  } else if (body instanceof URLSearchParams) {
+    bodyText = body.toString();
+  } else if (body instanceof FormData) {
+    const parts = [];
+    for (const [k, v] of body.entries()) {
+      parts.push(
+        `${encodeURIComponent(String(k))}=${encodeURIComponent(String(v))}`,
+      );
+    }
+    bodyText = parts.join("&");
+  }
+  if (!bodyText) return undefined;
+
+  const params = new URLSearchParams(bodyText);
+  /** @type {Record<string, string>} */
+  const payload = {};
+  for (const [k, v] of params.entries()) {
+    payload[k] = v;
+  }
+  return payload;
+}
+
+/**
+ * Convert headers to a plain object with lowercase names.
+ * @param {Headers} headers
+ * @returns {Record<string, string>}
+ */
+function headersToRecord(headers) {
+  /** @type {Record<string, string>} */
+  const record = {};
+  headers.forEach((value, name) => {
+    record[name.toLowerCase()] = value;
+  });
+  return record;
+}
+
+/**
+ * Check if a value is a plain object (not an array or null).
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Deep-merge a patch into a target. Objects are merged key by key and arrays item by item;
+ * any other patch value replaces the target value.
+ * @param {unknown} target
+ * @param {unknown} patch
+ * @returns {unknown} The merged value
+ */
+function deepMerge(target, patch) {
+  if (Array.isArray(target) && Array.isArray(patch)) {
+    const merged = [...target];
+    patch.forEach((item, i) => {
+      merged[i] = i < target.length ? deepMerge(target[i], item) : item;
+    });
+    return merged;
+  }
+  if (isPlainObject(target) && isPlainObject(patch)) {
+    /** @type {Record<string, unknown>} */
+    const merged = { ...target };
+    for (const [key, value] of Object.entries(patch)) {
+      merged[key] = key in target ? deepMerge(target[key], value) : value;
+    }
+    return merged;
+  }
+  return patch;
+}
+
+/**
+ * Apply an incremental payload's data at its path within a response's data.
+ * A @defer payload's path points at the object its fragment belongs to, and its data is
+ * merged into that object. A @stream payload's path ends with the index of a new list item.
+ * @param {unknown} data - The response data, updated in place below the root
+ * @param {Array<string | number>} path
+ * @param {unknown} patch
+ * @returns {boolean} Whether the path exists and the patch was applied, which it is
+ *   only when the patch is an object (or, for @stream, a new item)
+ */
+function applyIncrementalPayload(data, path, patch) {
+  if (path.length === 0) return false;
+  /** @type {any} */
+  let parent = data;
+  for (const key of path.slice(0, -1)) {
+    parent = parent?.[key];
+    if (!parent || typeof parent !== "object") return false;
+  }
+
+  // A failed @defer or @stream has null or no data, which must not replace what is there
+  const last = path[path.length - 1];
+  if (typeof last === "number") {
+    if (!Array.isArray(parent) || patch === null || patch === undefined) {
+      return false;
+    }
+    if (last >= parent.length) {
+      parent[last] = patch;
+      return true;
+    }
+    if (!isPlainObject(patch)) return false;
+    parent[last] = deepMerge(parent[last], patch);
+    return true;
+  }
+  if (
+    !isPlainObject(parent) ||
+    !isPlainObject(parent[last]) ||
+    !isPlainObject(patch)
+  ) {
+    return false;
+  }
+  parent[last] = deepMerge(parent[last], patch);
+  return true;
+}
+
+/**
+ * Stitch Relay incremental payloads (@defer fragments and @stream list items, which carry
+ * a `path` and usually a `label`) back into the payload they belong to, so a story's
+ * deferred sections are found together with the rest of the story.
+ * Applied payloads keep their other fields (e.g. `extensions`) without their `data`.
+ * Payloads whose path cannot be resolved are kept unchanged.
+ * The initial payloads are patched in place, so only pass freshly parsed payloads.
+ * Values that are not objects are dropped.
+ * @param {Record<string, unknown>[]} payloads - Payloads in the order they were received
+ * @returns {Record<string, unknown>[]}
+ */
+export function assembleRelayPayloads(payloads) {
+  /** @type {Record<string, unknown>[]} */
+  const result = [];
+  /** @type {Record<string, unknown> | undefined} */
+  let initial;
+
+  for (const payload of payloads) {
+    if (!isPlainObject(payload)) continue;
+    const { data, path, ...rest } = payload;
+    if (!Array.isArray(path)) {
+      if (isPlainObject(data)) initial = payload;
+      result.push(payload);
+      continue;
+    }
+
+    if (initial && applyIncrementalPayload(initial.data, path, data)) {
+      result.push(rest);
+    } else {
+      result.push(payload);
+    }
+  }
+  return result;
+}
+
 const originalXhrOpen = XMLHttpRequest.prototype.open;
 const originalXhrSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
 const originalXhrSend = XMLHttpRequest.prototype.send;
@@ -286,14 +743,17 @@ XMLHttpRequest.prototype.open = function patchedOpen(
         }
       }
 
-      emit({
-        url: xhrUrl.get(this) || "",
-        requestHeaders: xhrHeaders.get(this) || {},
-        responseHeaders,
-        requestPayload: xhrPayload.get(this) || {},
-        responseBody: parseNdjson(this.responseText),
-        status: this.status,
-      });
+      emit(
+        {
+          url: xhrUrl.get(this) || "",
+          requestHeaders: xhrHeaders.get(this) || {},
+          responseHeaders,
+          requestPayload: xhrPayload.get(this) || {},
+          responseBody: assembleRelayPayloads(parseNdjson(this.responseText)),
+          status: this.status,
+        },
+        this.responseText,
+      );
     });
   }
 
@@ -320,42 +780,235 @@ XMLHttpRequest.prototype.setRequestHeader = function patchedSetRequestHeader(
  */
 XMLHttpRequest.prototype.send = function patchedSend(body) {
   if (xhrIsTarget.get(this)) {
-    /** @type {string | undefined} */
-    let bodyText;
-    if (typeof body === "string") {
-      bodyText = body;
-    } else if (body instanceof URLSearchParams) {
-      bodyText = body.toString();
-    } else if (body instanceof FormData) {
-      const parts = [];
-      for (const [k, v] of body.entries()) {
-        parts.push(
-          `${encodeURIComponent(String(k))}=${encodeURIComponent(String(v))}`,
-        );
-      }
-      bodyText = parts.join("&");
-    }
-
-    if (bodyText) {
-      const params = new URLSearchParams(bodyText);
-      /** @type {Record<string, string>} */
-      const payload = {};
-      for (const [k, v] of params.entries()) {
-        payload[k] = v;
-      }
+    const payload = parseRequestBody(body);
+    if (payload) {
       xhrPayload.set(this, payload);
+      recordDocId(xhrHeaders.get(this) || {}, payload);
     }
   }
   return originalXhrSend.call(this, body);
 };
 
+const originalFetch = window.fetch;
+
 /**
- * Send a GraphQL request using doc_id from Facebook's module system.
+ * Emit GraphQL responses fetched with fetch(), like those sent with XMLHttpRequest.
+ * The response is cloned, so the page still reads (or streams) the original.
+ * @param {RequestInfo | URL} input
+ * @param {RequestInit} [init]
+ * @returns {Promise<Response>}
+ */
+window.fetch = async function patchedFetch(input, init) {
+  const request = input instanceof Request ? input : undefined;
+  const url =
+    typeof input === "string"
+      ? input
+      : input instanceof URL
+        ? input.href
+        : input.url;
+  const method = init?.method ?? request?.method ?? "GET";
+  if (method.toUpperCase() !== "POST" || !url.includes("/api/graphql")) {
+    return originalFetch.call(window, input, init);
+  }
+
+  const requestHeaders = headersToRecord(
+    new Headers(init?.headers ?? request?.headers),
+  );
+  // A Request's body can only be read once, so read a clone before sending it
+  const payloadPromise =
+    request && init?.body === undefined
+      ? request
+          .clone()
+          .text()
+          .then(parseRequestBody, () => undefined)
+      : Promise.resolve(parseRequestBody(init?.body));
+
+  payloadPromise.then((payload) => {
+    if (payload) recordDocId(requestHeaders, payload);
+  });
+
+  const response = await originalFetch.call(window, input, init);
+
+  // Read the clone in the background so the page gets the response right away
+  Promise.all([payloadPromise, response.clone().text()])
+    .then(([requestPayload, text]) =>
+      emit(
+        {
+          url,
+          requestHeaders,
+          responseHeaders: headersToRecord(response.headers),
+          requestPayload: requestPayload ?? {},
+          responseBody: assembleRelayPayloads(parseNdjson(text)),
+          status: response.status,
+        },
+        text,
+      ),
+    )
+    .catch(() => {
+      // ignore aborted or unreadable responses
+    });
+
+  return response;
+};
+
+/**
+ * Parse a Retry-After header, in seconds or as an HTTP date.
+ * @param {string | null} value
+ * @returns {number | undefined} Milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? undefined : Math.max(time - Date.now(), 0);
+}
+
+/**
+ * Classify a Facebook error code.
+ * @param {number | undefined} code
+ * @returns {GraphqlErrorKind | undefined}
+ */
+function getErrorCodeKind(code) {
+  if (code === undefined) return undefined;
+  if (RATE_LIMIT_ERROR_CODES.has(code)) return "rate-limited";
+  if (LOGIN_ERROR_CODES.has(code)) return "login-required";
+  if (TRANSIENT_ERROR_CODES.has(code)) return "transient";
+  return undefined;
+}
+
+/**
+ * Find why a GraphQL response failed, if it did.
+ * @param {Response} res
+ * @param {Record<string, unknown>[]} payloads
+ * @returns {GraphqlRequestError | undefined}
+ */
+function detectResponseError(res, payloads) {
+  const status = res.status;
+
+  // fetch() follows Facebook's redirects to the login and checkpoint pages
+  const path = res.url ? new URL(res.url).pathname : "";
+  if (path.startsWith("/checkpoint")) {
+    return new GraphqlRequestError("Facebook requires an account checkpoint", {
+      kind: "checkpoint",
+      status,
+    });
+  }
+  if (path.startsWith("/login")) {
+    return new GraphqlRequestError("Facebook requires logging in again", {
+      kind: "login-required",
+      status,
+    });
+  }
+
+  if (status === 429) {
+    return new GraphqlRequestError("Facebook is rate-limiting requests", {
+      kind: "rate-limited",
+      status,
+      retryAfterMs: parseRetryAfter(res.headers.get("retry-after")),
+    });
+  }
+  if (status >= 500) {
+    return new GraphqlRequestError(`HTTP ${status}`, {
+      kind: "transient",
+      status,
+    });
+  }
+  if (!res.ok) {
+    return new GraphqlRequestError(`HTTP ${status}`, { kind: "http", status });
+  }
+
+  for (const payload of payloads) {
+    // Facebook's error envelope: {"error": 1357001, "errorSummary": "..."}
+    if (typeof payload.error !== "number") continue;
+    const code = payload.error;
+    const message = String(payload.errorSummary ?? `Facebook error ${code}`);
+    // The envelope redirects to the checkpoint instead of having its own code
+    const kind = JSON.stringify(payload).includes("/checkpoint/")
+      ? "checkpoint"
+      : (getErrorCodeKind(code) ?? "graphql");
+    return new GraphqlRequestError(message, { kind, status, code });
+  }
+
+  /** @type {Record<string, unknown>[]} */
+  const errors = payloads.flatMap((payload) =>
+    Array.isArray(payload.errors) ? payload.errors : [],
+  );
+  const hasData = payloads.some((payload) => payload.data);
+  for (const error of errors) {
+    const code =
+      typeof error.code === "number"
+        ? error.code
+        : typeof error.api_error_code === "number"
+          ? error.api_error_code
+          : undefined;
+    const message = String(error.summary ?? error.message ?? "GraphQL error");
+    let kind = getErrorCodeKind(code);
+    if (!kind && error.requires_reauth === true) kind = "login-required";
+    // Other errors only fail the request when they left no data behind
+    if (!kind && hasData) continue;
+    if (!kind) kind = error.is_transient === true ? "transient" : "graphql";
+    return new GraphqlRequestError(message, { kind, status, code });
+  }
+  return undefined;
+}
+
+/**
+ * Post a GraphQL request once.
+ * @param {string} body
+ * @param {Record<string, string>} headers
+ * @returns {Promise<Record<string, unknown>[]>}
+ */
+async function postGraphqlRequest(body, headers) {
+  /** @type {Response} */
+  let res;
+  /** @type {string} */
+  let text;
+  try {
+    // Use the unpatched fetch, so the extension's own requests are not emitted
+    res = await originalFetch.call(window, GRAPHQL_URL, {
+      method: "POST",
+      credentials: "include",
+      headers,
+      body,
+    });
+    text = await res.text();
+  } catch (err) {
+    throw new GraphqlRequestError(
+      `Network error: ${/** @type {Error} */ (err).message}`,
+      { kind: "transient" },
+    );
+  }
+
+  const payloads = assembleRelayPayloads(parseNdjson(text));
+  recordEvent(
+    {
+      url: GRAPHQL_URL,
+      requestHeaders: headers,
+      responseHeaders: headersToRecord(res.headers),
+      requestPayload: Object.fromEntries(new URLSearchParams(body)),
+      responseBody: payloads,
+      status: res.status,
+    },
+    text,
+    "extension",
+  );
+  const error = detectResponseError(res, payloads);
+  if (error) throw error;
+  return payloads;
+}
+
+/**
+ * Send a GraphQL request, with the doc_id resolved by resolveDocId.
+ * Requests are spaced out by the scheduler, and throttled or failing requests
+ * are retried with exponential backoff.
  * @param {{ apiName: string, variables: Record<string, unknown> }} input
  * @returns {Promise<Record<string, unknown>[]>}
+ * @throws {GraphqlRequestError}
  */
 export async function sendGraphqlRequest(input) {
-  const docId = getDocId(input.apiName);
+  const resolved = resolveDocId(input.apiName);
+  reportDocIdSource(input.apiName, resolved);
+  const { docId } = resolved;
   const { params, lsd } = extractPageContext();
 
   // Merge default variables with input variables (input takes precedence)
@@ -371,13 +1024,24 @@ export async function sendGraphqlRequest(input) {
   if (lsd) headers["x-fb-lsd"] = lsd;
   headers["x-fb-friendly-name"] = input.apiName;
 
-  const res = await fetch(GRAPHQL_URL, {
-    method: "POST",
-    credentials: "include",
-    headers,
-    body: params.toString(),
-  });
-
-  const text = await res.text();
-  return parseNdjson(text);
+  const body = params.toString();
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await scheduleRequest(() => postGraphqlRequest(body, headers));
+    } catch (err) {
+      if (
+        !(err instanceof GraphqlRequestError) ||
+        !RETRYABLE_ERROR_KINDS.has(err.kind) ||
+        attempt >= MAX_ATTEMPTS
+      ) {
+        throw err;
+      }
+      // Hold back every request, since Facebook throttles the whole account
+      const delay = getBackoffDelay(attempt, err.retryAfterMs);
+      console.warn(
+        `[fpdl] ${input.apiName} failed (${err.message}), retrying in ${Math.ceil(delay / 1000)}s`,
+      );
+      pauseRequests(delay);
+    }
+  }
 }
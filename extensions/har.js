@@ -0,0 +1,81 @@
+/**
+ * @typedef {import('./types').RecordedGraphqlEvent} RecordedGraphqlEvent
+ */
+
+/**
+ * Convert a record of headers or fields to HAR name/value pairs.
+ * @param {Record<string, string>} record
+ * @returns {Array<{ name: string, value: string }>}
+ */
+function toNameValues(record) {
+  return Object.entries(record).map(([name, value]) => ({ name, value }));
+}
+
+/**
+ * Render one recorded exchange as a HAR entry.
+ * The response is the NDJSON Facebook sent, with each @defer and @stream
+ * payload still on its own line, as DevTools would have saved it.
+ * @param {RecordedGraphqlEvent} ev
+ */
+function toHarEntry(ev) {
+  const postData = new URLSearchParams(ev.requestPayload).toString();
+  const responseText = ev.responseText;
+  return {
+    startedDateTime: new Date(ev.time).toISOString(),
+    time: 0,
+    request: {
+      method: "POST",
+      url: ev.url,
+      httpVersion: "HTTP/1.1",
+      cookies: [],
+      headers: toNameValues(ev.requestHeaders),
+      queryString: [],
+      postData: {
+        mimeType: "application/x-www-form-urlencoded",
+        params: toNameValues(ev.requestPayload),
+        text: postData,
+      },
+      headersSize: -1,
+      bodySize: postData.length,
+    },
+    response: {
+      status: ev.status,
+      statusText: "",
+      httpVersion: "HTTP/1.1",
+      cookies: [],
+      headers: toNameValues(ev.responseHeaders),
+      content: {
+        size: responseText.length,
+        mimeType: ev.responseHeaders["content-type"] ?? "application/json",
+        text: responseText,
+      },
+      redirectURL: "",
+      headersSize: -1,
+      bodySize: -1,
+    },
+    cache: {},
+    timings: { send: 0, wait: 0, receive: 0 },
+    comment: `Sent by the ${ev.initiator}`,
+  };
+}
+
+/**
+ * Render recorded GraphQL traffic as a HAR 1.2 file, which DevTools and
+ * bin/find-entry.js can open.
+ * @param {RecordedGraphqlEvent[]} events
+ * @returns {string}
+ */
+export function renderHar(events) {
+  return JSON.stringify(
+    {
+      log: {
+        version: "1.2",
+        // The extension's version is not available in the page world
+        creator: { name: "Facebook Post Downloader", version: "" },
+        entries: events.map(toHarEntry),
+      },
+    },
+    null,
+    2,
+  );
+}
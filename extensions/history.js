@@ -0,0 +1,113 @@
+import { sendGraphqlRequest } from "./graphql.js";
+
+/**
+ * @typedef {import('./types').PostRevision} PostRevision
+ * @typedef {import('./types').StoryJsonRevision} StoryJsonRevision
+ */
+
+const EDIT_HISTORY_QUERY = "CometEditHistoryDialogQuery";
+
+/**
+ * Convert an edit history node into a PostRevision.
+ * @param {unknown} node
+ * @returns {PostRevision | undefined}
+ */
+function toRevision(node) {
+  if (!node || typeof node !== "object") return undefined;
+  const n = /** @type {Record<string, any>} */ (node);
+  const createdTime = [n.creation_time, n.edit_time, n.time].find(
+    (t) => typeof t === "number",
+  );
+  if (createdTime === undefined) return undefined;
+  const text = n.message?.text ?? n.text?.text ?? n.text;
+  return {
+    created_time: createdTime,
+    text: typeof text === "string" ? text : "",
+  };
+}
+
+/**
+ * Recursively find the first edit history connection (nodes or edges of revisions).
+ * @param {unknown} obj
+ * @returns {PostRevision[] | undefined}
+ */
+function findEditHistory(obj) {
+  if (!obj || typeof obj !== "object") return undefined;
+
+  const o = /** @type {Record<string, any>} */ (obj);
+  const history = o.edit_history;
+  const nodes = Array.isArray(history?.nodes)
+    ? history.nodes
+    : Array.isArray(history?.edges)
+      ? history.edges.map((/** @type {any} */ edge) => edge?.node)
+      : undefined;
+  if (nodes) {
+    /** @type {PostRevision[]} */
+    const revisions = [];
+    for (const node of nodes) {
+      const revision = toRevision(node);
+      if (revision) revisions.push(revision);
+    }
+    return revisions;
+  }
+
+  const values = Array.isArray(obj) ? obj : Object.values(o);
+  for (const value of values) {
+    const found = findEditHistory(value);
+    if (found) return found;
+  }
+  return undefined;
+}
+
+/**
+ * Fetch every version of an edited post's text, oldest (the original) first.
+ * @param {string} storyId
+ * @returns {Promise<PostRevision[]>}
+ */
+export async function fetchEditHistory(storyId) {
+  const objs = await sendGraphqlRequest({
+    apiName: EDIT_HISTORY_QUERY,
+    variables: { storyID: storyId },
+  });
+  const revisions = findEditHistory(objs) ?? [];
+  return revisions.sort((a, b) => a.created_time - b.created_time);
+}
+
+/**
+ * Render an edit history to markdown content.
+ * @param {PostRevision[]} revisions - Oldest first
+ * @returns {string}
+ */
+export function renderEditHistory(revisions) {
+  const lines = ["# Edit history", ""];
+  revisions.forEach((revision, i) => {
+    const date = new Date(revision.created_time * 1000).toISOString();
+    const label =
+      i === 0
+        ? "Original"
+        : i === revisions.length - 1
+          ? "Current version"
+          : `Edit ${i}`;
+    lines.push("---");
+    lines.push("");
+    lines.push(`**${label}** · ${date}`);
+    lines.push("");
+    if (revision.text) {
+      lines.push(revision.text);
+      lines.push("");
+    }
+  });
+  return lines.join("\n");
+}
+
+/**
+ * Serialize an edit history to plain JSON-friendly objects.
+ * @param {PostRevision[]} revisions
+ * @returns {StoryJsonRevision[]}
+ */
+export function serializeEditHistory(revisions) {
+  return revisions.map((revision) => ({
+    created_time: new Date(revision.created_time * 1000).toISOString(),
+    text: revision.text,
+  }));
+}
@@ -0,0 +1,147 @@
+/**
+ * Everything the page needs is inlined, so the archive opens offline
+ * by double-clicking index.html.
+ */
+const STYLESHEET = `
+  :root {
+    color-scheme: light dark;
+    --bg: #f0f2f5;
+    --card: #fff;
+    --text: #050505;
+    --muted: #65676b;
+    --border: #dadde1;
+    --link: #0866ff;
+  }
+  @media (prefers-color-scheme: dark) {
+    :root {
+      --bg: #18191a;
+      --card: #242526;
+      --text: #e4e6eb;
+      --muted: #b0b3b8;
+      --border: #3e4042;
+      --link: #4599ff;
+    }
+  }
+  * { box-sizing: border-box; }
+  body {
+    margin: 0;
+    padding: 24px 12px;
+    background: var(--bg);
+    color: var(--text);
+    font: 15px/1.45 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+  }
+  a { color: var(--link); }
+  .post {
+    max-width: 680px;
+    margin: 0 auto;
+    padding: 16px;
+    background: var(--card);
+    border: 1px solid var(--border);
+    border-radius: 8px;
+  }
+  .post-header { margin-bottom: 12px; }
+  .post-author { font-weight: 600; }
+  .post-meta { color: var(--muted); font-size: 13px; }
+  .post-title { font-size: 18px; margin: 12px 0 8px; }
+  .post-message { white-space: pre-wrap; overflow-wrap: anywhere; margin: 0 0 12px; }
+  .post-metrics { color: var(--muted); font-size: 13px; margin: 12px 0 0; }
+  .gallery {
+    display: grid;
+    grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+    gap: 6px;
+    margin: 12px 0;
+  }
+  .gallery figure { margin: 0; }
+  .gallery img, .gallery video {
+    display: block;
+    width: 100%;
+    max-height: 480px;
+    object-fit: contain;
+    background: #000;
+    border-radius: 4px;
+  }
+  .gallery .video { grid-column: 1 / -1; }
+  .gallery figcaption { color: var(--muted); font-size: 13px; margin-top: 4px; }
+  .link-card {
+    grid-column: 1 / -1;
+    display: block;
+    color: inherit;
+    text-decoration: none;
+    border: 1px solid var(--border);
+    border-radius: 8px;
+    overflow: hidden;
+  }
+  .link-card img { display: block; width: 100%; max-height: 360px; object-fit: cover; }
+  .link-card-body { display: block; padding: 8px 12px; }
+  .link-card-domain { display: block; color: var(--muted); font-size: 12px; text-transform: uppercase; }
+  .link-card-title { display: block; font-weight: 600; }
+  .link-card-description { display: block; color: var(--muted); font-size: 13px; }
+  .event-card {
+    grid-column: 1 / -1;
+    border: 1px solid var(--border);
+    border-radius: 8px;
+    overflow: hidden;
+  }
+  .event-card img { display: block; width: 100%; max-height: 360px; object-fit: cover; }
+  .event-card-body { padding: 8px 12px; }
+  .event-card-title { display: block; font-weight: 600; font-size: 16px; }
+  .event-card-detail { color: var(--muted); font-size: 13px; }
+  .event-card-description { white-space: pre-wrap; margin: 6px 0; }
+  .poll { width: 100%; border-collapse: collapse; margin: 0 0 12px; }
+  .poll caption { text-align: left; font-weight: 600; margin-bottom: 6px; }
+  .poll th, .poll td { padding: 6px 8px; border-bottom: 1px solid var(--border); text-align: left; }
+  .poll th + th, .poll td + td { text-align: right; }
+  .poll tfoot td { color: var(--muted); font-size: 13px; border-bottom: none; }
+  .listing {
+    display: grid;
+    grid-template-columns: auto 1fr;
+    gap: 4px 12px;
+    margin: 0 0 12px;
+  }
+  .listing dt { color: var(--muted); }
+  .listing dd { margin: 0; font-weight: 600; }
+  .quoted {
+    margin: 12px 0 0;
+    padding: 0;
+    border-left: 3px solid var(--border);
+  }
+  .quoted .post { border: none; border-radius: 0; padding: 4px 0 4px 12px; }
+`;
+
+/**
+ * Escape text for use in HTML content and double-quoted attributes.
+ * @param {string} str
+ * @returns {string}
+ */
+export function escapeHtml(str) {
+  return str
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Wrap rendered content in a standalone HTML page.
+ * @param {string} title - Page title (plain text)
+ * @param {string} body - Page content (HTML)
+ * @returns {string}
+ */
+export function renderHtmlPage(title, body) {
+  return [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>${STYLESHEET}</style>`,
+    "</head>",
+    "<body>",
+    body,
+    "</body>",
+    "</html>",
+    "",
+  ].join("\n");
+}
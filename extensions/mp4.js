@@ -0,0 +1,476 @@
+/**
+ * Minimal ISO BMFF (MP4) muxer for Facebook's DASH representations.
+ *
+ * Each DASH representation is a fragmented MP4 with a single track:
+ * `ftyp`, `moov` (with `mvex`), `sidx` and then `moof`/`mdat` fragments.
+ * Muxing copies the fragments of both files as-is and only rewrites the
+ * fields that tie them to a track or a position in the file.
+ */
+
+/**
+ * @typedef {{ type: string, start: number, headerSize: number, end: number }} Mp4Box
+ * @typedef {{ start: number, end: number, moof: Mp4Box, decodeTime: number | undefined }} Mp4Fragment
+ * @typedef {{
+ *   data: Uint8Array,
+ *   ftyp: Mp4Box,
+ *   moov: Mp4Box,
+ *   mvhd: Mp4Box,
+ *   trak: Mp4Box,
+ *   mehd: Mp4Box | undefined,
+ *   trex: Mp4Box,
+ *   movieTimescale: number,
+ *   mediaTimescale: number,
+ *   fragments: Mp4Fragment[],
+ * }} Mp4Track
+ */
+
+const VIDEO_TRACK_ID = 1;
+const AUDIO_TRACK_ID = 2;
+
+/** Top-level boxes that point at byte offsets of the source file and are dropped. */
+const OFFSET_BOXES = new Set(["sidx", "ssix", "mfra"]);
+
+/**
+ * @param {Uint8Array} data
+ * @returns {DataView}
+ */
+function getView(data) {
+  return new DataView(data.buffer, data.byteOffset, data.byteLength);
+}
+
+/**
+ * Read the boxes between two offsets.
+ * @param {Uint8Array} data
+ * @param {number} [start]
+ * @param {number} [end]
+ * @returns {Mp4Box[]}
+ */
+function readBoxes(data, start = 0, end = data.length) {
+  const view = getView(data);
+  /** @type {Mp4Box[]} */
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = view.getUint32(offset);
+    const type = String.fromCharCode(...data.subarray(offset + 4, offset + 8));
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(view.getBigUint64(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) {
+      throw new Error(`Invalid MP4 box "${type}" at offset ${offset}`);
+    }
+    boxes.push({ type, start: offset, headerSize, end: offset + size });
+    offset += size;
+  }
+  return boxes;
+}
+
+/**
+ * Find the first box matching a path of box types, starting below `parent`.
+ * @param {Uint8Array} data
+ * @param {Mp4Box} parent
+ * @param {string[]} path
+ * @returns {Mp4Box | undefined}
+ */
+function findBox(data, parent, path) {
+  /** @type {Mp4Box | undefined} */
+  let box = parent;
+  for (const type of path) {
+    box = readBoxes(data, box.start + box.headerSize, box.end).find(
+      (b) => b.type === type,
+    );
+    if (!box) return undefined;
+  }
+  return box;
+}
+
+/**
+ * Get the payload offset of a box.
+ * @param {Mp4Box} box
+ * @returns {number}
+ */
+function payload(box) {
+  return box.start + box.headerSize;
+}
+
+/**
+ * Read a 32-bit or 64-bit unsigned integer, depending on the full box version.
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} version
+ * @returns {number}
+ */
+function readVersioned(view, offset, version) {
+  return version === 1
+    ? Number(view.getBigUint64(offset))
+    : view.getUint32(offset);
+}
+
+/**
+ * Write a 32-bit or 64-bit unsigned integer, depending on the full box version.
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} version
+ * @param {number} value
+ */
+function writeVersioned(view, offset, version, value) {
+  if (version === 1) view.setBigUint64(offset, BigInt(value));
+  else view.setUint32(offset, value);
+}
+
+/**
+ * Convert a duration between timescales.
+ * @param {number} value
+ * @param {number} from
+ * @param {number} to
+ * @returns {number}
+ */
+function rescale(value, from, to) {
+  return Math.round((value * to) / from);
+}
+
+/**
+ * Create a box from its payload parts.
+ * @param {string} type
+ * @param {Uint8Array[]} parts
+ * @returns {Uint8Array}
+ */
+function createBox(type, parts) {
+  const size = 8 + parts.reduce((sum, p) => sum + p.length, 0);
+  const box = new Uint8Array(size);
+  getView(box).setUint32(0, size);
+  for (let i = 0; i < 4; i++) box[4 + i] = type.charCodeAt(i);
+  let offset = 8;
+  for (const part of parts) {
+    box.set(part, offset);
+    offset += part.length;
+  }
+  return box;
+}
+
+/**
+ * Copy a box so its fields can be rewritten, returning the copy and the box's position in it.
+ * @param {Uint8Array} data
+ * @param {Mp4Box} box
+ * @returns {{ data: Uint8Array, box: Mp4Box }}
+ */
+function copyBox(data, box) {
+  const copy = data.slice(box.start, box.end);
+  return {
+    data: copy,
+    box: { ...box, start: 0, end: box.end - box.start },
+  };
+}
+
+/**
+ * Parse a single-track fragmented MP4.
+ * @param {Uint8Array} data
+ * @param {string} name - Used in error messages
+ * @returns {Mp4Track}
+ */
+function parseTrack(data, name) {
+  const boxes = readBoxes(data);
+  const ftyp = boxes.find((b) => b.type === "ftyp");
+  const moov = boxes.find((b) => b.type === "moov");
+  if (!ftyp || !moov) throw new Error(`Missing ftyp or moov in ${name}`);
+
+  const moovChildren = readBoxes(data, payload(moov), moov.end);
+  const traks = moovChildren.filter((b) => b.type === "trak");
+  if (traks.length !== 1) {
+    throw new Error(`Expected a single track in ${name}, got ${traks.length}`);
+  }
+  const trak = traks[0];
+  const mvhd = moovChildren.find((b) => b.type === "mvhd");
+  const mdhd = findBox(data, trak, ["mdia", "mdhd"]);
+  const trex = findBox(data, moov, ["mvex", "trex"]);
+  if (!mvhd || !mdhd || !trex) {
+    throw new Error(`Missing mvhd, mdhd or trex in ${name}`);
+  }
+  const mehd = findBox(data, moov, ["mvex", "mehd"]);
+
+  const view = getView(data);
+  const movieTimescale = view.getUint32(
+    payload(mvhd) + (data[payload(mvhd)] === 1 ? 20 : 12),
+  );
+  const mediaTimescale = view.getUint32(
+    payload(mdhd) + (data[payload(mdhd)] === 1 ? 20 : 12),
+  );
+
+  /** @type {Mp4Fragment[]} */
+  const fragments = [];
+  /** @type {Mp4Fragment | undefined} */
+  let fragment;
+  for (const box of boxes) {
+    if (box.start < moov.end) continue;
+    if (box.type === "moof") {
+      const tfdt = findBox(data, box, ["traf", "tfdt"]);
+      fragment = {
+        start: box.start,
+        end: box.end,
+        moof: box,
+        decodeTime: tfdt
+          ? readVersioned(view, payload(tfdt) + 4, data[payload(tfdt)]) /
+            mediaTimescale
+          : undefined,
+      };
+      fragments.push(fragment);
+    } else if (OFFSET_BOXES.has(box.type)) {
+      fragment = undefined;
+    } else if (fragment) {
+      // mdat (and anything else) stays attached to the preceding moof
+      fragment.end = box.end;
+    }
+  }
+  if (fragments.length === 0) throw new Error(`No fragments in ${name}`);
+
+  return {
+    data,
+    ftyp,
+    moov,
+    mvhd,
+    trak,
+    mehd,
+    trex,
+    movieTimescale,
+    mediaTimescale,
+    fragments,
+  };
+}
+
+/**
+ * Copy a trak with a new track ID, converting its durations to the output movie timescale.
+ * @param {Mp4Track} track
+ * @param {number} trackId
+ * @param {number} movieTimescale
+ * @returns {Uint8Array}
+ */
+function rewriteTrak(track, trackId, movieTimescale) {
+  const { data, box } = copyBox(track.data, track.trak);
+  const view = getView(data);
+
+  const tkhd = findBox(data, box, ["tkhd"]);
+  if (!tkhd) throw new Error("Missing tkhd");
+  const tkhdVersion = data[payload(tkhd)];
+  view.setUint32(payload(tkhd) + (tkhdVersion === 1 ? 20 : 12), trackId);
+  const durationOffset = payload(tkhd) + (tkhdVersion === 1 ? 28 : 20);
+  writeVersioned(
+    view,
+    durationOffset,
+    tkhdVersion,
+    rescale(
+      readVersioned(view, durationOffset, tkhdVersion),
+      track.movieTimescale,
+      movieTimescale,
+    ),
+  );
+
+  // Edit list segment durations are in the movie timescale as well
+  const elst = findBox(data, box, ["edts", "elst"]);
+  if (elst) {
+    const version = data[payload(elst)];
+    const entryCount = view.getUint32(payload(elst) + 4);
+    const entrySize = version === 1 ? 20 : 12;
+    for (let i = 0; i < entryCount; i++) {
+      const offset = payload(elst) + 8 + i * entrySize;
+      writeVersioned(
+        view,
+        offset,
+        version,
+        rescale(
+          readVersioned(view, offset, version),
+          track.movieTimescale,
+          movieTimescale,
+        ),
+      );
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Copy a trex with a new track ID.
+ * @param {Mp4Track} track
+ * @param {number} trackId
+ * @returns {Uint8Array}
+ */
+function rewriteTrex(track, trackId) {
+  const { data, box } = copyBox(track.data, track.trex);
+  getView(data).setUint32(payload(box) + 4, trackId);
+  return data;
+}
+
+/**
+ * Read the duration of a full box whose version-dependent duration field sits at `offsets`.
+ * @param {Uint8Array} data
+ * @param {Mp4Box} box
+ * @param {[number, number]} offsets - Offset of the duration for version 0 and 1
+ * @returns {number}
+ */
+function readDuration(data, box, offsets) {
+  const version = data[payload(box)];
+  return readVersioned(
+    getView(data),
+    payload(box) + offsets[version === 1 ? 1 : 0],
+    version,
+  );
+}
+
+/**
+ * Build the combined moov box.
+ * @param {Mp4Track} video
+ * @param {Mp4Track} audio
+ * @returns {Uint8Array}
+ */
+function buildMoov(video, audio) {
+  const timescale = video.movieTimescale;
+
+  // mvhd: duration and next_track_ID
+  const mvhd = copyBox(video.data, video.mvhd);
+  const mvhdView = getView(mvhd.data);
+  const mvhdVersion = mvhd.data[payload(mvhd.box)];
+  /** @type {[number, number]} */
+  const mvhdDuration = [16, 24];
+  writeVersioned(
+    mvhdView,
+    payload(mvhd.box) + mvhdDuration[mvhdVersion === 1 ? 1 : 0],
+    mvhdVersion,
+    Math.max(
+      readDuration(video.data, video.mvhd, mvhdDuration),
+      rescale(
+        readDuration(audio.data, audio.mvhd, mvhdDuration),
+        audio.movieTimescale,
+        timescale,
+      ),
+    ),
+  );
+  mvhdView.setUint32(mvhd.box.end - 4, AUDIO_TRACK_ID + 1);
+
+  /** @type {Uint8Array[]} */
+  const mvex = [];
+  if (video.mehd) {
+    const mehd = copyBox(video.data, video.mehd);
+    const version = mehd.data[payload(mehd.box)];
+    const audioDuration = audio.mehd
+      ? rescale(
+          readDuration(audio.data, audio.mehd, [4, 4]),
+          audio.movieTimescale,
+          timescale,
+        )
+      : 0;
+    writeVersioned(
+      getView(mehd.data),
+      payload(mehd.box) + 4,
+      version,
+      Math.max(readDuration(video.data, video.mehd, [4, 4]), audioDuration),
+    );
+    mvex.push(mehd.data);
+  }
+  mvex.push(rewriteTrex(video, VIDEO_TRACK_ID));
+  mvex.push(rewriteTrex(audio, AUDIO_TRACK_ID));
+
+  // Keep the remaining moov children (e.g. udta) of the video
+  const others = readBoxes(video.data, payload(video.moov), video.moov.end)
+    .filter((b) => !["mvhd", "trak", "mvex"].includes(b.type))
+    .map((b) => video.data.subarray(b.start, b.end));
+
+  return createBox("moov", [
+    mvhd.data,
+    rewriteTrak(video, VIDEO_TRACK_ID, timescale),
+    rewriteTrak(audio, AUDIO_TRACK_ID, timescale),
+    createBox("mvex", mvex),
+    ...others,
+  ]);
+}
+
+/**
+ * Copy a fragment's moof with a new track ID and sequence number.
+ * @param {Mp4Track} track
+ * @param {Mp4Fragment} fragment
+ * @param {number} trackId
+ * @param {number} sequenceNumber
+ * @param {number} offset - Position of the fragment in the output file
+ * @returns {Uint8Array[]}
+ */
+function rewriteFragment(track, fragment, trackId, sequenceNumber, offset) {
+  const { data, box } = copyBox(track.data, fragment.moof);
+  const view = getView(data);
+
+  const mfhd = findBox(data, box, ["mfhd"]);
+  if (mfhd) view.setUint32(payload(mfhd) + 4, sequenceNumber);
+
+  for (const traf of readBoxes(data, payload(box), box.end)) {
+    if (traf.type !== "traf") continue;
+    const tfhd = findBox(data, traf, ["tfhd"]);
+    if (!tfhd) continue;
+    view.setUint32(payload(tfhd) + 4, trackId);
+    // base-data-offset-present: an absolute file offset that moves with the fragment
+    if (view.getUint32(payload(tfhd)) & 0x000001) {
+      const base = view.getBigUint64(payload(tfhd) + 8);
+      view.setBigUint64(
+        payload(tfhd) + 8,
+        base + BigInt(offset - fragment.start),
+      );
+    }
+  }
+
+  return [data, track.data.subarray(fragment.moof.end, fragment.end)];
+}
+
+/**
+ * Mux a video-only and an audio-only fragmented MP4 into one playable MP4.
+ * Fragments are interleaved by decode time so the file plays while it is read.
+ * @param {Uint8Array} videoData
+ * @param {Uint8Array} audioData
+ * @returns {Blob}
+ */
+export function muxFragmentedMp4(videoData, audioData) {
+  const video = parseTrack(videoData, "video");
+  const audio = parseTrack(audioData, "audio");
+
+  const entries = [
+    ...video.fragments.map((fragment) => ({
+      track: video,
+      trackId: VIDEO_TRACK_ID,
+      fragment,
+    })),
+    ...audio.fragments.map((fragment) => ({
+      track: audio,
+      trackId: AUDIO_TRACK_ID,
+      fragment,
+    })),
+  ];
+  // Without tfdt the timing of a fragment is implicit, so keep the tracks in sequence
+  if (entries.every((e) => e.fragment.decodeTime !== undefined)) {
+    entries.sort(
+      (a, b) =>
+        /** @type {number} */ (a.fragment.decodeTime) -
+        /** @type {number} */ (b.fragment.decodeTime),
+    );
+  }
+
+  const ftyp = videoData.subarray(video.ftyp.start, video.ftyp.end);
+  const moov = buildMoov(video, audio);
+
+  /** @type {Uint8Array[]} */
+  const parts = [ftyp, moov];
+  let offset = ftyp.length + moov.length;
+  entries.forEach(({ track, trackId, fragment }, i) => {
+    const fragmentParts = rewriteFragment(
+      track,
+      fragment,
+      trackId,
+      i + 1,
+      offset,
+    );
+    parts.push(...fragmentParts);
+    offset += fragment.end - fragment.start;
+  });
+
+  // The parts are views of plain ArrayBuffers, never SharedArrayBuffers
+  return new Blob(/** @type {BlobPart[]} */ (parts), { type: "video/mp4" });
+}
@@ -0,0 +1,281 @@
+/**
+ * @typedef {import('./types').NamingContext} NamingContext
+ * @typedef {import('./types').NamingTemplateKind} NamingTemplateKind
+ */
+
+export const DEFAULT_FOLDER_TEMPLATE = "{date}_{group}_{author}_{post_id}";
+export const DEFAULT_FILE_TEMPLATE = "{index}_{media_id}";
+
+const DEFAULT_DATE_FORMAT = "YYYY-MM-DD";
+const DEFAULT_INDEX_WIDTH = 4;
+const DEFAULT_TITLE_LENGTH = 40;
+
+/** Tokens available in each kind of template. */
+const TEMPLATE_TOKENS = {
+  folder: ["date", "group", "author", "post_id", "title"],
+  file: ["date", "group", "author", "post_id", "title", "index", "media_id"],
+};
+
+/** At least one of these tokens keeps names unique (one folder per post, one file per media). */
+const REQUIRED_TOKENS = {
+  folder: ["post_id"],
+  file: ["index", "media_id"],
+};
+
+/** Characters that are invalid in Windows filenames (plus "/", the path separator). */
+const INVALID_FILENAME_CHARS = /[<>:"/\\|?*]/g;
+
+/** Literal text that is dropped together with an empty token, e.g. the "_" in "{group}_". */
+const SEPARATOR_LITERAL = /^[_\-. ]+$/;
+
+/**
+ * @typedef {{ literal: string } | { token: string, arg: string | undefined }} TemplatePart
+ */
+
+/**
+ * Sanitize a string for use in a filename.
+ * @param {string} str
+ * @returns {string}
+ */
+export function sanitizeFilename(str) {
+  return str.replace(INVALID_FILENAME_CHARS, "_").trim();
+}
+
+/**
+ * Split a template into literal text and {token} or {token:arg} parts.
+ * @param {string} template
+ * @returns {TemplatePart[]}
+ */
+function parseTemplate(template) {
+  /** @type {TemplatePart[]} */
+  const parts = [];
+  let offset = 0;
+  while (offset < template.length) {
+    const open = template.indexOf("{", offset);
+    const close = template.indexOf("}", offset);
+    if (close !== -1 && (open === -1 || close < open)) {
+      throw new Error(`Unexpected "}" at position ${close + 1}`);
+    }
+    if (open === -1) {
+      parts.push({ literal: template.slice(offset) });
+      break;
+    }
+    if (open > offset) parts.push({ literal: template.slice(offset, open) });
+    if (close === -1) {
+      throw new Error(`Unclosed "{" at position ${open + 1}`);
+    }
+
+    const body = template.slice(open + 1, close);
+    const colon = body.indexOf(":");
+    parts.push(
+      colon === -1
+        ? { token: body, arg: undefined }
+        : { token: body.slice(0, colon), arg: body.slice(colon + 1) },
+    );
+    offset = close + 1;
+  }
+  return parts;
+}
+
+/**
+ * Check that a token's argument is valid.
+ * @param {string} token
+ * @param {string | undefined} arg
+ * @returns {string | undefined} The error message, if invalid
+ */
+function validateTokenArg(token, arg) {
+  if (arg === undefined) return undefined;
+  switch (token) {
+    case "date":
+      if (!/^[^<>:"\\|?*]+$/.test(arg) || !/YYYY|YY|MM|DD/.test(arg)) {
+        return `Invalid date format "${arg}", use e.g. {date:YYYY/MM}`;
+      }
+      return undefined;
+    case "title":
+      if (!/^\d+$/.test(arg) || Number(arg) < 1) {
+        return `Invalid title length "${arg}", use e.g. {title:40}`;
+      }
+      return undefined;
+    case "index":
+      if (!/^\d+$/.test(arg) || Number(arg) < 1 || Number(arg) > 10) {
+        return `Invalid index width "${arg}", use e.g. {index:4}`;
+      }
+      return undefined;
+    default:
+      return `{${token}} does not take an argument`;
+  }
+}
+
+/**
+ * Validate a naming template.
+ * @param {string} template
+ * @param {NamingTemplateKind} kind
+ * @returns {string | undefined} The error message, if invalid
+ */
+export function validateTemplate(template, kind) {
+  if (!template.trim()) return "Template is empty";
+
+  /** @type {TemplatePart[]} */
+  let parts;
+  try {
+    parts = parseTemplate(template);
+  } catch (err) {
+    return /** @type {Error} */ (err).message;
+  }
+
+  /** @type {string[]} */
+  const allowed = TEMPLATE_TOKENS[kind];
+  for (const part of parts) {
+    if ("literal" in part) {
+      const invalid = part.literal.match(/[<>:"\\|?*]/);
+      if (invalid) return `Invalid character "${invalid[0]}"`;
+      continue;
+    }
+    if (!allowed.includes(part.token)) {
+      return `Unknown token {${part.token}}, use ${allowed.map((t) => `{${t}}`).join(" ")}`;
+    }
+    const error = validateTokenArg(part.token, part.arg);
+    if (error) return error;
+  }
+
+  if (template.startsWith("/")) return "Template must be a relative path";
+  if (template.split("/").some((segment) => segment.trim() === "..")) {
+    return 'Template must not contain ".."';
+  }
+
+  /** @type {string[]} */
+  const required = REQUIRED_TOKENS[kind];
+  const tokens = parts.flatMap((part) => ("token" in part ? [part.token] : []));
+  if (!required.some((token) => tokens.includes(token))) {
+    return `Template must contain ${required.map((t) => `{${t}}`).join(" or ")}`;
+  }
+  return undefined;
+}
+
+/**
+ * Format a date with YYYY, YY, MM, DD, HH, mm and ss placeholders.
+ * @param {Date} date
+ * @param {string} format
+ * @returns {string}
+ */
+function formatDate(date, format) {
+  /** @param {number} n */
+  const pad = (n) => String(n).padStart(2, "0");
+  return format.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, (placeholder) => {
+    switch (placeholder) {
+      case "YYYY":
+        return String(date.getFullYear());
+      case "YY":
+        return pad(date.getFullYear() % 100);
+      case "MM":
+        return pad(date.getMonth() + 1);
+      case "DD":
+        return pad(date.getDate());
+      case "HH":
+        return pad(date.getHours());
+      case "mm":
+        return pad(date.getMinutes());
+      default:
+        return pad(date.getSeconds());
+    }
+  });
+}
+
+/**
+ * Render the value of a token.
+ * The date format is the only value that may contain "/" (to create subdirectories).
+ * @param {string} token
+ * @param {string | undefined} arg
+ * @param {NamingContext} context
+ * @returns {string}
+ */
+function renderToken(token, arg, context) {
+  switch (token) {
+    case "date":
+      return context.date
+        ? formatDate(context.date, arg ?? DEFAULT_DATE_FORMAT)
+        : "";
+    case "group":
+      return sanitizeFilename(context.group ?? "");
+    case "author":
+      return sanitizeFilename(context.author ?? "");
+    case "post_id":
+      return sanitizeFilename(context.post_id);
+    case "title": {
+      const title = (context.title ?? "").split("\n")[0].replace(/\s+/g, " ");
+      const length = arg ? Number(arg) : DEFAULT_TITLE_LENGTH;
+      return sanitizeFilename([...title].slice(0, length).join(""));
+    }
+    case "index":
+      return context.index === undefined
+        ? ""
+        : String(context.index).padStart(
+            arg ? Number(arg) : DEFAULT_INDEX_WIDTH,
+            "0",
+          );
+    case "media_id":
+      return sanitizeFilename(context.media_id ?? "");
+    default:
+      return "";
+  }
+}
+
+/**
+ * Render a naming template into a relative path ("/" separates subdirectories).
+ * Empty tokens are dropped together with the separator next to them, and empty
+ * subdirectories are removed, so "{date}_{group}_{post_id}" renders as
+ * "2024-01-15_123" for a post outside of a group.
+ * @param {string} template - A template accepted by validateTemplate
+ * @param {NamingContext} context
+ * @returns {string}
+ */
+export function renderTemplate(template, context) {
+  const parts = parseTemplate(template);
+  /** @type {Array<string | null>} */
+  const rendered = parts.map((part) =>
+    "literal" in part ? part.literal : null,
+  );
+
+  parts.forEach((part, i) => {
+    if ("literal" in part) return;
+    const value = renderToken(part.token, part.arg, context);
+    rendered[i] = value;
+    if (value) return;
+
+    // Drop the separator before the empty token, or else the one after it
+    const before = i > 0 ? parts[i - 1] : null;
+    const after = i + 1 < parts.length ? parts[i + 1] : null;
+    if (
+      before &&
+      "literal" in before &&
+      rendered[i - 1] &&
+      SEPARATOR_LITERAL.test(before.literal)
+    ) {
+      rendered[i - 1] = "";
+    } else if (
+      after &&
+      "literal" in after &&
+      SEPARATOR_LITERAL.test(after.literal)
+    ) {
+      rendered[i + 1] = "";
+    }
+  });
+
+  return rendered
+    .join("")
+    .split("/")
+    .map((segment) => segment.trim().replace(/[. ]+$/, ""))
+    .filter((segment) => segment && segment !== "." && segment !== "..")
+    .join("/");
+}
+
+/** Sample post used to preview templates in the settings panel. */
+export const PREVIEW_CONTEXT = Object.freeze({
+  date: new Date(2024, 0, 15, 9, 30, 0),
+  group: "Hiking Club",
+  author: "Jane Doe",
+  post_id: "1234567890",
+  title: "Sunrise over the ridge, and the long way down",
+  index: 1,
+  media_id: "9876543210",
+});
@@ -0,0 +1,90 @@
+/**
+ * Spaces out the extension's GraphQL requests, so downloading large albums
+ * does not get the account rate-limited.
+ */
+
+export const MAX_REQUESTS_PER_MINUTE = 120;
+/**
+ * One request a second: a large album still downloads at a steady pace, without the
+ * bursts that get accounts throttled. Users can raise it up to the maximum.
+ */
+export const DEFAULT_REQUESTS_PER_MINUTE = 60;
+
+/** Retry delays double from this, up to MAX_BACKOFF_MS. */
+const BASE_BACKOFF_MS = 2000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+/** Minimum time between the start of two requests. */
+let minIntervalMs = 60000 / DEFAULT_REQUESTS_PER_MINUTE;
+
+/** Earliest time the next request may start. */
+let nextStartTime = 0;
+
+/** Requests wait for their turn in order. */
+let queue = Promise.resolve();
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Limit how many requests start per minute.
+ * @param {number} requestsPerMinute - Up to MAX_REQUESTS_PER_MINUTE; less than 1 counts as 1
+ */
+export function setRateLimit(requestsPerMinute) {
+  // Zero or NaN would hold back every request forever
+  minIntervalMs = 60000 / (requestsPerMinute >= 1 ? requestsPerMinute : 1);
+}
+
+/**
+ * Hold back all requests for a while, e.g. after Facebook throttled one.
+ * @param {number} ms
+ */
+export function pauseRequests(ms) {
+  nextStartTime = Math.max(nextStartTime, Date.now() + ms);
+}
+
+/**
+ * Delay before retrying a failed request. Facebook's Retry-After is followed,
+ * but never waited out for longer than MAX_BACKOFF_MS.
+ * @param {number} attempt - The attempt that failed, starting at 1
+ * @param {number} [retryAfterMs] - How long the response asked to wait
+ * @returns {number} Milliseconds
+ */
+export function getBackoffDelay(attempt, retryAfterMs) {
+  return Math.min(
+    retryAfterMs ?? BASE_BACKOFF_MS * 2 ** (attempt - 1),
+    MAX_BACKOFF_MS,
+  );
+}
+
+/**
+ * Wait until the next request may start, and claim its slot.
+ */
+async function waitForTurn() {
+  // A pause may be extended while waiting
+  for (
+    let wait = nextStartTime - Date.now();
+    wait > 0;
+    wait = nextStartTime - Date.now()
+  ) {
+    await sleep(wait);
+  }
+  nextStartTime = Date.now() + minIntervalMs;
+}
+
+/**
+ * Run a request once it is its turn under the rate limit.
+ * @template T
+ * @param {() => Promise<T>} request
+ * @returns {Promise<T>}
+ */
+export function scheduleRequest(request) {
+  const turn = queue.then(waitForTurn);
+  queue = turn;
+  return turn.then(request);
+}
@@ -0,0 +1,87 @@
+import {
+  DEFAULT_FILE_TEMPLATE,
+  DEFAULT_FOLDER_TEMPLATE,
+  validateTemplate,
+} from "./naming.js";
+import {
+  DEFAULT_REQUESTS_PER_MINUTE,
+  MAX_REQUESTS_PER_MINUTE,
+} from "./scheduler.js";
+
+/**
+ * @typedef {import('./types').Settings} Settings
+ */
+
+/**
+ * The page's localStorage is used because app.js runs in the page world,
+ * where chrome.storage is not available.
+ */
+const STORAGE_KEY = "fpdl-settings";
+
+/** @type {Readonly<Settings>} */
+export const DEFAULT_SETTINGS = Object.freeze({
+  videoThumbnails: false,
+  folderTemplate: DEFAULT_FOLDER_TEMPLATE,
+  fileTemplate: DEFAULT_FILE_TEMPLATE,
+  requestsPerMinute: DEFAULT_REQUESTS_PER_MINUTE,
+  recordTraffic: false,
+});
+
+/**
+ * Load the user's settings, falling back to the defaults for missing or invalid values.
+ * @returns {Settings}
+ */
+export function loadSettings() {
+  /** @type {Settings} */
+  const settings = { ...DEFAULT_SETTINGS };
+
+  /** @type {unknown} */
+  let stored;
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? "null");
+  } catch (err) {
+    console.warn("[fpdl] failed to load settings", err);
+    return settings;
+  }
+  if (!stored || typeof stored !== "object") return settings;
+
+  const s = /** @type {Record<string, unknown>} */ (stored);
+  if (typeof s.videoThumbnails === "boolean") {
+    settings.videoThumbnails = s.videoThumbnails;
+  }
+  if (typeof s.recordTraffic === "boolean") {
+    settings.recordTraffic = s.recordTraffic;
+  }
+  if (
+    typeof s.folderTemplate === "string" &&
+    !validateTemplate(s.folderTemplate, "folder")
+  ) {
+    settings.folderTemplate = s.folderTemplate;
+  }
+  if (
+    typeof s.fileTemplate === "string" &&
+    !validateTemplate(s.fileTemplate, "file")
+  ) {
+    settings.fileTemplate = s.fileTemplate;
+  }
+  if (
+    Number.isInteger(s.requestsPerMinute) &&
+    Number(s.requestsPerMinute) >= 1 &&
+    Number(s.requestsPerMinute) <= MAX_REQUESTS_PER_MINUTE
+  ) {
+    settings.requestsPerMinute = Number(s.requestsPerMinute);
+  }
+  return settings;
+}
+
+/**
+ * Persist the user's settings.
+ * @param {Settings} settings
+ */
+export function saveSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn("[fpdl] failed to save settings", err);
+  }
+}
@@ -1,32 +1,127 @@
-import { graphqlListener, sendGraphqlRequest } from "./graphql.js";
+import {
+  graphqlListener,
+  isBlockingError,
+  isUnavailableError,
+  sendGraphqlRequest,
+} from "./graphql.js";
+import {
+  fetchCommentThreads,
+  flattenCommentThreads,
+  getCommentMedia,
+  renderComments,
+  serializeComments,
+} from "./comments.js";
+import {
+  fetchEditHistory,
+  renderEditHistory,
+  serializeEditHistory,
+} from "./history.js";
+import { fetchCaptionCues, renderSrt, renderVtt } from "./captions.js";
+import { DEFAULT_SETTINGS } from "./settings.js";
+import { renderTemplate, sanitizeFilename } from "./naming.js";
+import { escapeHtml, renderHtmlPage } from "./html.js";
+import { renderIcs } from "./calendar.js";
+import {
+  fetchDashVideo,
+  parseDashManifest,
+  selectRepresentation,
+} from "./dash.js";
 
 /**
  * @typedef {import('./types').Story} Story
  * @typedef {import('./types').StoryPost} StoryPost
  * @typedef {import('./types').StoryVideo} StoryVideo
  * @typedef {import('./types').StoryWatch} StoryWatch
+ * @typedef {import('./types').StoryCard} StoryCard
+ * @typedef {import('./types').StoryCardBucket} StoryCardBucket
+ * @typedef {import('./types').StoryGridMedia} StoryGridMedia
+ * @typedef {import('./types').StoryProfileAlbum} StoryProfileAlbum
+ * @typedef {import('./types').StoryMarketplaceListing} StoryMarketplaceListing
+ * @typedef {import('./types').MarketplaceListing} MarketplaceListing
+ * @typedef {import('./types').Album} Album
+ * @typedef {import('./types').FetchFailure} FetchFailure
  * @typedef {import('./types').Media} Media
  * @typedef {import('./types').MediaId} MediaId
  * @typedef {import('./types').MediaVideo} MediaVideo
+ * @typedef {import('./types').MediaVideoUrl} MediaVideoUrl
  * @typedef {import('./types').MediaWatch} MediaWatch
+ * @typedef {import('./types').MediaLink} MediaLink
+ * @typedef {import('./types').LinkShareAttachment} LinkShareAttachment
+ * @typedef {import('./types').MediaEvent} MediaEvent
+ * @typedef {import('./types').EventAttachment} EventAttachment
+ * @typedef {import('./types').PollAttachment} PollAttachment
+ * @typedef {import('./types').StoryPoll} StoryPoll
  * @typedef {import('./types').MediaPhoto} MediaPhoto
  * @typedef {import('./types').MediaPhotoUrl} MediaPhotoUrl
  * @typedef {import('./types').User} User
  * @typedef {import('./types').Group} Group
  * @typedef {import('./types').StoryFile} StoryFile
+ * @typedef {import('./types').CommentThread} CommentThread
+ * @typedef {import('./types').PostRevision} PostRevision
+ * @typedef {import('./types').StoryMetrics} StoryMetrics
+ * @typedef {import('./types').TextWithEntities} TextWithEntities
+ * @typedef {import('./types').StoryJson} StoryJson
+ * @typedef {import('./types').StoryJsonStory} StoryJsonStory
+ * @typedef {import('./types').StoryJsonSubtitles} StoryJsonSubtitles
+ * @typedef {import('./types').VideoCaptionLocale} VideoCaptionLocale
+ * @typedef {import('./types').CaptionCue} CaptionCue
+ * @typedef {import('./types').Settings} Settings
+ * @typedef {import('./types').DashRepresentation} DashRepresentation
+ * @typedef {import('./types').NamingContext} NamingContext
  */
 
+/**
+ * A media item that was sent for download, with its original URL, local filename
+ * and the caption tracks, poster thumbnail and calendar file saved next to it.
+ * All paths are relative to the story folder. `url` and `filename` are `null` for a link share
+ * or event without an image, which is rendered but has no image file.
+ * @typedef {{ media: Media, url: string | null, filename: string | null, subtitles: StoryJsonSubtitles[], thumbnail: string | null, calendar: string | null }} DownloadedMedia
+ */
+
+/** Version of the story.json schema, see StoryJson in types.ts. */
+const STORY_JSON_SCHEMA_VERSION = 2;
+
+/**
+ * Short side, in pixels, assumed for the progressive HD URL (which carries no dimensions).
+ * DASH is only used for MediaVideo when its best representation is larger than this.
+ */
+const PROGRESSIVE_HD_SIZE = 720;
+
 const PHOTO_ROOT_QUERY = "CometPhotoRootContentQuery";
 const VIDEO_ROOT_QUERY = "CometVideoRootMediaViewerQuery";
 
+/** Stop walking an album after this many items, in case the mediaset never ends. */
+const MAX_ALBUM_MEDIA = 5000;
+
+/** Stop following a reshare chain (shares of shares) after this many levels. */
+const MAX_RESHARE_DEPTH = 20;
+
 /** @type {Map<string, number>} */
 const storyCreateTimeCache = new Map();
 
 /** @type {Map<string, Group>} */
 const storyGroupCache = new Map();
 
+/** @type {Map<string, DashRepresentation[]>} */
+const videoRepresentationCache = new Map();
+
+/** @type {Map<string, StoryMetrics>} */
+const storyMetricsCache = new Map();
+
+/** @type {Map<string, number>} */
+const storyEditCountCache = new Map();
+
+/** @type {Map<string, VideoCaptionLocale[]>} */
+const videoCaptionCache = new Map();
+
 /** @type {Map<string, string>} */
-const videoUrlCache = new Map();
+const videoThumbnailCache = new Map();
+
+/** @type {Map<string, StoryCardBucket>} */
+const storyCardBucketCache = new Map();
+
+/** @type {Map<string, MediaId>} */
+const albumFirstMediaCache = new Map();
 
 /**
  * Check if an object is a MediaPhoto.
@@ -71,6 +166,176 @@ function isMediaWatch(obj) {
   );
 }
 
+/**
+ * Check if an object is a MediaLink.
+ * @param {unknown} obj
+ * @returns {obj is MediaLink}
+ */
+function isMediaLink(obj) {
+  if (!obj || typeof obj !== "object") return false;
+  const o = /** @type {Record<string, unknown>} */ (obj);
+  return o.__typename === "ExternalLink" && typeof o.url === "string";
+}
+
+/**
+ * Check if a StoryPost attachment is a link share (shared article) rather than photos or videos.
+ * @param {unknown} obj
+ * @returns {obj is LinkShareAttachment}
+ */
+function isLinkShareAttachment(obj) {
+  if (!obj || typeof obj !== "object") return false;
+  const o = /** @type {Record<string, any>} */ (obj);
+  if (o.media && o.media.__typename !== "GenericAttachmentMedia") return false;
+  return (
+    o.target?.__typename === "ExternalUrl" ||
+    typeof o.web_link?.url === "string" ||
+    typeof o.title_with_entities?.text === "string"
+  );
+}
+
+/**
+ * Hash a string into 8 hex digits (32-bit FNV-1a), for IDs that must be stable, not secret.
+ * @param {string} text
+ * @returns {string}
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * Normalize a link-share attachment into a MediaLink.
+ * @param {LinkShareAttachment} attachment
+ * @returns {MediaLink | undefined}
+ */
+function toMediaLink(attachment) {
+  const rawUrl =
+    attachment.target?.external_url ??
+    attachment.web_link?.url ??
+    attachment.url;
+  if (!rawUrl) return undefined;
+  const url = unwrapFacebookRedirect(rawUrl);
+
+  let domain = attachment.source?.text?.trim().toLowerCase() || null;
+  try {
+    domain = new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    // not a valid URL, keep the source text
+  }
+
+  return {
+    __typename: "ExternalLink",
+    // Used in filenames, so two links in one folder must not share it
+    id: attachment.target?.id || `link_${hashString(url)}`,
+    url,
+    title: attachment.title_with_entities?.text?.trim() || null,
+    description: attachment.description?.text?.trim() || null,
+    domain,
+    image_url:
+      attachment.media?.large_share_image?.uri ??
+      attachment.media?.image?.uri ??
+      null,
+  };
+}
+
+/**
+ * Check if an object is a MediaEvent.
+ * @param {unknown} obj
+ * @returns {obj is MediaEvent}
+ */
+function isMediaEvent(obj) {
+  if (!obj || typeof obj !== "object") return false;
+  const o = /** @type {Record<string, unknown>} */ (obj);
+  return o.__typename === "Event" && typeof o.name === "string";
+}
+
+/**
+ * Check if a StoryPost attachment is an event (shared or created Event).
+ * @param {unknown} obj
+ * @returns {obj is EventAttachment}
+ */
+function isEventAttachment(obj) {
+  if (!obj || typeof obj !== "object") return false;
+  const o = /** @type {Record<string, any>} */ (obj);
+  return o.target?.__typename === "Event" && typeof o.target.id === "string";
+}
+
+/**
+ * Normalize an event attachment into a MediaEvent.
+ * @param {EventAttachment} attachment
+ * @returns {MediaEvent}
+ */
+function toMediaEvent(attachment) {
+  const event = attachment.target;
+  const place = event.event_place;
+  /** @param {unknown} value */
+  const toTimestamp = (value) =>
+    typeof value === "number" && value > 0 ? value : null;
+
+  return {
+    __typename: "Event",
+    id: event.id,
+    name:
+      event.name?.trim() ||
+      attachment.title_with_entities?.text?.trim() ||
+      "Event",
+    url: event.url || `https://www.facebook.com/events/${event.id}/`,
+    start_time: toTimestamp(event.start_timestamp),
+    end_time: toTimestamp(event.end_timestamp),
+    location: place?.name?.trim() || place?.contextual_name?.trim() || null,
+    host:
+      event.event_creator?.name?.trim() ||
+      event.event_hosts?.find((host) => host?.name)?.name?.trim() ||
+      null,
+    description: attachment.description?.text?.trim() || null,
+    image_url:
+      event.cover_media_renderer?.cover_photo?.photo?.image?.uri ??
+      attachment.media?.large_share_image?.uri ??
+      attachment.media?.image?.uri ??
+      null,
+  };
+}
+
+/**
+ * Check if a StoryPost attachment is a group poll.
+ * @param {unknown} obj
+ * @returns {obj is PollAttachment}
+ */
+function isPollAttachment(obj) {
+  if (!obj || typeof obj !== "object") return false;
+  const o = /** @type {Record<string, any>} */ (obj);
+  return (
+    (typeof o.poll?.id === "string" && !!o.poll.options) ||
+    o.target?.__typename === "Question"
+  );
+}
+
+/**
+ * Get the file extension of an image URL. Link preview images are proxied through
+ * safe_image.php, which keeps the original image URL in its url parameter.
+ * @param {string} url
+ * @returns {"png" | "jpg"}
+ */
+function getImageExtension(url) {
+  /** @param {string} s */
+  const isPng = (s) => /\.png(\?|$)/i.test(s);
+  if (isPng(url)) return "png";
+  try {
+    const u = new URL(url);
+    const fmt = u.searchParams.get("format");
+    if (fmt && /^png$/i.test(fmt)) return "png";
+    const original = u.searchParams.get("url");
+    if (original && isPng(original)) return "png";
+  } catch {
+    // keep the default
+  }
+  return "jpg";
+}
+
 /**
  * Get the download URL and extension for a media item.
  * @param {Media} media
@@ -90,27 +355,25 @@ function getDownloadUrl(media) {
     }
     if (!best) return undefined;
 
-    const url = best.uri;
-    let ext = "jpg";
-    try {
-      if (/\.png(\?|$)/i.test(url)) ext = "png";
-      else {
-        const u = new URL(url);
-        const fmt = u.searchParams.get("format");
-        if (fmt && /^png$/i.test(fmt)) ext = "png";
-      }
-    } catch {
-      if (/\.png(\?|$)/i.test(url)) ext = "png";
-    }
-    return { url, ext };
+    return { url: best.uri, ext: getImageExtension(best.uri) };
+  }
+
+  if (isMediaLink(media)) {
+    // The link itself is rendered in index.md; only its preview image is downloaded
+    return media.image_url
+      ? { url: media.image_url, ext: getImageExtension(media.image_url) }
+      : undefined;
+  }
+
+  if (isMediaEvent(media)) {
+    // The event is rendered in index.md and saved as .ics; only its cover photo is downloaded
+    return media.image_url
+      ? { url: media.image_url, ext: getImageExtension(media.image_url) }
+      : undefined;
   }
 
   if (isMediaVideo(media)) {
-    const list =
-      media?.videoDeliveryResponseFragment?.videoDeliveryResponseResult
-        ?.progressive_urls ??
-      media?.video_grid_renderer?.video?.videoDeliveryResponseFragment
-        ?.videoDeliveryResponseResult?.progressive_urls;
+    const list = getVideoDeliveryResult(media)?.progressive_urls;
 
     if (Array.isArray(list) && list.length > 0) {
       const hd = list.find(
@@ -122,6 +385,10 @@ function getDownloadUrl(media) {
       if (first?.progressive_url)
         return { url: first.progressive_url, ext: "mp4" };
     }
+
+    // Only DASH is available; the audio is muxed in by fetchMediaFiles
+    const video = selectRepresentation(getVideoRepresentations(media), "video");
+    if (video) return { url: video.base_url, ext: "mp4" };
     return undefined;
   }
 
@@ -132,6 +399,182 @@ function getDownloadUrl(media) {
   return undefined;
 }
 
+/**
+ * Get the delivery info (progressive URLs and DASH manifests) of a MediaVideo.
+ * @param {MediaVideo} media
+ * @returns {MediaVideoUrl['videoDeliveryResponseResult'] | undefined}
+ */
+function getVideoDeliveryResult(media) {
+  return (
+    media.videoDeliveryResponseFragment?.videoDeliveryResponseResult ??
+    media.video_grid_renderer?.video?.videoDeliveryResponseFragment
+      ?.videoDeliveryResponseResult
+  );
+}
+
+/**
+ * Get the DASH representations of a video, from its manifests or from videoRepresentationCache.
+ * @param {Media} media
+ * @returns {DashRepresentation[]}
+ */
+function getVideoRepresentations(media) {
+  if (media.__typename !== "Video") return [];
+  if (isMediaVideo(media)) {
+    /** @type {DashRepresentation[]} */
+    const representations = [];
+    for (const manifest of getVideoDeliveryResult(media)?.dash_manifests ??
+      []) {
+      if (typeof manifest?.manifest_xml !== "string") continue;
+      representations.push(...parseDashManifest(manifest.manifest_xml));
+    }
+    if (representations.length > 0) return representations;
+  }
+  return videoRepresentationCache.get(media.id) ?? [];
+}
+
+/**
+ * Get the DASH video and audio representations to mux for a video, if DASH should be used.
+ * Watch videos are only available as DASH, while MediaVideo only uses DASH when it beats
+ * the progressive HD URL (which already has audio).
+ * @param {Media} media
+ * @returns {{ video: DashRepresentation, audio: DashRepresentation } | undefined}
+ */
+function getDashDownload(media) {
+  const representations = getVideoRepresentations(media);
+  const video = selectRepresentation(representations, "video");
+  const audio = selectRepresentation(representations, "audio");
+  if (!video || !audio) return undefined;
+
+  if (isMediaVideo(media)) {
+    const hasProgressiveHd = getVideoDeliveryResult(
+      media,
+    )?.progressive_urls?.some(
+      (x) => x?.metadata?.quality === "HD" && x?.progressive_url,
+    );
+    const size = Math.min(video.width ?? 0, video.height ?? 0);
+    if (hasProgressiveHd && size <= PROGRESSIVE_HD_SIZE) return undefined;
+  }
+
+  return { video, audio };
+}
+
+/**
+ * Get the accessibility caption (alt text) of a media item.
+ * @param {Media} media
+ * @returns {string | undefined}
+ */
+function getMediaCaption(media) {
+  if (!isMediaPhoto(media)) return undefined;
+  const caption = media.accessibility_caption?.trim();
+  return caption || undefined;
+}
+
+/**
+ * Get the caption tracks available on a video node.
+ * The default `captions_url` is included when it is not one of the listed locales.
+ * @param {Record<string, unknown>} node
+ * @returns {VideoCaptionLocale[]}
+ */
+function getCaptionLocales(node) {
+  /** @type {VideoCaptionLocale[]} */
+  const tracks = [];
+  if (Array.isArray(node.video_available_captions_locales)) {
+    for (const track of node.video_available_captions_locales) {
+      if (
+        typeof track?.locale === "string" &&
+        track.locale &&
+        typeof track.captions_url === "string" &&
+        track.captions_url
+      ) {
+        tracks.push(track);
+      }
+    }
+  }
+  const defaultUrl = node.captions_url;
+  if (
+    typeof defaultUrl === "string" &&
+    defaultUrl &&
+    !tracks.some((t) => t.captions_url === defaultUrl)
+  ) {
+    tracks.push({ locale: "default", captions_url: defaultUrl });
+  }
+  return tracks;
+}
+
+/**
+ * Get the caption tracks of a video, from the media itself or from videoCaptionCache.
+ * @param {Media} media
+ * @returns {VideoCaptionLocale[]}
+ */
+function getVideoCaptionLocales(media) {
+  if (media.__typename !== "Video") return [];
+  const tracks = getCaptionLocales(
+    /** @type {Record<string, unknown>} */ (media),
+  );
+  if (tracks.length > 0) return tracks;
+  return videoCaptionCache.get(media.id) ?? [];
+}
+
+/**
+ * Get the resolution of a thumbnail, from its dimensions or the size encoded in its CDN URL
+ * (e.g. `stp=dst-jpg_s960x960`).
+ * @param {{ uri: string, width?: unknown, height?: unknown }} image
+ * @returns {number}
+ */
+function getThumbnailSize(image) {
+  if (typeof image.width === "number" && typeof image.height === "number") {
+    return image.width * image.height;
+  }
+  const match = /_[a-z](\d+)x(\d+)/.exec(
+    new URL(image.uri).searchParams.get("stp") ?? "",
+  );
+  return match ? Number(match[1]) * Number(match[2]) : 0;
+}
+
+/**
+ * Get the highest-resolution thumbnail URL of a video node.
+ * @param {Record<string, unknown>} node
+ * @returns {string | undefined}
+ */
+function getThumbnailUrl(node) {
+  /** @type {any} */
+  const n = node;
+  /** @type {{ uri: string, width?: unknown, height?: unknown }[]} */
+  const candidates = [];
+  for (const image of [n.preferred_thumbnail?.image, n.thumbnailImage]) {
+    if (typeof image?.uri === "string" && image.uri) candidates.push(image);
+  }
+  if (typeof n.first_frame_thumbnail === "string" && n.first_frame_thumbnail) {
+    candidates.push({ uri: n.first_frame_thumbnail });
+  }
+
+  /** @type {{ uri: string, size: number } | undefined} */
+  let best;
+  for (const image of candidates) {
+    let size = 0;
+    try {
+      size = getThumbnailSize(image);
+    } catch {
+      continue;
+    }
+    if (!best || size > best.size) best = { uri: image.uri, size };
+  }
+  return best?.uri;
+}
+
+/**
+ * Get the poster thumbnail URL of a video, from the media itself or from videoThumbnailCache.
+ * @param {Media} media
+ * @returns {string | undefined}
+ */
+function getVideoThumbnailUrl(media) {
+  if (media.__typename !== "Video") return undefined;
+  return (
+    getThumbnailUrl(/** @type {Record<string, unknown>} */ (media)) ??
+    videoThumbnailCache.get(media.id)
+  );
+}
+
 /**
  * Get the number of attachments in a story.
  * @param {Story} story
@@ -141,6 +584,11 @@ export function getAttachmentCount(story) {
   if (isStoryPost(story)) {
     const attachment = story.attachments[0]?.styles.attachment;
     if (!attachment) return 0;
+    if (isEventAttachment(attachment)) return 1;
+    // Polls have no media; they are rendered from getStoryPoll
+    if (isPollAttachment(attachment)) return 0;
+    if (isLinkShareAttachment(attachment))
+      return toMediaLink(attachment) ? 1 : 0;
     if ("all_subattachments" in attachment)
       return attachment.all_subattachments.count;
     // Check for shorts video (fb_shorts_story with attachments)
@@ -151,22 +599,54 @@ export function getAttachmentCount(story) {
     if ("media" in attachment && attachment.media) return 1;
     return 0;
   }
-  if (isStoryVideo(story) || isStoryWatch(story)) {
+  if (
+    isStoryVideo(story) ||
+    isStoryWatch(story) ||
+    isStoryCard(story) ||
+    isStoryGridMedia(story)
+  ) {
     return 1;
   }
+  if (isStoryMarketplaceListing(story)) {
+    return story.attachments.length;
+  }
   return 0;
 }
 
+/**
+ * Get the chain of stories a story reshares: its attached_story, the story that one
+ * shares, and so on down to the original post.
+ * @param {Story} story
+ * @returns {StoryPost[]}
+ */
+export function getAttachedStories(story) {
+  /** @type {StoryPost[]} */
+  const chain = [];
+  /** @type {Set<string>} */
+  const seen = new Set([getStoryId(story)]);
+  let current = isStoryPost(story) ? story.attached_story : null;
+  while (current && chain.length < MAX_RESHARE_DEPTH && !seen.has(current.id)) {
+    seen.add(current.id);
+    chain.push(current);
+    current = current.attached_story;
+  }
+  return chain;
+}
+
 /**
  * Get the total number of files to download for a story.
- * This includes attachments + index.md + attached_story attachments (if any).
+ * This includes attachments + index.md + index.html + story.json + the attachments of
+ * every reshared story (if any).
+ * Comment, edit history, caption, thumbnail and calendar files are only known once fetched, so they are not counted here.
  * @param {Story} story
  * @returns {number}
  */
 export function getDownloadCount(story) {
-  let count = getAttachmentCount(story) + 1; // +1 for index.md
-  if (isStoryPost(story) && story.attached_story) {
-    count += getAttachmentCount(story.attached_story);
+  // Only the album's index.md is known before its photos are walked
+  if (isStoryProfileAlbum(story)) return 1;
+  let count = getAttachmentCount(story) + 3; // +3 for index.md, index.html and story.json
+  for (const attachedStory of getAttachedStories(story)) {
+    count += getAttachmentCount(attachedStory);
   }
   return count;
 }
@@ -187,7 +667,7 @@ function isMediaId(obj) {
 /**
  * Fetch navigation info for a media node.
  * @param {MediaId} currentId
- * @param {string} mediasetToken
+ * @param {string | undefined} mediasetToken - Omitted when the media is not known to be part of a set
  * @returns {Promise<{ currMedia: Media | undefined, nextId: MediaId | undefined }>}
  */
 async function fetchMediaNav(currentId, mediasetToken) {
@@ -220,6 +700,10 @@ async function fetchMediaNav(currentId, mediasetToken) {
     }
   }
 
+  // Failed requests throw, so this is media that was removed or is not visible to the user
+  if (!currMedia) {
+    console.warn("[fpdl] no media in response", apiName, currentId.id);
+  }
   return { currMedia, nextId };
 }
 
@@ -240,7 +724,18 @@ async function* fetchAttachments(story) {
 
     // First, use media directly from the story attachment
     const attachment = story.attachments[0]?.styles?.attachment;
-    if (attachment && "all_subattachments" in attachment) {
+    if (isEventAttachment(attachment)) {
+      yield toMediaEvent(attachment);
+      downloadedCount++;
+    } else if (isPollAttachment(attachment)) {
+      // No media to download
+    } else if (isLinkShareAttachment(attachment)) {
+      const link = toMediaLink(attachment);
+      if (link) {
+        yield link;
+        downloadedCount++;
+      }
+    } else if (attachment && "all_subattachments" in attachment) {
       // Multiple media - use all_subattachments
       for (const node of attachment.all_subattachments.nodes) {
         if (node?.media) {
@@ -292,16 +787,63 @@ async function* fetchAttachments(story) {
     yield story.attachments[0].media;
   }
 
-  // For StoryWatch, use cached video URL
+  // For StoryCard, use the card's photo or video, preferring DASH delivery info
+  if (isStoryCard(story)) {
+    const media = story.attachments[0].media;
+    if (isMediaPhoto(media) || isMediaVideo(media)) {
+      yield media;
+    } else {
+      const url =
+        media.browser_native_hd_url ??
+        media.playable_url_quality_hd ??
+        media.browser_native_sd_url ??
+        media.playable_url;
+      if (url) {
+        /** @type {MediaWatch} */
+        const video = { __typename: "Video", id: media.id, url };
+        yield video;
+      }
+    }
+  }
+
+  // For StoryGridMedia, fetch the full-size media since grids only carry thumbnails
+  if (isStoryGridMedia(story)) {
+    const media = story.attachments[0].media;
+    /** @type {Media | undefined} */
+    let fullMedia;
+    try {
+      const nav = await fetchMediaNav(
+        media,
+        story.post_id ? `pcb.${story.post_id}` : undefined,
+      );
+      fullMedia = nav.currMedia;
+    } catch (err) {
+      if (isBlockingError(err)) throw err;
+      console.warn("[fpdl] failed to fetch full-size media", media.id, err);
+    }
+    yield fullMedia ?? media;
+  }
+
+  // For StoryMarketplaceListing, use the listing photos
+  if (isStoryMarketplaceListing(story)) {
+    for (const { media } of story.attachments) {
+      yield media;
+    }
+  }
+
+  // For StoryWatch, use the cached DASH representations
   if (isStoryWatch(story)) {
     const videoId = story.attachments[0].media.id;
-    const videoUrl = videoUrlCache.get(videoId);
-    if (videoUrl) {
+    const video = selectRepresentation(
+      videoRepresentationCache.get(videoId) ?? [],
+      "video",
+    );
+    if (video) {
       /** @type {MediaWatch} */
       const media = {
         __typename: "Video",
         id: videoId,
-        url: videoUrl,
+        url: video.base_url,
       };
       yield media;
     }
@@ -309,69 +851,361 @@ async function* fetchAttachments(story) {
 }
 
 /**
- * Sanitize a string for use in a filename.
- * @param {string} str
- * @returns {string}
+ * Get the values available to naming templates for a story.
+ * @param {Story} story
+ * @returns {NamingContext}
  */
-function sanitizeFilename(str) {
-  return str.replace(/[<>:"/\\|?*]/g, "_").trim();
+function getNamingContext(story) {
+  return {
+    date: getCreateTime(story),
+    group: getGroup(story)?.name,
+    author: getStoryActor(story)?.name,
+    post_id: getStoryPostId(story),
+    title: getStoryMediaTitle(story) ?? getStoryMessage(story),
+  };
 }
 
 /**
- * Build the folder name for a story download.
- * Format: {date:YYYY-MM-DD}_{groupName}_{actorName}_{post_id}
+ * Build the folder path for a story download from the folder template.
+ * Falls back to the post_id if the template renders empty.
  * @param {Story} story
+ * @param {string} template
  * @returns {string}
  */
-function buildFolderName(story) {
-  const parts = [];
+function buildFolderName(story, template) {
+  const context = getNamingContext(story);
+  return renderTemplate(template, context) || sanitizeFilename(context.post_id);
+}
 
-  // Date part
-  const createTime = getCreateTime(story);
-  if (createTime) {
-    const year = createTime.getFullYear();
-    const month = String(createTime.getMonth() + 1).padStart(2, "0");
-    const day = String(createTime.getDate()).padStart(2, "0");
-    parts.push(`${year}-${month}-${day}`);
+/**
+ * Turn a path relative to the story folder into a relative URL for Markdown and HTML links.
+ * @param {string} path
+ * @returns {string}
+ */
+function toRelativeUrl(path) {
+  const encoded = path
+    .split("/")
+    .map((segment) =>
+      encodeURIComponent(segment).replace(/[()]/g, (c) =>
+        c === "(" ? "%28" : "%29",
+      ),
+    )
+    .join("/");
+  return `./${encoded}`;
+}
+
+/**
+ * Escape text for use as the label of a Markdown link.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeLinkText(text) {
+  return text.replace(/([\\[\]])/g, "\\$1");
+}
+
+/**
+ * Percent-encode the characters that would end a Markdown link destination early.
+ * @param {string} url
+ * @returns {string}
+ */
+function toMarkdownUrl(url) {
+  return url.replace(/[\s()<>]/g, (c) =>
+    c === "(" ? "%28" : c === ")" ? "%29" : encodeURI(c),
+  );
+}
+
+/**
+ * Unwrap Facebook's outbound link redirect (l.facebook.com/l.php?u=...) to the target URL.
+ * @param {string} url
+ * @returns {string}
+ */
+export function unwrapFacebookRedirect(url) {
+  try {
+    const u = new URL(url);
+    if (/^(l|lm)\.facebook\.com$/.test(u.hostname) && u.pathname === "/l.php") {
+      return u.searchParams.get("u") || url;
+    }
+  } catch {
+    // not a valid URL, keep as-is
   }
+  return url;
+}
 
-  // Group name part
-  const group = getGroup(story);
-  if (group) {
-    parts.push(sanitizeFilename(group.name));
+/**
+ * Get the link target for a message entity range.
+ * @param {import('./types').EntityRange['entity']} entity
+ * @param {string} label - The linked text
+ * @returns {string | undefined}
+ */
+function getEntityLink(entity, label) {
+  if (entity.__typename === "Hashtag") {
+    const tag = label.replace(/^#/, "");
+    return `https://www.facebook.com/hashtag/${encodeURIComponent(tag)}`;
   }
+  const url = entity.profile_url || entity.url;
+  if (!url) return undefined;
+  return unwrapFacebookRedirect(url);
+}
 
-  // Actor name part
-  const actor = getStoryActor(story);
-  if (actor) {
-    parts.push(sanitizeFilename(actor.name));
+/**
+ * Split a message into plain text and linked segments for its mentions, hashtags and URLs.
+ * @param {TextWithEntities} message
+ * @returns {Array<{ text: string, link?: string }>}
+ */
+function splitTextWithEntities(message) {
+  // Range offsets count Unicode code points, so index into an array of them
+  const chars = Array.from(message.text);
+  const ranges = [...(message.ranges ?? [])].sort(
+    (a, b) => a.offset - b.offset,
+  );
+
+  /** @type {Array<{ text: string, link?: string }>} */
+  const segments = [];
+  let pos = 0;
+  for (const range of ranges) {
+    if (!range?.entity || range.offset < pos || range.length <= 0) continue;
+    const label = chars
+      .slice(range.offset, range.offset + range.length)
+      .join("");
+    const link = getEntityLink(range.entity, label);
+    if (!link) continue;
+
+    if (range.offset > pos) {
+      segments.push({ text: chars.slice(pos, range.offset).join("") });
+    }
+    segments.push({ text: label, link });
+    pos = range.offset + range.length;
   }
+  if (pos < chars.length) segments.push({ text: chars.slice(pos).join("") });
+  return segments;
+}
 
-  // Post ID part (always included)
-  parts.push(getStoryPostId(story));
+/**
+ * Render a message to markdown, turning mentions, hashtags and URLs into links.
+ * @param {TextWithEntities} message
+ * @returns {string}
+ */
+function renderTextWithEntities(message) {
+  return splitTextWithEntities(message)
+    .map(({ text, link }) =>
+      link ? `[${escapeLinkText(text)}](${toMarkdownUrl(link)})` : text,
+    )
+    .join("");
+}
 
-  return parts.join("_");
+/**
+ * Render the message of a story to markdown with entity links.
+ * @param {Story} story
+ * @returns {string | undefined}
+ */
+function renderStoryMessage(story) {
+  const message = getStoryTextWithEntities(story);
+  if (!message?.text) return undefined;
+  return renderTextWithEntities(message);
 }
 
 /**
- * Render a story to markdown content.
+ * Render the engagement metrics of a story to a single line.
+ * e.g. "6146 reactions (Like 5974, Haha 72) · 399 comments · 305 shares"
  * @param {Story} story
- * @param {Array<{ media: Media, filename: string }>} attachments
- * @param {string} [quoted_story] - Pre-rendered quoted story content
- * @returns {string}
+ * @returns {string | undefined}
  */
-function renderStory(story, attachments, quoted_story) {
-  const lines = [];
+function renderStoryMetrics(story) {
+  const metrics = getStoryMetrics(story);
+  if (!metrics) return undefined;
 
-  // URL
-  lines.push(`**URL:** ${getStoryUrl(story)}`);
-  lines.push("");
+  const parts = [];
+  if (metrics.reactionCount !== undefined) {
+    let reactions = `${metrics.reactionCount} reactions`;
+    if (metrics.reactions && metrics.reactions.length > 0) {
+      const breakdown = metrics.reactions
+        .map((r) => `${r.name} ${r.count}`)
+        .join(", ");
+      reactions += ` (${breakdown})`;
+    }
+    parts.push(reactions);
+  }
+  if (metrics.commentCount !== undefined) {
+    parts.push(`${metrics.commentCount} comments`);
+  }
+  if (metrics.shareCount !== undefined) {
+    parts.push(`${metrics.shareCount} shares`);
+  }
+  return parts.length > 0 ? parts.join(" · ") : undefined;
+}
 
-  // Group
-  const group = getGroup(story);
-  if (group) {
-    lines.push(`**Group:** ${group.name}`);
-    lines.push("");
+/**
+ * Render the price of a listing, e.g. "$150 (150.00 USD)".
+ * @param {MarketplaceListing} listing
+ * @returns {string | undefined}
+ */
+function renderListingPrice(listing) {
+  const exact =
+    listing.price !== null
+      ? [listing.price, listing.currency].filter(Boolean).join(" ")
+      : undefined;
+  if (listing.formatted_price && exact) {
+    return `${listing.formatted_price} (${exact})`;
+  }
+  return listing.formatted_price ?? exact;
+}
+
+/**
+ * Get the labelled details (price, condition, location) of a listing, skipping unknown values.
+ * @param {MarketplaceListing} listing
+ * @returns {Array<[string, string]>}
+ */
+function getListingDetails(listing) {
+  /** @type {Array<[string, string | null | undefined]>} */
+  const details = [
+    ["Price", renderListingPrice(listing)],
+    ["Condition", listing.condition],
+    ["Location", listing.location],
+  ];
+  return details.flatMap(([label, value]) => (value ? [[label, value]] : []));
+}
+
+/**
+ * Render a link share to a markdown card (a blockquote with the preview, headline,
+ * description and domain).
+ * @param {MediaLink} media
+ * @param {string | null} filename - Local preview image, if downloaded
+ * @returns {string[]}
+ */
+function renderLinkCard(media, filename) {
+  const title = escapeLinkText(media.title ?? media.domain ?? media.url);
+  const url = toMarkdownUrl(media.url);
+
+  /** @type {string[]} */
+  const card = [];
+  if (filename) card.push(`[![${title}](${toRelativeUrl(filename)})](${url})`);
+  card.push(`**[${title}](${url})**`);
+  if (media.description) card.push(media.description.replace(/\s+/g, " "));
+  if (media.domain) card.push(`*${media.domain}*`);
+
+  return [...card.flatMap((line) => [`> ${line}`, ">"]).slice(0, -1), ""];
+}
+
+/**
+ * Render the voting rules and state of a poll, e.g. "Multiple answers · Closed · 15 votes".
+ * @param {StoryPoll} poll
+ * @returns {string}
+ */
+function renderPollSummary(poll) {
+  const parts = [];
+  if (poll.multiple_choice !== null) {
+    parts.push(poll.multiple_choice ? "Multiple answers" : "Single answer");
+  }
+  if (poll.closed !== null) parts.push(poll.closed ? "Closed" : "Open");
+  if (poll.options.some((option) => option.votes !== null)) {
+    const total = poll.options.reduce((sum, o) => sum + (o.votes ?? 0), 0);
+    parts.push(`${total} votes`);
+  }
+  return parts.join(" · ");
+}
+
+/**
+ * Render a poll to a markdown table of its options and vote counts.
+ * @param {StoryPoll} poll
+ * @returns {string[]}
+ */
+function renderPollTable(poll) {
+  /** @param {string} text */
+  const escape = (text) =>
+    text.replace(/\\/g, "\\\\").replace(/\|/g, "\\|").replace(/\s+/g, " ");
+
+  const lines = [`**Poll:** ${escape(poll.question)}`, ""];
+  lines.push("| Option | Votes |", "| :----- | ----: |");
+  for (const option of poll.options) {
+    lines.push(`| ${escape(option.text)} | ${option.votes ?? "?"} |`);
+  }
+  lines.push("");
+  const summary = renderPollSummary(poll);
+  if (summary) lines.push(`*${summary}*`, "");
+  return lines;
+}
+
+/**
+ * Convert a Unix timestamp (seconds) to an ISO 8601 string.
+ * @param {number | null} timestamp
+ * @returns {string | null}
+ */
+function toIsoTime(timestamp) {
+  return timestamp === null ? null : new Date(timestamp * 1000).toISOString();
+}
+
+/**
+ * Render the start and end time of an event, e.g. "2024-01-15T18:00:00.000Z – 2024-01-15T20:00:00.000Z".
+ * @param {MediaEvent} media
+ * @returns {string | undefined}
+ */
+function renderEventTime(media) {
+  const start = toIsoTime(media.start_time);
+  if (!start) return undefined;
+  const end = toIsoTime(media.end_time);
+  return end && end !== start ? `${start} – ${end}` : start;
+}
+
+/**
+ * Render an event to a markdown card (a blockquote with the cover photo, name, time,
+ * location, host, description and a link to the .ics file).
+ * @param {MediaEvent} media
+ * @param {string | null} filename - Local cover photo, if downloaded
+ * @param {string | null} calendar - Local .ics file, if saved
+ * @returns {string[]}
+ */
+function renderEventCard(media, filename, calendar) {
+  const name = escapeLinkText(media.name);
+  const url = toMarkdownUrl(media.url);
+
+  /** @type {string[]} */
+  const card = [];
+  if (filename) card.push(`[![${name}](${toRelativeUrl(filename)})](${url})`);
+  card.push(`**Event: [${name}](${url})**`);
+  const time = renderEventTime(media);
+  if (time) card.push(`**When:** ${time}`);
+  if (media.location) card.push(`**Where:** ${media.location}`);
+  if (media.host) card.push(`**Host:** ${media.host}`);
+  if (media.description) card.push(media.description.replace(/\s+/g, " "));
+  if (calendar) card.push(`[Add to calendar](${toRelativeUrl(calendar)})`);
+
+  return [...card.flatMap((line) => [`> ${line}`, ">"]).slice(0, -1), ""];
+}
+
+/**
+ * Render a story to markdown content.
+ * @param {Story} story
+ * @param {DownloadedMedia[]} attachments
+ * @param {string} [quoted_story] - Pre-rendered quoted story content
+ * @param {number | FetchFailure} [commentCount] - Number of comments exported to comments.md, or why they are missing
+ * @param {number | FetchFailure} [revisionCount] - Number of versions exported to history.md, or why they are missing
+ * @returns {string}
+ */
+function renderStory(
+  story,
+  attachments,
+  quoted_story,
+  commentCount,
+  revisionCount,
+) {
+  const lines = [];
+
+  // URL
+  lines.push(`**URL:** ${getStoryUrl(story)}`);
+  lines.push("");
+
+  // Source post (for photos and videos from a media grid)
+  const sourcePostUrl = getStorySourcePostUrl(story);
+  if (sourcePostUrl) {
+    lines.push(`**Post:** ${sourcePostUrl}`);
+    lines.push("");
+  }
+
+  // Group
+  const group = getGroup(story);
+  if (group) {
+    lines.push(`**Group:** ${group.name}`);
+    lines.push("");
   }
 
   // Actor
@@ -388,6 +1222,13 @@ function renderStory(story, attachments, quoted_story) {
     lines.push("");
   }
 
+  // Engagement
+  const engagement = renderStoryMetrics(story);
+  if (engagement) {
+    lines.push(`**Engagement:** ${engagement}`);
+    lines.push("");
+  }
+
   // Video title (for StoryVideo/StoryWatch with media title)
   const mediaTitle = getStoryMediaTitle(story);
   if (mediaTitle) {
@@ -397,8 +1238,17 @@ function renderStory(story, attachments, quoted_story) {
     lines.push("");
   }
 
+  // Marketplace listing details
+  const listing = getStoryListing(story);
+  if (listing) {
+    for (const [label, value] of getListingDetails(listing)) {
+      lines.push(`**${label}:** ${value}`);
+      lines.push("");
+    }
+  }
+
   // Message
-  const message = getStoryMessage(story);
+  const message = renderStoryMessage(story);
   if (message) {
     lines.push("---");
     lines.push("");
@@ -406,16 +1256,58 @@ function renderStory(story, attachments, quoted_story) {
     lines.push("");
   }
 
+  // Poll
+  const poll = getStoryPoll(story);
+  if (poll) {
+    lines.push("---");
+    lines.push("");
+    lines.push(...renderPollTable(poll));
+  }
+
   // Attachments
   if (attachments.length > 0) {
     lines.push("---");
     lines.push("");
-    for (const { media, filename } of attachments) {
+    for (const {
+      media,
+      filename,
+      subtitles,
+      thumbnail,
+      calendar,
+    } of attachments) {
+      if (isMediaLink(media)) {
+        lines.push(...renderLinkCard(media, filename));
+        continue;
+      }
+      if (isMediaEvent(media)) {
+        lines.push(...renderEventCard(media, filename, calendar));
+        continue;
+      }
+      if (!filename) continue;
+
       const basename = filename.split("/").pop() || filename;
+      const link = toRelativeUrl(filename);
       if (media.__typename === "Video") {
-        lines.push(`- [${basename}](./${basename})`);
+        // With a thumbnail, render a poster image that links to the video
+        const label = thumbnail
+          ? `![${basename}](${toRelativeUrl(thumbnail)})`
+          : basename;
+        lines.push(`- [${label}](${link})`);
+        for (const { locale, language, srt, vtt } of subtitles) {
+          lines.push(
+            `  - Captions (${language ?? locale}): [srt](${toRelativeUrl(srt)}) · [vtt](${toRelativeUrl(vtt)})`,
+          );
+        }
       } else {
-        lines.push(`![${basename}](./${basename})`);
+        const caption = getMediaCaption(media)?.replace(/\s+/g, " ");
+        if (caption) {
+          const alt = caption.replace(/([[\]])/g, "\\$1");
+          lines.push(`![${alt}](${link})`);
+          lines.push(`*${caption.replace(/\*/g, "\\*")}*`);
+          lines.push("");
+        } else {
+          lines.push(`![${basename}](${link})`);
+        }
       }
     }
     lines.push("");
@@ -431,56 +1323,880 @@ function renderStory(story, attachments, quoted_story) {
     lines.push("");
   }
 
+  // Comments
+  if (typeof commentCount === "number" && commentCount > 0) {
+    lines.push("---");
+    lines.push("");
+    lines.push(`**Comments:** [${commentCount} comments](./comments.md)`);
+    lines.push("");
+  } else if (commentCount === "failed") {
+    lines.push("---");
+    lines.push("");
+    lines.push("**Comments:** could not be downloaded");
+    lines.push("");
+  } else if (commentCount === "unavailable") {
+    lines.push("---");
+    lines.push("");
+    lines.push(
+      "**Comments:** not downloaded, Facebook had not loaded comments on the page yet. Open the post's comments on Facebook, then download it again.",
+    );
+    lines.push("");
+  }
+
+  // Edit history
+  if (typeof revisionCount === "number" && revisionCount > 0) {
+    lines.push("---");
+    lines.push("");
+    lines.push(`**Edited:** [${revisionCount} versions](./history.md)`);
+    lines.push("");
+  } else if (revisionCount === "failed") {
+    lines.push("---");
+    lines.push("");
+    lines.push("**Edited:** yes, the edit history could not be downloaded");
+    lines.push("");
+  } else if (revisionCount === "unavailable") {
+    lines.push("---");
+    lines.push("");
+    lines.push(
+      "**Edited:** yes, Facebook had not loaded the edit history on the page yet. Open the post's edit history on Facebook, then download it again.",
+    );
+    lines.push("");
+  }
+
   return lines.join("\n");
 }
 
+/**
+ * Render a link share to an HTML card linking to the shared page.
+ * @param {MediaLink} media
+ * @param {string | null} filename - Local preview image, if downloaded
+ * @returns {string}
+ */
+function renderLinkCardHtml(media, filename) {
+  const parts = [`<a class="link-card" href="${escapeHtml(media.url)}">`];
+  if (filename) {
+    parts.push(`<img src="${escapeHtml(toRelativeUrl(filename))}" alt="">`);
+  }
+  parts.push('<span class="link-card-body">');
+  if (media.domain) {
+    parts.push(
+      `<span class="link-card-domain">${escapeHtml(media.domain)}</span>`,
+    );
+  }
+  parts.push(
+    `<span class="link-card-title">${escapeHtml(media.title ?? media.url)}</span>`,
+  );
+  if (media.description) {
+    parts.push(
+      `<span class="link-card-description">${escapeHtml(media.description)}</span>`,
+    );
+  }
+  parts.push("</span>", "</a>");
+  return parts.join("");
+}
+
+/**
+ * Render an event to an HTML card with its cover photo, details and a link to the .ics file.
+ * @param {MediaEvent} media
+ * @param {string | null} filename - Local cover photo, if downloaded
+ * @param {string | null} calendar - Local .ics file, if saved
+ * @returns {string}
+ */
+function renderEventCardHtml(media, filename, calendar) {
+  const parts = ['<div class="event-card">'];
+  if (filename) {
+    parts.push(`<img src="${escapeHtml(toRelativeUrl(filename))}" alt="">`);
+  }
+  parts.push('<div class="event-card-body">');
+  parts.push(
+    `<a class="event-card-title" href="${escapeHtml(media.url)}">${escapeHtml(media.name)}</a>`,
+  );
+  const start = toIsoTime(media.start_time);
+  if (start) {
+    const end = toIsoTime(media.end_time);
+    let time = `<time datetime="${start}">${start}</time>`;
+    if (end && end !== start)
+      time += ` – <time datetime="${end}">${end}</time>`;
+    parts.push(`<div class="event-card-detail">${time}</div>`);
+  }
+  if (media.location) {
+    parts.push(
+      `<div class="event-card-detail">${escapeHtml(media.location)}</div>`,
+    );
+  }
+  if (media.host) {
+    parts.push(
+      `<div class="event-card-detail">Hosted by ${escapeHtml(media.host)}</div>`,
+    );
+  }
+  if (media.description) {
+    parts.push(
+      `<div class="event-card-description">${escapeHtml(media.description)}</div>`,
+    );
+  }
+  if (calendar) {
+    parts.push(
+      `<a href="${escapeHtml(toRelativeUrl(calendar))}">Add to calendar</a>`,
+    );
+  }
+  parts.push("</div>", "</div>");
+  return parts.join("");
+}
+
+/**
+ * Render a story to an HTML card, with a photo gallery, video players and the
+ * quoted story nested inside.
+ * @param {Story} story
+ * @param {DownloadedMedia[]} attachments
+ * @param {string} [quotedStory] - Pre-rendered quoted story card
+ * @param {number | FetchFailure} [commentCount] - Number of comments exported to comments.md, or why they are missing
+ * @param {number | FetchFailure} [revisionCount] - Number of versions exported to history.md, or why they are missing
+ * @returns {string}
+ */
+function renderStoryHtml(
+  story,
+  attachments,
+  quotedStory,
+  commentCount,
+  revisionCount,
+) {
+  const lines = ['<article class="post">', '<header class="post-header">'];
+
+  const actor = getStoryActor(story);
+  if (actor) {
+    lines.push(`<div class="post-author">${escapeHtml(actor.name)}</div>`);
+  }
+  /** @type {string[]} */
+  const meta = [];
+  const group = getGroup(story);
+  if (group) meta.push(`in ${escapeHtml(group.name)}`);
+  const createTime = getCreateTime(story);
+  if (createTime) {
+    const iso = createTime.toISOString();
+    meta.push(`<time datetime="${iso}">${iso}</time>`);
+  }
+  meta.push(`<a href="${escapeHtml(getStoryUrl(story))}">View on Facebook</a>`);
+  const sourcePostUrl = getStorySourcePostUrl(story);
+  if (sourcePostUrl) {
+    meta.push(`<a href="${escapeHtml(sourcePostUrl)}">View post</a>`);
+  }
+  lines.push(`<div class="post-meta">${meta.join(" · ")}</div>`);
+  lines.push("</header>");
+
+  const mediaTitle = getStoryMediaTitle(story);
+  if (mediaTitle) {
+    lines.push(`<h2 class="post-title">${escapeHtml(mediaTitle)}</h2>`);
+  }
+
+  const listing = getStoryListing(story);
+  if (listing) {
+    const details = getListingDetails(listing);
+    if (details.length > 0) {
+      lines.push('<dl class="listing">');
+      for (const [label, value] of details) {
+        lines.push(`<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`);
+      }
+      lines.push("</dl>");
+    }
+  }
+
+  const message = getStoryTextWithEntities(story);
+  if (message?.text) {
+    const content = splitTextWithEntities(message)
+      .map(({ text, link }) =>
+        link
+          ? `<a href="${escapeHtml(link)}">${escapeHtml(text)}</a>`
+          : escapeHtml(text),
+      )
+      .join("");
+    lines.push(`<p class="post-message">${content}</p>`);
+  }
+
+  const poll = getStoryPoll(story);
+  if (poll) {
+    lines.push('<table class="poll">');
+    lines.push(`<caption>${escapeHtml(poll.question)}</caption>`);
+    lines.push("<thead><tr><th>Option</th><th>Votes</th></tr></thead>");
+    lines.push("<tbody>");
+    for (const option of poll.options) {
+      lines.push(
+        `<tr><td>${escapeHtml(option.text)}</td><td>${option.votes ?? "?"}</td></tr>`,
+      );
+    }
+    lines.push("</tbody>");
+    const summary = renderPollSummary(poll);
+    if (summary) {
+      lines.push(
+        `<tfoot><tr><td colspan="2">${escapeHtml(summary)}</td></tr></tfoot>`,
+      );
+    }
+    lines.push("</table>");
+  }
+
+  if (attachments.length > 0) {
+    lines.push('<div class="gallery">');
+    for (const {
+      media,
+      filename,
+      subtitles,
+      thumbnail,
+      calendar,
+    } of attachments) {
+      if (isMediaLink(media)) {
+        lines.push(renderLinkCardHtml(media, filename));
+        continue;
+      }
+      if (isMediaEvent(media)) {
+        lines.push(renderEventCardHtml(media, filename, calendar));
+        continue;
+      }
+      if (!filename) continue;
+
+      const src = escapeHtml(toRelativeUrl(filename));
+      if (media.__typename === "Video") {
+        const poster = thumbnail
+          ? ` poster="${escapeHtml(toRelativeUrl(thumbnail))}"`
+          : "";
+        lines.push('<figure class="video">');
+        lines.push(`<video controls preload="metadata" src="${src}"${poster}>`);
+        for (const { locale, language, vtt } of subtitles) {
+          lines.push(
+            `<track kind="subtitles" src="${escapeHtml(toRelativeUrl(vtt))}" srclang="${escapeHtml(locale.split("_")[0])}" label="${escapeHtml(language ?? locale)}">`,
+          );
+        }
+        lines.push("</video>");
+        if (subtitles.length > 0) {
+          const links = subtitles.map(
+            ({ locale, language, srt }) =>
+              `<a href="${escapeHtml(toRelativeUrl(srt))}">${escapeHtml(language ?? locale)}</a>`,
+          );
+          lines.push(`<figcaption>Captions: ${links.join(" · ")}</figcaption>`);
+        }
+        lines.push("</figure>");
+      } else {
+        const caption = getMediaCaption(media);
+        const alt = escapeHtml(caption ?? filename.split("/").pop() ?? "");
+        lines.push("<figure>");
+        lines.push(
+          `<a href="${src}"><img src="${src}" alt="${alt}" loading="lazy"></a>`,
+        );
+        if (caption) {
+          lines.push(`<figcaption>${escapeHtml(caption)}</figcaption>`);
+        }
+        lines.push("</figure>");
+      }
+    }
+    lines.push("</div>");
+  }
+
+  if (quotedStory) {
+    lines.push('<blockquote class="quoted">', quotedStory, "</blockquote>");
+  }
+
+  /** @type {string[]} */
+  const footer = [];
+  const engagement = renderStoryMetrics(story);
+  if (engagement) footer.push(escapeHtml(engagement));
+  if (typeof commentCount === "number" && commentCount > 0) {
+    footer.push(`<a href="./comments.md">${commentCount} comments</a>`);
+  } else if (commentCount === "failed") {
+    footer.push("Comments could not be downloaded");
+  } else if (commentCount === "unavailable") {
+    footer.push(
+      "Comments not downloaded (open the post's comments on Facebook, then download it again)",
+    );
+  }
+  if (typeof revisionCount === "number" && revisionCount > 0) {
+    footer.push(
+      `<a href="./history.md">Edited (${revisionCount} versions)</a>`,
+    );
+  } else if (revisionCount === "failed") {
+    footer.push("Edited (the edit history could not be downloaded)");
+  } else if (revisionCount === "unavailable") {
+    footer.push(
+      "Edited (open the post's edit history on Facebook, then download it again)",
+    );
+  }
+  if (footer.length > 0) {
+    lines.push(`<p class="post-metrics">${footer.join(" · ")}</p>`);
+  }
+
+  lines.push("</article>");
+  return lines.join("\n");
+}
+
+/**
+ * Build the normalized story.json representation of a story.
+ * @param {Story} story
+ * @param {DownloadedMedia[]} attachments
+ * @param {StoryJsonStory | null} attachedStory
+ * @returns {StoryJsonStory}
+ */
+function buildStoryJson(story, attachments, attachedStory) {
+  const actor = getStoryActor(story);
+  const group = getGroup(story);
+  return {
+    id: getStoryId(story),
+    post_id: getStoryPostId(story),
+    url: getStoryUrl(story),
+    author: actor ? { id: actor.id, name: actor.name } : null,
+    group: group ? { id: group.id, name: group.name } : null,
+    created_time: getCreateTime(story)?.toISOString() ?? null,
+    title: getStoryMediaTitle(story) ?? null,
+    message: getStoryMessage(story) ?? null,
+    metrics: getStoryMetrics(story) ?? null,
+    poll: getStoryPoll(story) ?? null,
+    post_url: getStorySourcePostUrl(story) ?? null,
+    listing: getStoryListing(story) ?? null,
+    media: attachments.map(
+      ({ media, url, filename, subtitles, thumbnail, calendar }) => ({
+        id: media.id,
+        type: isMediaLink(media)
+          ? "link"
+          : isMediaEvent(media)
+            ? "event"
+            : media.__typename === "Video"
+              ? "video"
+              : "photo",
+        url,
+        filename,
+        caption: getMediaCaption(media) ?? null,
+        subtitles,
+        thumbnail,
+        link: isMediaLink(media)
+          ? {
+              url: media.url,
+              title: media.title,
+              description: media.description,
+              domain: media.domain,
+            }
+          : null,
+        event: isMediaEvent(media)
+          ? {
+              url: media.url,
+              name: media.name,
+              start_time: toIsoTime(media.start_time),
+              end_time: toIsoTime(media.end_time),
+              location: media.location,
+              host: media.host,
+              description: media.description,
+              calendar,
+            }
+          : null,
+      }),
+    ),
+    attached_story: attachedStory,
+  };
+}
+
+/**
+ * Encode text content as a data URL for download.
+ * @param {string} content
+ * @param {string} mimeType
+ * @returns {string}
+ */
+function toDataUrl(content, mimeType) {
+  return `data:${mimeType};charset=utf-8,` + encodeURIComponent(content);
+}
+
+/**
+ * Fetch the edit history of an edited story, swallowing errors so the rest of the story still downloads.
+ * Errors that block every request (see isBlockingError) are rethrown.
+ * @param {Story} story
+ * @returns {Promise<PostRevision[] | FetchFailure>}
+ */
+async function fetchStoryEditHistory(story) {
+  if (!isStoryEdited(story)) return [];
+  try {
+    return await fetchEditHistory(getStoryId(story));
+  } catch (err) {
+    if (isBlockingError(err)) throw err;
+    console.warn("[fpdl] failed to fetch edit history", getStoryId(story), err);
+    return isUnavailableError(err) ? "unavailable" : "failed";
+  }
+}
+
+/**
+ * Fetch comment threads for a story, swallowing errors so the rest of the story still downloads.
+ * Errors that block every request (see isBlockingError) are rethrown.
+ * @param {Story} story
+ * @returns {Promise<CommentThread[] | FetchFailure>}
+ */
+async function fetchStoryComments(story) {
+  const feedbackId = getStoryFeedbackId(story);
+  if (!feedbackId) return [];
+  try {
+    return await fetchCommentThreads(feedbackId);
+  } catch (err) {
+    if (isBlockingError(err)) throw err;
+    console.warn("[fpdl] failed to fetch comments", getStoryId(story), err);
+    return isUnavailableError(err) ? "unavailable" : "failed";
+  }
+}
+
+/**
+ * Download the caption tracks of a video as .srt and .vtt files next to it.
+ * Tracks that fail to download are skipped so the rest of the story still downloads.
+ * @param {string} storyId
+ * @param {Media} media
+ * @param {string} folder - The story folder
+ * @param {string} base - Video filename without extension, relative to the story folder
+ * @returns {AsyncGenerator<StoryFile, StoryJsonSubtitles[]>}
+ */
+async function* fetchSubtitleFiles(storyId, media, folder, base) {
+  /** @type {StoryJsonSubtitles[]} */
+  const subtitles = [];
+
+  for (const track of getVideoCaptionLocales(media)) {
+    /** @type {CaptionCue[]} */
+    let cues;
+    try {
+      cues = await fetchCaptionCues(track.captions_url);
+    } catch (err) {
+      console.warn("[fpdl] failed to fetch captions", media.id, err);
+      continue;
+    }
+    if (cues.length === 0) continue;
+
+    const locale = sanitizeFilename(track.locale);
+    yield {
+      storyId,
+      url: toDataUrl(renderSrt(cues), "application/x-subrip"),
+      filename: `${folder}/${base}.${locale}.srt`,
+    };
+    yield {
+      storyId,
+      url: toDataUrl(renderVtt(cues), "text/vtt"),
+      filename: `${folder}/${base}.${locale}.vtt`,
+    };
+    subtitles.push({
+      locale: track.locale,
+      language: track.localized_language || null,
+      srt: `${base}.${locale}.srt`,
+      vtt: `${base}.${locale}.vtt`,
+    });
+  }
+
+  return subtitles;
+}
+
+/**
+ * Download a media item together with the files saved next to it.
+ * @param {string} storyId
+ * @param {Media} media
+ * @param {{ url: string, ext: string } | undefined} download - Undefined for a link or event without an image
+ * @param {string} folder - The story folder
+ * @param {string} base - Filename without extension, relative to the story folder
+ * @param {Settings} settings
+ * @returns {AsyncGenerator<StoryFile, DownloadedMedia>}
+ */
+async function* fetchMediaFiles(
+  storyId,
+  media,
+  download,
+  folder,
+  base,
+  settings,
+) {
+  /** @type {string | null} */
+  let filename = null;
+  /** @type {string | null} */
+  let url = null;
+  if (download) {
+    filename = `${base}.${download.ext}`;
+
+    // Mux separate DASH video and audio tracks, falling back to the plain URL
+    url = download.url;
+    let fileUrl = download.url;
+    const dash = getDashDownload(media);
+    if (dash) {
+      try {
+        const blob = await fetchDashVideo(dash.video, dash.audio);
+        fileUrl = URL.createObjectURL(blob);
+        url = dash.video.base_url;
+      } catch (err) {
+        console.warn("[fpdl] failed to mux DASH video", media.id, err);
+      }
+    }
+    yield { storyId, url: fileUrl, filename: `${folder}/${filename}` };
+  }
+
+  /** @type {string | null} */
+  let thumbnail = null;
+  const thumbnailUrl = settings.videoThumbnails
+    ? getVideoThumbnailUrl(media)
+    : undefined;
+  if (thumbnailUrl) {
+    thumbnail = `${base}.thumb.jpg`;
+    yield { storyId, url: thumbnailUrl, filename: `${folder}/${thumbnail}` };
+  }
+
+  /** @type {string | null} */
+  let calendar = null;
+  const ics = isMediaEvent(media) ? renderIcs(media) : undefined;
+  if (ics) {
+    calendar = `${base}.ics`;
+    yield {
+      storyId,
+      url: toDataUrl(ics, "text/calendar"),
+      filename: `${folder}/${calendar}`,
+    };
+  }
+
+  const subtitles = yield* fetchSubtitleFiles(storyId, media, folder, base);
+  return { media, url, filename, subtitles, thumbnail, calendar };
+}
+
 /**
  * Fetch story files for download.
  * @param {Story} story
+ * @param {Settings} [settings]
  * @yields {StoryFile}
  */
-export async function* fetchStoryFiles(story) {
-  const folder = buildFolderName(story);
+export async function* fetchStoryFiles(story, settings = DEFAULT_SETTINGS) {
+  if (isStoryProfileAlbum(story)) {
+    yield* fetchAlbumFiles(story.album, settings);
+    return;
+  }
+
+  const folder = buildFolderName(story, settings.folderTemplate);
   const storyId = getStoryId(story);
+  const context = getNamingContext(story);
 
-  /** @type {Array<{ media: Media, filename: string }>} */
+  /** @type {DownloadedMedia[]} */
   const downloadedAttachments = [];
   let mediaIndex = 0;
 
   for await (const media of fetchAttachments(story)) {
     const download = getDownloadUrl(media);
-    if (!download) continue;
+    // Links and events are still rendered as cards without an image
+    if (!download && !isMediaLink(media) && !isMediaEvent(media)) continue;
 
     mediaIndex++;
-    const indexPrefix = String(mediaIndex).padStart(4, "0");
-    const filename = `${folder}/${indexPrefix}_${media.id}.${download.ext}`;
-    yield { storyId, url: download.url, filename };
-    downloadedAttachments.push({ media, filename });
+    const base = renderTemplate(settings.fileTemplate, {
+      ...context,
+      index: mediaIndex,
+      media_id: media.id,
+    });
+    downloadedAttachments.push(
+      yield* fetchMediaFiles(storyId, media, download, folder, base, settings),
+    );
   }
 
-  // Fetch attachments for attached_story if it exists
-  /** @type {string | undefined} */
-  let quotedStory;
-  if (isStoryPost(story) && story.attached_story) {
-    /** @type {Array<{ media: Media, filename: string }>} */
+  // Fetch attachments for each level of the reshare chain, outermost first
+  /** @type {Array<{ story: StoryPost, attachments: DownloadedMedia[] }>} */
+  const attachedStories = [];
+  for (const attachedStory of getAttachedStories(story)) {
+    /** @type {DownloadedMedia[]} */
     const attachedStoryAttachments = [];
-    for await (const media of fetchAttachments(story.attached_story)) {
+    for await (const media of fetchAttachments(attachedStory)) {
       const download = getDownloadUrl(media);
-      if (!download) continue;
+      if (!download && !isMediaLink(media) && !isMediaEvent(media)) continue;
 
       mediaIndex++;
-      const indexPrefix = String(mediaIndex).padStart(4, "0");
-      const filename = `${folder}/${indexPrefix}_${media.id}.${download.ext}`;
-      yield { storyId, url: download.url, filename };
-      attachedStoryAttachments.push({ media, filename });
+      const base = renderTemplate(settings.fileTemplate, {
+        ...context,
+        index: mediaIndex,
+        media_id: media.id,
+      });
+      attachedStoryAttachments.push(
+        yield* fetchMediaFiles(
+          storyId,
+          media,
+          download,
+          folder,
+          base,
+          settings,
+        ),
+      );
+    }
+    attachedStories.push({
+      story: attachedStory,
+      attachments: attachedStoryAttachments,
+    });
+  }
+
+  // Render the chain from the original post outwards, each level quoting the next
+  /** @type {string | undefined} */
+  let quotedStory;
+  /** @type {string | undefined} */
+  let quotedStoryHtml;
+  /** @type {StoryJsonStory | null} */
+  let attachedStoryJson = null;
+  for (const {
+    story: attachedStory,
+    attachments,
+  } of attachedStories.reverse()) {
+    quotedStory = renderStory(attachedStory, attachments, quotedStory);
+    quotedStoryHtml = renderStoryHtml(
+      attachedStory,
+      attachments,
+      quotedStoryHtml,
+    );
+    attachedStoryJson = buildStoryJson(
+      attachedStory,
+      attachments,
+      attachedStoryJson,
+    );
+  }
+
+  // Export comments and their attached images
+  const commentResult = await fetchStoryComments(story);
+  const commentThreads = Array.isArray(commentResult) ? commentResult : [];
+  const comments = flattenCommentThreads(commentThreads);
+  const commentCount = Array.isArray(commentResult)
+    ? comments.length
+    : commentResult;
+  if (comments.length > 0) {
+    /** @type {Map<string, string>} */
+    const commentFiles = new Map();
+    let commentMediaIndex = 0;
+    for (const comment of comments) {
+      for (const media of getCommentMedia(comment)) {
+        const download = getDownloadUrl(media);
+        if (!download) continue;
+
+        commentMediaIndex++;
+        const indexPrefix = String(commentMediaIndex).padStart(4, "0");
+        const relative = `comments/${indexPrefix}_${media.id}.${download.ext}`;
+        yield { storyId, url: download.url, filename: `${folder}/${relative}` };
+        commentFiles.set(media.id, relative);
+      }
+    }
+
+    const commentsMarkdown = renderComments(commentThreads, commentFiles);
+    yield {
+      storyId,
+      url: toDataUrl(commentsMarkdown, "text/markdown"),
+      filename: `${folder}/comments.md`,
+    };
+
+    const commentsJson = JSON.stringify(
+      serializeComments(commentThreads, commentFiles),
+      null,
+      2,
+    );
+    yield {
+      storyId,
+      url: toDataUrl(commentsJson, "application/json"),
+      filename: `${folder}/comments.json`,
+    };
+  }
+
+  // Export every version of an edited post's text
+  const revisionResult = await fetchStoryEditHistory(story);
+  const revisions = Array.isArray(revisionResult) ? revisionResult : [];
+  const revisionCount = Array.isArray(revisionResult)
+    ? revisions.length
+    : revisionResult;
+  if (revisions.length > 0) {
+    yield {
+      storyId,
+      url: toDataUrl(renderEditHistory(revisions), "text/markdown"),
+      filename: `${folder}/history.md`,
+    };
+  }
+
+  const indexMarkdown = renderStory(
+    story,
+    downloadedAttachments,
+    quotedStory,
+    commentCount,
+    revisionCount,
+  );
+  yield {
+    storyId,
+    url: toDataUrl(indexMarkdown, "text/markdown"),
+    filename: `${folder}/index.md`,
+  };
+
+  const indexHtml = renderHtmlPage(
+    getStoryMediaTitle(story) ??
+      getStoryActor(story)?.name ??
+      getStoryPostId(story),
+    renderStoryHtml(
+      story,
+      downloadedAttachments,
+      quotedStoryHtml,
+      commentCount,
+      revisionCount,
+    ),
+  );
+  yield {
+    storyId,
+    url: toDataUrl(indexHtml, "text/html"),
+    filename: `${folder}/index.html`,
+  };
+
+  /** @type {StoryJson} */
+  const storyJson = {
+    schema_version: STORY_JSON_SCHEMA_VERSION,
+    ...buildStoryJson(story, downloadedAttachments, attachedStoryJson),
+    comments_file: comments.length > 0 ? "comments.json" : null,
+    edit_history: revisions.length > 0 ? serializeEditHistory(revisions) : null,
+  };
+  yield {
+    storyId,
+    url: toDataUrl(JSON.stringify(storyJson, null, 2), "application/json"),
+    filename: `${folder}/story.json`,
+  };
+}
+
+/**
+ * Get the album ID from an album page URL (e.g. /media/set/?set=a.<id>).
+ * @param {string} url
+ * @returns {string | undefined}
+ */
+export function getAlbumId(url) {
+  let set;
+  try {
+    set = new URL(url).searchParams.get("set");
+  } catch {
+    return undefined;
+  }
+  return /^a\.(\d+)/.exec(set ?? "")?.[1];
+}
+
+/**
+ * Get the ID under which an album's files are reported, in place of a story ID.
+ * @param {string} albumId
+ * @returns {string}
+ */
+export function getAlbumDownloadId(albumId) {
+  return `album:${albumId}`;
+}
+
+/**
+ * Get the upload time of a photo or video.
+ * @param {Media} media
+ * @returns {Date | undefined}
+ */
+function getMediaCreateTime(media) {
+  const time = /** @type {Record<string, unknown>} */ (media).created_time;
+  return typeof time === "number" ? new Date(time * 1000) : undefined;
+}
+
+/**
+ * Render an album to markdown content, with each item's description and upload time.
+ * @param {Album} album
+ * @param {DownloadedMedia[]} items
+ * @returns {string}
+ */
+function renderAlbum(album, items) {
+  const lines = [];
+
+  if (album.title) {
+    lines.push(`# ${album.title}`);
+    lines.push("");
+  }
+
+  lines.push(`**URL:** ${album.url}`);
+  lines.push("");
+
+  const owner =
+    album.owner ??
+    items
+      .map(({ media }) => (isMediaPhoto(media) ? media.owner : undefined))
+      .find(Boolean);
+  if (owner) {
+    lines.push(`**Author:** ${owner.name}`);
+    lines.push("");
+  }
+
+  lines.push(`**Items:** ${items.length}`);
+  lines.push("");
+
+  for (const { media, filename } of items) {
+    if (!filename) continue;
+    lines.push("---");
+    lines.push("");
+
+    const basename = filename.split("/").pop() || filename;
+    const link = toRelativeUrl(filename);
+    if (media.__typename === "Video") {
+      lines.push(`- [${basename}](${link})`);
+    } else {
+      const alt = (getMediaCaption(media) ?? basename)
+        .replace(/\s+/g, " ")
+        .replace(/([[\]])/g, "\\$1");
+      lines.push(`![${alt}](${link})`);
+    }
+    lines.push("");
+
+    const message = isMediaPhoto(media) ? media.message : undefined;
+    if (message?.text) {
+      lines.push(renderTextWithEntities(message));
+      lines.push("");
+    }
+
+    const createTime = getMediaCreateTime(media);
+    if (createTime) {
+      lines.push(`*${createTime.toISOString()}*`);
+      lines.push("");
     }
-    quotedStory = renderStory(story.attached_story, attachedStoryAttachments);
   }
 
-  const indexMarkdown = renderStory(story, downloadedAttachments, quotedStory);
-  const indexDataUrl =
-    "data:text/markdown;charset=utf-8," + encodeURIComponent(indexMarkdown);
-  yield { storyId, url: indexDataUrl, filename: `${folder}/index.md` };
+  return lines.join("\n");
+}
+
+/**
+ * Fetch every photo and video of an album for download, walking its mediaset
+ * from the first item, followed by an album-level index.md.
+ * @param {Album} album
+ * @param {Settings} [settings]
+ * @yields {StoryFile}
+ */
+export async function* fetchAlbumFiles(album, settings = DEFAULT_SETTINGS) {
+  const storyId = getAlbumDownloadId(album.id);
+  /** @type {NamingContext} */
+  const context = {
+    author: album.owner?.name,
+    post_id: `album_${album.id}`,
+    title: album.title ?? undefined,
+  };
+  const folder =
+    renderTemplate(settings.folderTemplate, context) ||
+    sanitizeFilename(context.post_id);
+  const mediasetToken = `a.${album.id}`;
+
+  /** @type {DownloadedMedia[]} */
+  const items = [];
+  /** @type {Set<string>} */
+  const visited = new Set();
+  /** @type {MediaId | undefined} */
+  let currentId = album.first_media;
+
+  // The mediaset may wrap around to the first item, so stop at any item seen before
+  while (
+    currentId &&
+    !visited.has(currentId.id) &&
+    visited.size < MAX_ALBUM_MEDIA
+  ) {
+    visited.add(currentId.id);
+    const nav = await fetchMediaNav(currentId, mediasetToken);
+    currentId = nav.nextId;
+
+    const media = nav.currMedia;
+    if (!media) continue;
+    const download = getDownloadUrl(media);
+    if (!download) continue;
+
+    const base = renderTemplate(settings.fileTemplate, {
+      ...context,
+      date: getMediaCreateTime(media),
+      index: items.length + 1,
+      media_id: media.id,
+    });
+    items.push(
+      yield* fetchMediaFiles(storyId, media, download, folder, base, settings),
+    );
+  }
+
+  yield {
+    storyId,
+    url: toDataUrl(renderAlbum(album, items), "text/markdown"),
+    filename: `${folder}/index.md`,
+  };
 }
 
 /**
@@ -495,6 +2211,16 @@ export function getCreateTime(story) {
     return new Date(publishTime * 1000);
   }
 
+  if (isStoryCard(story)) {
+    return new Date(story.creation_time * 1000);
+  }
+
+  if (isStoryGridMedia(story) || isStoryMarketplaceListing(story)) {
+    return story.creation_time === null
+      ? undefined
+      : new Date(story.creation_time * 1000);
+  }
+
   // For StoryPost and StoryWatch, use the cache
   if (isStoryPost(story) || isStoryWatch(story)) {
     const createTime = storyCreateTimeCache.get(getStoryId(story));
@@ -526,25 +2252,55 @@ export function getStoryUrl(story) {
   if (isStoryVideo(story) || isStoryWatch(story)) {
     return `https://www.facebook.com/watch/?v=${story.attachments[0].media.id}`;
   }
+  if (isStoryGridMedia(story) || isStoryMarketplaceListing(story)) {
+    return story.url;
+  }
+  if (isStoryProfileAlbum(story)) {
+    return story.album.url;
+  }
+  if (isStoryCard(story)) {
+    const bucket = storyCardBucketCache.get(story.id);
+    if (bucket) {
+      return `https://www.facebook.com/stories/${bucket.id}/${encodeURIComponent(story.id)}/`;
+    }
+  }
   return "";
 }
 
 /**
- * Get the message text for a story.
+ * Get the message (text with mention, hashtag and link ranges) for a story.
  * @param {Story} story
- * @returns {string | undefined}
+ * @returns {TextWithEntities | undefined}
  */
-export function getStoryMessage(story) {
-  if (isStoryPost(story) || isStoryVideo(story)) {
-    return story.message?.text;
+function getStoryTextWithEntities(story) {
+  if (isStoryPost(story) || isStoryVideo(story) || isStoryCard(story)) {
+    return story.message ?? undefined;
   }
   if (isStoryWatch(story)) {
     return story.attachments[0].media.creation_story.comet_sections.message
-      ?.story?.message?.text;
+      ?.story?.message;
+  }
+  if (isStoryGridMedia(story)) {
+    const media = story.attachments[0].media;
+    return (isMediaPhoto(media) ? media.message : undefined) ?? undefined;
+  }
+  if (isStoryMarketplaceListing(story)) {
+    const description = story.listing.description;
+    return description ? { text: description } : undefined;
   }
   return undefined;
 }
 
+/**
+ * Get the message text for a story.
+ * @param {Story} story
+ * @returns {string | undefined}
+ */
+export function getStoryMessage(story) {
+  if (isStoryProfileAlbum(story)) return story.album.title ?? undefined;
+  return getStoryTextWithEntities(story)?.text;
+}
+
 /**
  * Get the post_id for a story.
  * @param {Story} story
@@ -557,6 +2313,17 @@ export function getStoryPostId(story) {
   if (isStoryWatch(story)) {
     return story.attachments[0].media.id;
   }
+  // One folder per photo or video, even when several come from the same post
+  if (
+    isStoryCard(story) ||
+    isStoryGridMedia(story) ||
+    isStoryMarketplaceListing(story)
+  ) {
+    return story.id;
+  }
+  if (isStoryProfileAlbum(story)) {
+    return story.album.id;
+  }
   throw new Error("Unknown story type: cannot get post_id");
 }
 
@@ -572,9 +2339,117 @@ export function getStoryId(story) {
   if (isStoryWatch(story)) {
     return story.attachments[0].media.creation_story.id;
   }
+  if (
+    isStoryCard(story) ||
+    isStoryGridMedia(story) ||
+    isStoryMarketplaceListing(story)
+  ) {
+    return story.id;
+  }
+  // Album files are reported under the album's download ID
+  if (isStoryProfileAlbum(story)) {
+    return getAlbumDownloadId(story.album.id);
+  }
   throw new Error("Unknown story type: cannot get id");
 }
 
+/**
+ * Get the feedback ID (the target for comments and reactions) for a story.
+ * @param {Story} story
+ * @returns {string | undefined}
+ */
+export function getStoryFeedbackId(story) {
+  if (isStoryPost(story) || isStoryVideo(story)) {
+    return story.feedback?.id;
+  }
+  return undefined;
+}
+
+/**
+ * Get the group poll of a story, with its options and vote counts.
+ * @param {Story} story
+ * @returns {StoryPoll | undefined}
+ */
+export function getStoryPoll(story) {
+  if (!isStoryPost(story)) return undefined;
+  const attachment = story.attachments[0]?.styles.attachment;
+  if (!isPollAttachment(attachment)) return undefined;
+  const poll = attachment.poll ?? attachment.target;
+  if (!poll) return undefined;
+
+  const nodes =
+    poll.options?.nodes ??
+    poll.options?.edges?.map((edge) => edge?.node ?? null) ??
+    [];
+  /** @type {StoryPoll['options']} */
+  const options = [];
+  for (const option of nodes) {
+    const text = option?.text_with_entities?.text ?? option?.text;
+    if (!option || typeof text !== "string") continue;
+    const votes =
+      option.profile_voters?.count ?? option.voters?.count ?? option.vote_count;
+    options.push({
+      text: text.trim(),
+      votes: typeof votes === "number" ? votes : null,
+    });
+  }
+
+  return {
+    id: poll.id,
+    question:
+      poll.text?.trim() ||
+      poll.title?.text?.trim() ||
+      attachment.title_with_entities?.text?.trim() ||
+      getStoryMessage(story) ||
+      "",
+    options,
+    multiple_choice:
+      poll.allows_multiple_choices ?? poll.is_multi_choice ?? null,
+    closed: poll.is_closed ?? null,
+  };
+}
+
+/**
+ * Get the listing details of a Marketplace listing.
+ * @param {Story} story
+ * @returns {MarketplaceListing | undefined}
+ */
+export function getStoryListing(story) {
+  if (isStoryMarketplaceListing(story)) return story.listing;
+  return undefined;
+}
+
+/**
+ * Get the permalink of the post a media-grid photo or video was published in.
+ * @param {Story} story
+ * @returns {string | undefined}
+ */
+export function getStorySourcePostUrl(story) {
+  if (isStoryGridMedia(story)) return story.post_url ?? undefined;
+  return undefined;
+}
+
+/**
+ * Get the engagement metrics (reactions, comments, shares) for a story.
+ * @param {Story} story
+ * @returns {StoryMetrics | undefined}
+ */
+export function getStoryMetrics(story) {
+  const feedbackId = getStoryFeedbackId(story);
+  if (!feedbackId) return undefined;
+  return storyMetricsCache.get(feedbackId);
+}
+
+/**
+ * Check if a story's text was edited after it was posted, so it has an edit history.
+ * @param {Story} story
+ * @returns {boolean}
+ */
+export function isStoryEdited(story) {
+  if (!isStoryPost(story)) return false;
+  return (storyEditCountCache.get(story.id) ?? 0) > 0;
+}
+
 /**
  * Get the primary actor for a story.
  * @param {Story} story
@@ -587,6 +2462,18 @@ export function getStoryActor(story) {
   if (isStoryWatch(story)) {
     return story.attachments[0].media.owner;
   }
+  if (isStoryCard(story)) {
+    return storyCardBucketCache.get(story.id)?.owner;
+  }
+  if (isStoryGridMedia(story)) {
+    return story.owner ?? undefined;
+  }
+  if (isStoryProfileAlbum(story)) {
+    return story.album.owner;
+  }
+  if (isStoryMarketplaceListing(story)) {
+    return story.seller ?? undefined;
+  }
   return undefined;
 }
 
@@ -602,6 +2489,9 @@ export function getStoryMediaTitle(story) {
   if (isStoryWatch(story)) {
     return story.attachments[0].media.title?.text;
   }
+  if (isStoryMarketplaceListing(story)) {
+    return story.listing.title;
+  }
   return undefined;
 }
 
@@ -684,12 +2574,77 @@ function isStoryWatch(obj) {
 }
 
 /**
- * Check if an object is a valid Story (StoryPost, StoryVideo, or StoryWatch).
+ * Check if an object is a valid StoryCard (an ephemeral 24-hour story).
+ * @param {unknown} obj
+ * @returns {obj is StoryCard}
+ */
+function isStoryCard(obj) {
+  if (!obj || typeof obj !== "object") return false;
+  const o = /** @type {Record<string, unknown>} */ (obj);
+
+  if (o.__typename !== "Story") return false;
+  if (typeof o.id !== "string" || !o.id) return false;
+  if (typeof o.creation_time !== "number") return false;
+
+  // Feed posts have a post_id and are StoryPosts
+  if ("post_id" in o) return false;
+
+  // Must have a photo or video attachment
+  if (!Array.isArray(o.attachments)) return false;
+  if (o.attachments.length === 0) return false;
+  const media = /** @type {Record<string, any>} */ (o.attachments[0])?.media;
+  if (media?.__typename !== "Photo" && media?.__typename !== "Video")
+    return false;
+  if (typeof media.id !== "string" || !media.id) return false;
+
+  return true;
+}
+
+/**
+ * Check if an object is a StoryGridMedia (normalized by extractMediaGridItems).
+ * @param {unknown} obj
+ * @returns {obj is StoryGridMedia}
+ */
+function isStoryGridMedia(obj) {
+  if (!obj || typeof obj !== "object") return false;
+  const o = /** @type {Record<string, unknown>} */ (obj);
+  return o.__typename === "GridMedia" && typeof o.id === "string";
+}
+
+/**
+ * Check if an object is a StoryProfileAlbum (normalized by extractProfileAlbums).
+ * @param {unknown} obj
+ * @returns {obj is StoryProfileAlbum}
+ */
+export function isStoryProfileAlbum(obj) {
+  if (!obj || typeof obj !== "object") return false;
+  const o = /** @type {Record<string, unknown>} */ (obj);
+  return o.__typename === "ProfileAlbum" && !!o.album;
+}
+
+/**
+ * Check if an object is a StoryMarketplaceListing (normalized by extractMarketplaceListings).
+ * @param {unknown} obj
+ * @returns {obj is StoryMarketplaceListing}
+ */
+function isStoryMarketplaceListing(obj) {
+  if (!obj || typeof obj !== "object") return false;
+  const o = /** @type {Record<string, unknown>} */ (obj);
+  return o.__typename === "MarketplaceListing" && !!o.listing;
+}
+
+/**
+ * Check if an object is a valid Story (StoryPost, StoryVideo, StoryWatch, or StoryCard).
  * @param {unknown} obj
  * @returns {obj is Story}
  */
 function isStory(obj) {
-  return isStoryPost(obj) || isStoryVideo(obj) || isStoryWatch(obj);
+  return (
+    isStoryPost(obj) ||
+    isStoryVideo(obj) ||
+    isStoryWatch(obj) ||
+    isStoryCard(obj)
+  );
 }
 
 /**
@@ -728,46 +2683,404 @@ export function extractStories(obj, results = []) {
 }
 
 /**
- * Recursively extract metadata (creation_time, url) from deeply nested objects
- * and populate storyCreateTimeCache directly.
+ * Normalize a media-grid node (the media itself, or a wrapper with the media in `node`)
+ * into a StoryGridMedia.
+ * @param {unknown} node
+ * @returns {StoryGridMedia | undefined}
+ */
+function toStoryGridMedia(node) {
+  if (!node || typeof node !== "object") return undefined;
+  const n = /** @type {Record<string, any>} */ (node);
+  const media = isMediaId(n) ? n : isMediaId(n.node) ? n.node : undefined;
+  if (!media) return undefined;
+  const m = /** @type {Record<string, any>} */ (media);
+
+  const url =
+    [n.url, m.url, m.permalink_url].find(
+      (u) => typeof u === "string" && u.startsWith("https://"),
+    ) ??
+    (m.__typename === "Video"
+      ? `https://www.facebook.com/watch/?v=${m.id}`
+      : `https://www.facebook.com/photo/?fbid=${m.id}`);
+
+  const creationTime = [m.created_time, m.creation_time, m.publish_time].find(
+    (t) => typeof t === "number",
+  );
+
+  const owner = m.owner ?? n.owner;
+  const post = m.creation_story ?? m.container_story ?? n.creation_story;
+  const postId = typeof post?.post_id === "string" ? post.post_id : null;
+  const postUrl =
+    typeof post?.url === "string"
+      ? post.url
+      : postId
+        ? `https://www.facebook.com/${postId}`
+        : null;
+
+  return {
+    __typename: "GridMedia",
+    id: m.id,
+    url,
+    creation_time: creationTime ?? null,
+    owner:
+      typeof owner?.id === "string" && typeof owner.name === "string"
+        ? /** @type {User} */ (owner)
+        : null,
+    post_id: postId,
+    post_url: postUrl,
+    attachments: [{ media: /** @type {MediaPhoto | MediaVideo} */ (media) }],
+  };
+}
+
+/**
+ * Recursively extract the photos and videos of a media grid (the Photos/Videos tab of
+ * a profile, page or group) from deeply nested objects. Only call this on media-grid
+ * responses: any connection of photos would match.
  * @param {unknown} obj
+ * @param {Story[]} [results] - Array to collect the grid items
+ * @returns {Story[]}
  */
-export function extractStoryCreateTime(obj) {
-  if (!obj || typeof obj !== "object") return;
+export function extractMediaGridItems(obj, results = []) {
+  if (!obj || typeof obj !== "object") return results;
 
   const o = /** @type {Record<string, unknown>} */ (obj);
 
-  // Check if this object has creation_time, id and url (metadata object)
-  if (
-    typeof o.creation_time === "number" &&
-    typeof o.id === "string" &&
-    typeof o.url === "string"
-  ) {
-    storyCreateTimeCache.set(o.id, o.creation_time);
+  if (Array.isArray(o.edges)) {
+    for (const edge of o.edges) {
+      const item = toStoryGridMedia(edge?.node);
+      if (item) results.push(item);
+    }
+  }
+
+  // Recurse into arrays and objects
+  if (Array.isArray(obj)) {
+    for (const item of obj) {
+      extractMediaGridItems(item, results);
+    }
+  } else {
+    for (const key of Object.keys(o)) {
+      extractMediaGridItems(o[key], results);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Build a StoryProfileAlbum from the current profile picture or cover photo, whose
+ * permalink points into its album (…&set=a.<id>).
+ * @param {StoryProfileAlbum['kind']} kind
+ * @param {User} owner
+ * @param {unknown} photo
+ * @returns {StoryProfileAlbum | undefined}
+ */
+function toStoryProfileAlbum(kind, owner, photo) {
+  if (!photo || typeof photo !== "object") return undefined;
+  const p = /** @type {Record<string, unknown>} */ (photo);
+  if (typeof p.id !== "string" || typeof p.url !== "string") return undefined;
+  const albumId = getAlbumId(p.url);
+  if (!albumId) return undefined;
+
+  return {
+    __typename: "ProfileAlbum",
+    kind,
+    album: {
+      id: albumId,
+      url: `https://www.facebook.com/media/set/?set=a.${albumId}`,
+      title: `${owner.name} - ${kind === "profile_pictures" ? "Profile pictures" : "Cover photos"}`,
+      first_media: { __typename: "Photo", id: p.id },
+      owner,
+    },
+    attachments: [],
+  };
+}
+
+/**
+ * Recursively extract the profile pictures and cover photos albums of profiles and pages
+ * (from the profile header) from deeply nested objects.
+ * @param {unknown} obj
+ * @param {Story[]} [results] - Array to collect the albums
+ * @returns {Story[]}
+ */
+export function extractProfileAlbums(obj, results = []) {
+  if (!obj || typeof obj !== "object") return results;
+
+  const o = /** @type {Record<string, any>} */ (obj);
+
+  if (typeof o.id === "string" && typeof o.name === "string") {
+    /** @type {User} */
+    const owner = { __typename: "User", id: o.id, name: o.name };
+    const profilePictures = toStoryProfileAlbum(
+      "profile_pictures",
+      owner,
+      o.profilePhoto ?? o.profile_photo,
+    );
+    if (profilePictures) results.push(profilePictures);
+    const coverPhotos = toStoryProfileAlbum(
+      "cover_photos",
+      owner,
+      o.cover_photo?.photo,
+    );
+    if (coverPhotos) results.push(coverPhotos);
+  }
+
+  // Recurse into arrays and objects
+  if (Array.isArray(obj)) {
+    for (const item of obj) {
+      extractProfileAlbums(item, results);
+    }
+  } else {
+    for (const key of Object.keys(o)) {
+      extractProfileAlbums(o[key], results);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Get the text of a field that is either a string or a { text } object.
+ * @param {unknown} value
+ * @returns {string | null}
+ */
+function getText(value) {
+  const text =
+    typeof value === "string"
+      ? value
+      : /** @type {{ text?: unknown } | null | undefined} */ (value)?.text;
+  return typeof text === "string" && text.trim() ? text.trim() : null;
+}
+
+/**
+ * Normalize a Marketplace item (GroupCommerceProductItem) from an item page into a
+ * StoryMarketplaceListing. Items in Marketplace search and browse results have no
+ * listing_photos and are skipped.
+ * @param {unknown} node
+ * @returns {StoryMarketplaceListing | undefined}
+ */
+function toStoryMarketplaceListing(node) {
+  if (!node || typeof node !== "object") return undefined;
+  const n = /** @type {Record<string, any>} */ (node);
+  if (n.__typename !== "GroupCommerceProductItem") return undefined;
+  if (typeof n.id !== "string" || !n.id) return undefined;
+  const title = getText(n.marketplace_listing_title) ?? getText(n.custom_title);
+  if (!title || !Array.isArray(n.listing_photos)) return undefined;
+
+  /** @type {Array<{ media: MediaPhoto }>} */
+  const attachments = [];
+  for (const photo of n.listing_photos) {
+    if (typeof photo?.id !== "string" || !photo.image?.uri) continue;
+    /** @type {MediaPhoto} */
+    const media = {
+      __typename: "Photo",
+      id: photo.id,
+      url: `https://www.facebook.com/marketplace/item/${n.id}/`,
+      created_time: n.creation_time,
+      image: photo.image,
+    };
+    const caption = photo.accessibility_caption;
+    if (typeof caption === "string" && caption) {
+      media.accessibility_caption = caption;
+    }
+    attachments.push({ media });
+  }
+
+  const condition = Array.isArray(n.attribute_data)
+    ? n.attribute_data.find(
+        (/** @type {any} */ a) => a?.attribute_name === "Condition",
+      )
+    : undefined;
+  const seller = n.marketplace_listing_seller;
+  const price = n.listing_price;
+  const geocode = n.location?.reverse_geocode;
+
+  return {
+    __typename: "MarketplaceListing",
+    id: n.id,
+    url: `https://www.facebook.com/marketplace/item/${n.id}/`,
+    creation_time: typeof n.creation_time === "number" ? n.creation_time : null,
+    seller:
+      typeof seller?.id === "string" && typeof seller.name === "string"
+        ? { __typename: "User", id: seller.id, name: seller.name }
+        : null,
+    listing: {
+      title,
+      price: typeof price?.amount === "string" ? price.amount : null,
+      currency: typeof price?.currency === "string" ? price.currency : null,
+      formatted_price:
+        getText(n.formatted_price) ?? getText(price?.formatted_amount),
+      location:
+        getText(n.location_text) ??
+        ([geocode?.city, geocode?.state].filter(Boolean).join(", ") || null),
+      condition: getText(condition?.label) ?? getText(n.condition),
+      description: getText(n.redacted_description) ?? getText(n.description),
+    },
+    attachments,
+  };
+}
+
+/**
+ * Recursively extract Marketplace listings (from Marketplace item pages) from deeply
+ * nested objects.
+ * @param {unknown} obj
+ * @param {Story[]} [results] - Array to collect the listings
+ * @returns {Story[]}
+ */
+export function extractMarketplaceListings(obj, results = []) {
+  if (!obj || typeof obj !== "object") return results;
+
+  const listing = toStoryMarketplaceListing(obj);
+  if (listing) {
+    results.push(listing);
+    return results;
   }
 
   // Recurse into arrays and objects
   if (Array.isArray(obj)) {
     for (const item of obj) {
-      extractStoryCreateTime(item);
+      extractMarketplaceListings(item, results);
+    }
+  } else {
+    const o = /** @type {Record<string, unknown>} */ (obj);
+    for (const key of Object.keys(o)) {
+      extractMarketplaceListings(o[key], results);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Check if the current page is a photo album (…/media/set/?set=a.<id>).
+ * @returns {boolean}
+ */
+function isAlbumPage() {
+  return !!getAlbumId(window.location.href);
+}
+
+/**
+ * Check if the current page is the Photos/Videos tab of a profile, page or group.
+ * @returns {boolean}
+ */
+function isMediaGridPage() {
+  const { pathname, search } = window.location;
+  return (
+    /\/(photos|videos|media)(\/|_|$)/.test(pathname) ||
+    /[?&]sk=(photos|videos)/.test(search)
+  );
+}
+
+/**
+ * Check if the current page is on Marketplace.
+ * @returns {boolean}
+ */
+function isMarketplacePage() {
+  return window.location.pathname.startsWith("/marketplace/");
+}
+
+/**
+ * Check if the current page can show a profile or page header, i.e. it is not the home
+ * feed or one of Facebook's own sections.
+ * @returns {boolean}
+ */
+function isProfilePage() {
+  const section =
+    /^\/(groups|marketplace|stories|watch|reel|search|events|photo|hashtag)?(\/|\.php|$)/;
+  return !section.test(window.location.pathname);
+}
+
+/**
+ * Call a visitor on every object nested in a value, depth-first.
+ * @param {unknown} obj
+ * @param {(o: Record<string, any>) => void} visit
+ */
+function walkObjects(obj, visit) {
+  if (!obj || typeof obj !== "object") return;
+
+  if (Array.isArray(obj)) {
+    for (const item of obj) {
+      walkObjects(item, visit);
     }
   } else {
+    const o = /** @type {Record<string, unknown>} */ (obj);
+    visit(o);
     for (const key of Object.keys(o)) {
-      extractStoryCreateTime(o[key]);
+      walkObjects(o[key], visit);
+    }
+  }
+}
+
+/**
+ * Recursively extract StoryBuckets (one owner's 24-hour stories) from deeply nested objects
+ * and populate storyCardBucketCache with the bucket and owner of each StoryCard.
+ * @param {unknown} obj
+ */
+export function extractStoryCardBuckets(obj) {
+  walkObjects(obj, cacheStoryCardBuckets);
+}
+
+/**
+ * Cache the story cards of a StoryBucket.
+ * @param {Record<string, any>} o
+ */
+function cacheStoryCardBuckets(o) {
+  const owner = o.story_bucket_owner;
+  if (
+    typeof o.id === "string" &&
+    typeof owner?.id === "string" &&
+    typeof owner.name === "string" &&
+    Array.isArray(o.unified_stories?.edges)
+  ) {
+    for (const edge of o.unified_stories.edges) {
+      const cardId = edge?.node?.id;
+      if (typeof cardId !== "string" || storyCardBucketCache.has(cardId))
+        continue;
+      storyCardBucketCache.set(cardId, {
+        id: o.id,
+        owner: /** @type {User} */ (owner),
+      });
     }
   }
 }
 
+/**
+ * Recursively extract metadata (creation_time, url) from deeply nested objects
+ * and populate storyCreateTimeCache directly.
+ * @param {unknown} obj
+ */
+export function extractStoryCreateTime(obj) {
+  walkObjects(obj, cacheStoryCreateTime);
+}
+
+/**
+ * Cache the creation time of a metadata object.
+ * @param {Record<string, unknown>} o
+ */
+function cacheStoryCreateTime(o) {
+  // Check if this object has creation_time, id and url (metadata object)
+  if (
+    typeof o.creation_time === "number" &&
+    typeof o.id === "string" &&
+    typeof o.url === "string"
+  ) {
+    storyCreateTimeCache.set(o.id, o.creation_time);
+  }
+}
+
 /**
  * Recursively extract group info from deeply nested objects
  * and populate storyGroupCache directly.
  * @param {unknown} obj
  */
 export function extractStoryGroupMap(obj) {
-  if (!obj || typeof obj !== "object") return;
-
-  const o = /** @type {Record<string, unknown>} */ (obj);
+  walkObjects(obj, cacheStoryGroup);
+}
 
+/**
+ * Cache the group a story was posted to.
+ * @param {Record<string, unknown>} o
+ */
+function cacheStoryGroup(o) {
   // Check if this object has id (string) and to.__typename === "Group"
   if (typeof o.id === "string" && o.to && typeof o.to === "object") {
     const to = /** @type {Record<string, unknown>} */ (o.to);
@@ -782,29 +3095,112 @@ export function extractStoryGroupMap(obj) {
       }
     }
   }
+}
 
-  // Recurse into arrays and objects
-  if (Array.isArray(obj)) {
-    for (const item of obj) {
-      extractStoryGroupMap(item);
+/**
+ * Read a `{ count: number }` connection count.
+ * @param {unknown} obj
+ * @returns {number | undefined}
+ */
+function getConnectionCount(obj) {
+  if (!obj || typeof obj !== "object") return undefined;
+  const count = /** @type {Record<string, unknown>} */ (obj).count;
+  return typeof count === "number" ? count : undefined;
+}
+
+/**
+ * Recursively extract engagement metrics from feedback objects
+ * and populate storyMetricsCache directly (keyed by feedback id).
+ * Facebook spreads one feedback over several partial objects, so fields are merged.
+ * @param {unknown} obj
+ */
+export function extractStoryMetrics(obj) {
+  walkObjects(obj, cacheStoryMetrics);
+}
+
+/**
+ * Cache the metrics of a feedback object.
+ * @param {Record<string, unknown>} o
+ */
+function cacheStoryMetrics(o) {
+  if (typeof o.id === "string") {
+    /** @type {any} */
+    const f = o;
+    /** @type {StoryMetrics} */
+    const metrics = { ...storyMetricsCache.get(o.id) };
+    let found = false;
+
+    const reactionCount = getConnectionCount(f.reaction_count);
+    if (reactionCount !== undefined) {
+      metrics.reactionCount = reactionCount;
+      found = true;
     }
-  } else {
-    for (const key of Object.keys(o)) {
-      extractStoryGroupMap(o[key]);
+
+    if (Array.isArray(f.top_reactions?.edges)) {
+      metrics.reactions = [];
+      for (const edge of f.top_reactions.edges) {
+        const name = edge?.node?.localized_name;
+        const count = edge?.reaction_count;
+        if (typeof name === "string" && typeof count === "number") {
+          metrics.reactions.push({ name, count });
+        }
+      }
+      found = true;
+    }
+
+    const commentCount =
+      f.comment_rendering_instance?.comments?.total_count ??
+      f.total_comment_count;
+    if (typeof commentCount === "number") {
+      metrics.commentCount = commentCount;
+      found = true;
+    }
+
+    const shareCount = getConnectionCount(f.share_count);
+    if (shareCount !== undefined) {
+      metrics.shareCount = shareCount;
+      found = true;
+    }
+
+    if (found) {
+      storyMetricsCache.set(o.id, metrics);
     }
   }
 }
 
 /**
- * Extract video URLs from all_video_dash_prefetch_representations in extensions field
- * and populate videoUrlCache directly.
+ * Recursively extract the edit counts of stories (edit_history.count on the story)
+ * and populate storyEditCountCache directly.
  * @param {unknown} obj
  */
-export function extractVideoUrls(obj) {
-  if (!obj || typeof obj !== "object") return;
+export function extractStoryEditCounts(obj) {
+  walkObjects(obj, cacheStoryEditCount);
+}
 
-  const o = /** @type {Record<string, unknown>} */ (obj);
+/**
+ * Cache the edit count of a story.
+ * @param {Record<string, any>} o
+ */
+function cacheStoryEditCount(o) {
+  if (typeof o.id === "string" && typeof o.edit_history?.count === "number") {
+    storyEditCountCache.set(o.id, o.edit_history.count);
+  }
+}
+
+/**
+ * Extract the DASH representations (video and audio) from all_video_dash_prefetch_representations
+ * in extensions field and populate videoRepresentationCache directly.
+ * @param {unknown} obj
+ */
+export function extractVideoUrls(obj) {
+  walkObjects(obj, cacheVideoRepresentations);
+}
 
+/**
+ * Cache the DASH representations of prefetched videos.
+ * @param {Record<string, unknown>} o
+ */
+function cacheVideoRepresentations(o) {
   // Check if this object has all_video_dash_prefetch_representations
   if (Array.isArray(o.all_video_dash_prefetch_representations)) {
     for (const prefetch of o.all_video_dash_prefetch_representations) {
@@ -812,50 +3208,141 @@ export function extractVideoUrls(obj) {
       const p = /** @type {Record<string, unknown>} */ (prefetch);
       const videoId = p.video_id;
       if (typeof videoId !== "string") continue;
-      if (videoUrlCache.has(videoId)) continue;
+      if (videoRepresentationCache.has(videoId)) continue;
 
-      // Find the best video representation (highest bandwidth, excluding audio-only)
       const representations = p.representations;
       if (!Array.isArray(representations)) continue;
 
-      /** @type {{ base_url: string, bandwidth: number } | null} */
-      let best = null;
+      /** @type {DashRepresentation[]} */
+      const list = [];
       for (const rep of representations) {
         if (!rep || typeof rep !== "object") continue;
         const r = /** @type {Record<string, unknown>} */ (rep);
         const baseUrl = r.base_url;
-        const bandwidth = r.bandwidth;
-        const mimeType = r.mime_type;
-
-        // Skip audio-only tracks
-        if (typeof mimeType === "string" && mimeType.startsWith("audio/"))
+        const bandwidth = Number(r.bandwidth);
+        if (typeof baseUrl !== "string" || !Number.isFinite(bandwidth)) {
           continue;
-
-        if (typeof baseUrl === "string" && typeof bandwidth === "number") {
-          if (!best || bandwidth > best.bandwidth) {
-            best = { base_url: baseUrl, bandwidth };
-          }
         }
+
+        /** @type {DashRepresentation} */
+        const representation = {
+          base_url: baseUrl,
+          bandwidth,
+          // Representations without a MIME type are treated as video
+          mime_type:
+            typeof r.mime_type === "string" ? r.mime_type : "video/mp4",
+        };
+        if (Number(r.width)) representation.width = Number(r.width);
+        if (Number(r.height)) representation.height = Number(r.height);
+        list.push(representation);
       }
 
-      if (best) {
-        videoUrlCache.set(videoId, best.base_url);
+      if (list.length > 0) {
+        videoRepresentationCache.set(videoId, list);
       }
     }
   }
+}
 
-  // Recurse into arrays and objects
-  if (Array.isArray(obj)) {
-    for (const item of obj) {
-      extractVideoUrls(item);
+/**
+ * Extract caption tracks from video nodes and populate videoCaptionCache.
+ * This covers videos whose story only carries the video ID (e.g. StoryWatch).
+ * @param {unknown} obj
+ */
+export function extractVideoCaptions(obj) {
+  walkObjects(obj, cacheVideoCaptions);
+}
+
+/**
+ * Cache the caption tracks of a video node.
+ * @param {Record<string, unknown>} o
+ */
+function cacheVideoCaptions(o) {
+  if (o.__typename === "Video" && typeof o.id === "string" && o.id) {
+    const tracks = getCaptionLocales(o);
+    if (tracks.length > 0 && !videoCaptionCache.has(o.id)) {
+      videoCaptionCache.set(o.id, tracks);
     }
-  } else {
-    for (const key of Object.keys(o)) {
-      extractVideoUrls(o[key]);
+  }
+}
+
+/**
+ * Extract poster thumbnails from video nodes and populate videoThumbnailCache.
+ * This covers videos whose story only carries the video ID (e.g. StoryWatch).
+ * @param {unknown} obj
+ */
+export function extractVideoThumbnails(obj) {
+  walkObjects(obj, cacheVideoThumbnail);
+}
+
+/**
+ * Cache the poster thumbnail of a video node.
+ * @param {Record<string, unknown>} o
+ */
+function cacheVideoThumbnail(o) {
+  if (o.__typename === "Video" && typeof o.id === "string" && o.id) {
+    const thumbnailUrl = getThumbnailUrl(o);
+    if (thumbnailUrl && !videoThumbnailCache.has(o.id)) {
+      videoThumbnailCache.set(o.id, thumbnailUrl);
+    }
+  }
+}
+
+/**
+ * Recursively extract the first photo or video of each album node's media connection
+ * (in the album's own order) and populate albumFirstMediaCache. The first page of an
+ * album is loaded before the rest, so an album already seen is not updated.
+ * @param {unknown} obj
+ */
+export function extractAlbumFirstMedia(obj) {
+  walkObjects(obj, cacheAlbumFirstMedia);
+}
+
+/**
+ * Cache the first media of an album node.
+ * @param {Record<string, any>} o
+ */
+function cacheAlbumFirstMedia(o) {
+  if (o.__typename === "Album" && typeof o.id === "string") {
+    // Album permalinks (…/media/set/?set=a.<id>) use the ID the album page is found by
+    const albumId = (typeof o.url === "string" && getAlbumId(o.url)) || o.id;
+    const first = o.media?.edges?.[0]?.node;
+    if (isMediaId(first) && !albumFirstMediaCache.has(albumId)) {
+      albumFirstMediaCache.set(albumId, {
+        __typename: first.__typename,
+        id: first.id,
+      });
     }
   }
 }
 
+/**
+ * Get the first photo or video of an album from the page's data, to walk the album from.
+ * @param {string} albumId
+ * @returns {MediaId | undefined}
+ */
+export function getAlbumFirstMedia(albumId) {
+  return albumFirstMediaCache.get(albumId);
+}
+
+/**
+ * Populate the caches stories are completed from (creation time, group, metrics, edit
+ * count, video sources, captions and thumbnails, story buckets) in a single walk.
+ * @param {unknown} obj
+ */
+export function extractStoryDetails(obj) {
+  walkObjects(obj, (o) => {
+    cacheStoryCreateTime(o);
+    cacheStoryGroup(o);
+    cacheStoryMetrics(o);
+    cacheStoryEditCount(o);
+    cacheVideoRepresentations(o);
+    cacheVideoCaptions(o);
+    cacheVideoThumbnail(o);
+    cacheStoryCardBuckets(o);
+  });
+}
+
 /**
  * Extract stories embedded in the initial HTML page load.
  * These are delivered via <script type="application/json"> tags.
@@ -873,9 +3360,11 @@ function extractEmbeddedStories() {
     try {
       const data = JSON.parse(content);
       extractStories(data, stories);
-      extractStoryCreateTime(data);
-      extractStoryGroupMap(data);
-      extractVideoUrls(data);
+      if (isMediaGridPage()) extractMediaGridItems(data, stories);
+      if (isProfilePage()) extractProfileAlbums(data, stories);
+      if (isMarketplacePage()) extractMarketplaceListings(data, stories);
+      extractStoryDetails(data);
+      if (isAlbumPage()) extractAlbumFirstMedia(data);
     } catch {
       // ignore parse errors
     }
@@ -894,12 +3383,25 @@ function extractEmbeddedStories() {
  * - GroupsCometCrossGroupFeedContainerQuery: Cross-group feed (/groups/feed/)
  * - GroupsCometCrossGroupFeedPaginationQuery: Cross-group feed pagination
  * - GroupsCometFeedRegularStoriesPaginationQuery: Group feed
+ * - MarketplacePDPContainerQuery: Marketplace item page (listing details and photos)
  * - ProfileCometContextualProfileGroupPostsFeedPaginationQuery: Group member profile feed
  * - ProfileCometContextualProfileRootQuery: Contextual profile root
+ * - ProfileCometHeaderQuery: Profile/page header (profile picture and cover photo albums)
  * - ProfileCometTimelineFeedQuery: User profile timeline
  * - ProfileCometTimelineFeedRefetchQuery: User profile timeline refetch/pagination
  * - SearchCometResultsInitialResultsQuery: Search results
  * - SearchCometResultsPaginatedResultsQuery: Search results pagination
+ *
+ * The 24-hour Stories viewer and the Stories archive use many "Stories…" operations
+ * (e.g. StoriesSuspenseContentPaneRootWithEntryPointQuery, StoriesViewerBucketPrefetcherMultiBucketsQuery),
+ * so those are matched by STORIES_API_NAME instead.
+ *
+ * Photos/Videos tabs use media-grid queries, whose items are extracted by extractMediaGridItems:
+ * - GroupsCometMediaPhotosTabGridQuery: Group media, photos
+ * - GroupsCometMediaVideosTabGridQuery: Group media, videos
+ * - ProfileCometAppCollectionPhotosRendererPaginationQuery: Profile/page photos tab pagination
+ * - ProfileCometAppCollectionVideosRendererPaginationQuery: Profile/page videos tab pagination
+ * - PagesCometChannelTabAllVideosCardImplPaginationQuery: Page videos tab pagination
  */
 const TARGET_API_NAMES = new Set([
   "CometGroupDiscussionRootSuccessQuery",
@@ -910,14 +3412,32 @@ const TARGET_API_NAMES = new Set([
   "GroupsCometCrossGroupFeedContainerQuery",
   "GroupsCometCrossGroupFeedPaginationQuery",
   "GroupsCometFeedRegularStoriesPaginationQuery",
+  "MarketplacePDPContainerQuery",
   "ProfileCometContextualProfileGroupPostsFeedPaginationQuery",
   "ProfileCometContextualProfileRootQuery",
+  "ProfileCometHeaderQuery",
   "ProfileCometTimelineFeedQuery",
   "ProfileCometTimelineFeedRefetchQuery",
   "SearchCometResultsInitialResultsQuery",
   "SearchCometResultsPaginatedResultsQuery",
 ]);
 
+const STORIES_API_NAME = /^(Comet)?Stories/;
+
+/**
+ * Album pages load the album and its grid with operations named after albums or media
+ * sets (e.g. CometPhotoAlbumQuery), whose album nodes extractAlbumFirstMedia reads.
+ */
+const ALBUM_API_NAME = /Album|MediaSet/;
+
+const MEDIA_GRID_API_NAMES = new Set([
+  "GroupsCometMediaPhotosTabGridQuery",
+  "GroupsCometMediaVideosTabGridQuery",
+  "ProfileCometAppCollectionPhotosRendererPaginationQuery",
+  "ProfileCometAppCollectionVideosRendererPaginationQuery",
+  "PagesCometChannelTabAllVideosCardImplPaginationQuery",
+]);
+
 /**
  * @param {(story: Story) => void} cb
  * @returns {() => void}
@@ -956,12 +3476,21 @@ export function storyListener(cb) {
     const apiName =
       ev.requestHeaders["x-fb-friendly-name"] ||
       ev.requestPayload["fb_api_req_friendly_name"];
-    if (!apiName || !TARGET_API_NAMES.has(apiName)) return;
+    if (!apiName) return;
+    if (ALBUM_API_NAME.test(apiName)) extractAlbumFirstMedia(ev.responseBody);
+    const isMediaGrid = MEDIA_GRID_API_NAMES.has(apiName);
+    if (
+      !TARGET_API_NAMES.has(apiName) &&
+      !STORIES_API_NAME.test(apiName) &&
+      !isMediaGrid
+    )
+      return;
 
     const stories = extractStories(ev.responseBody);
-    extractStoryCreateTime(ev.responseBody);
-    extractStoryGroupMap(ev.responseBody);
-    extractVideoUrls(ev.responseBody);
+    if (isMediaGrid) extractMediaGridItems(ev.responseBody, stories);
+    extractProfileAlbums(ev.responseBody, stories);
+    extractMarketplaceListings(ev.responseBody, stories);
+    extractStoryDetails(ev.responseBody);
 
     for (const story of stories) {
       const storyId = getStoryId(story);
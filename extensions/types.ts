@@ -44,6 +44,50 @@ export type GraphqlEvent = {
   status: number;
 };
 
+/**
+ * A GraphQL exchange kept by the traffic recorder, with secrets redacted.
+ * "extension" marks the extension's own requests, which are not emitted.
+ */
+export type RecordedGraphqlEvent = Omit<GraphqlEvent, "responseBody"> & {
+  /** The response as Facebook sent it, before its payloads were assembled. */
+  responseText: string;
+  /** When the response was received, in milliseconds since the epoch. */
+  time: number;
+  initiator: "page" | "extension";
+};
+
+/**
+ * How a GraphQL doc_id was resolved: from Facebook's module system, learned from the
+ * page's own requests, or the hard-coded fallback.
+ */
+export type DocIdSource = "module" | "learned" | "fallback";
+
+/**
+ * Why comments or an edit history are missing from a download: the request failed, or
+ * Facebook has not loaded the API on the page yet (see GraphqlErrorKind "unavailable").
+ */
+export type FetchFailure = "failed" | "unavailable";
+
+/**
+ * Why a GraphQL request failed:
+ * - "rate-limited": Facebook throttled the account; retried with backoff.
+ * - "transient": a network error, server error or temporary failure; retried with backoff.
+ * - "login-required": the session expired.
+ * - "checkpoint": Facebook wants the user to confirm their account.
+ * - "http": any other HTTP error status.
+ * - "graphql": the response carried GraphQL errors and no data.
+ * - "unavailable": no doc_id is known for the API until Facebook loads it on the page;
+ *   nothing was sent.
+ */
+export type GraphqlErrorKind =
+  | "rate-limited"
+  | "transient"
+  | "login-required"
+  | "checkpoint"
+  | "http"
+  | "graphql"
+  | "unavailable";
+
 export type MediaId = {
   __typename: "Video" | "Photo";
   id: string;
@@ -59,6 +103,11 @@ export type MediaPhoto = MediaId & {
   __typename: "Photo";
   url: string;
   created_time: number;
+  /** Alt text, either provided by the uploader or generated by Facebook. */
+  accessibility_caption?: string;
+  /** Description written by the uploader, shown under photos in albums. */
+  message?: TextWithEntities | null;
+  owner?: User;
   image?: MediaPhotoUrl;
   viewer_image?: MediaPhotoUrl;
   photo_image?: MediaPhotoUrl;
@@ -70,26 +119,161 @@ export type MediaVideoUrl = {
       progressive_url: string;
       metadata: { quality: "HD" | "SD" };
     }>;
+    /** DASH manifests (MPD XML) listing separate video and audio representations. */
+    dash_manifests?: Array<{ manifest_xml: string }>;
   };
 };
 
-export type MediaVideo = MediaId & {
-  __typename: "Video";
-  created_time: number;
-  videoDeliveryResponseFragment?: MediaVideoUrl;
-  video_grid_renderer?: {
-    video: {
-      videoDeliveryResponseFragment: MediaVideoUrl;
+/**
+ * A DASH representation, as found in `all_video_dash_prefetch_representations`
+ * or parsed from a DASH manifest. Each one is a single-track fragmented MP4.
+ */
+export type DashRepresentation = {
+  base_url: string;
+  bandwidth: number;
+  mime_type: string;
+  width?: number;
+  height?: number;
+};
+
+/**
+ * An available caption track of a video, as found in `video_available_captions_locales`.
+ */
+export type VideoCaptionLocale = {
+  locale: string;
+  localized_language?: string;
+  captions_url: string;
+};
+
+/**
+ * Caption fields present on video nodes.
+ */
+export type VideoCaptions = {
+  /** URL of the default caption track. */
+  captions_url?: string | null;
+  video_available_captions_locales?: VideoCaptionLocale[];
+};
+
+export type CaptionCue = {
+  /** Start time in milliseconds. */
+  start: number;
+  /** End time in milliseconds. */
+  end: number;
+  text: string;
+};
+
+export type MediaVideo = MediaId &
+  VideoCaptions & {
+    __typename: "Video";
+    created_time: number;
+    videoDeliveryResponseFragment?: MediaVideoUrl;
+    video_grid_renderer?: {
+      video: {
+        videoDeliveryResponseFragment: MediaVideoUrl;
+      };
     };
   };
-};
 
 export type MediaWatch = MediaId & {
   __typename: "Video";
   url: string;
 };
 
-export type Media = MediaPhoto | MediaVideo | MediaWatch;
+/**
+ * A link-share attachment (shared article) as found in a StoryPost's attachment.
+ */
+export type LinkShareAttachment = {
+  /** Usually an l.facebook.com redirect to the target. */
+  url?: string | null;
+  web_link?: { url: string } | null;
+  target?: {
+    __typename: string;
+    id?: string;
+    external_url?: string | null;
+  } | null;
+  title_with_entities?: { text: string } | null;
+  description?: { text: string } | null;
+  /** Source domain, e.g. "EXAMPLE.COM". */
+  source?: { text: string } | null;
+  media?: {
+    __typename: "GenericAttachmentMedia";
+    large_share_image?: { uri: string } | null;
+    image?: { uri: string } | null;
+  } | null;
+};
+
+/**
+ * A link share, normalized from a LinkShareAttachment so it can be downloaded like other media.
+ */
+export type MediaLink = {
+  __typename: "ExternalLink";
+  /** The link target's ID, or "link_" and a hash of the URL when it has none. */
+  id: string;
+  /** Target URL, unwrapped from l.facebook.com. */
+  url: string;
+  title: string | null;
+  description: string | null;
+  domain: string | null;
+  /** URL of the preview image, if any. */
+  image_url: string | null;
+};
+
+/**
+ * An event attachment (shared or created Event) as found in a StoryPost's attachment.
+ */
+export type EventAttachment = {
+  target: {
+    __typename: "Event";
+    id: string;
+    name?: string | null;
+    url?: string | null;
+    /** Unix timestamps in seconds. */
+    start_timestamp?: number | null;
+    end_timestamp?: number | null;
+    event_place?: {
+      name?: string | null;
+      contextual_name?: string | null;
+    } | null;
+    event_creator?: { name?: string | null } | null;
+    event_hosts?: Array<{ name?: string | null }> | null;
+    cover_media_renderer?: {
+      cover_photo?: {
+        photo?: { image?: { uri: string } | null } | null;
+      } | null;
+    } | null;
+  };
+  title_with_entities?: { text: string } | null;
+  description?: { text: string } | null;
+  media?: {
+    image?: { uri: string } | null;
+    large_share_image?: { uri: string } | null;
+  } | null;
+};
+
+/**
+ * An event, normalized from an EventAttachment so it can be downloaded like other media.
+ */
+export type MediaEvent = {
+  __typename: "Event";
+  id: string;
+  name: string;
+  url: string;
+  /** Unix timestamps in seconds. */
+  start_time: number | null;
+  end_time: number | null;
+  location: string | null;
+  host: string | null;
+  description: string | null;
+  /** URL of the cover photo, if any. */
+  image_url: string | null;
+};
+
+export type Media =
+  | MediaPhoto
+  | MediaVideo
+  | MediaWatch
+  | MediaLink
+  | MediaEvent;
 
 export type Group = {
   __typename: "Group";
@@ -103,12 +287,85 @@ export type User = {
   name: string;
 };
 
+export type EntityRange = {
+  /** Offset in Unicode code points (not UTF-16 code units). */
+  offset: number;
+  length: number;
+  entity: {
+    __typename: string;
+    id?: string;
+    url?: string;
+    profile_url?: string;
+  };
+};
+
+export type TextWithEntities = {
+  text: string;
+  ranges?: EntityRange[];
+};
+
+export type Feedback = {
+  id: string;
+};
+
+/**
+ * A poll option as found in a PollQuestion.
+ */
+export type PollQuestionOption = {
+  id?: string;
+  text?: string | null;
+  text_with_entities?: { text: string } | null;
+  vote_count?: number | null;
+  profile_voters?: { count: number } | null;
+  voters?: { count: number } | null;
+};
+
+/**
+ * A group poll as found in a poll attachment.
+ */
+export type PollQuestion = {
+  __typename?: "Question";
+  id: string;
+  text?: string | null;
+  title?: { text: string } | null;
+  options?: {
+    nodes?: Array<PollQuestionOption | null>;
+    edges?: Array<{ node: PollQuestionOption | null } | null>;
+  } | null;
+  allows_multiple_choices?: boolean | null;
+  is_multi_choice?: boolean | null;
+  is_closed?: boolean | null;
+};
+
+/**
+ * A poll attachment in a StoryPost. The poll is either nested under `poll` or is the target.
+ */
+export type PollAttachment = {
+  poll?: PollQuestion | null;
+  target?: PollQuestion | null;
+  title_with_entities?: { text: string } | null;
+};
+
+/**
+ * A poll, normalized from a PollAttachment.
+ */
+export type StoryPoll = {
+  id: string;
+  question: string;
+  options: Array<{ text: string; votes: number | null }>;
+  /** Whether voters may pick more than one option, if known. */
+  multiple_choice: boolean | null;
+  /** Whether voting has closed, if known. */
+  closed: boolean | null;
+};
+
 export type StoryPost = {
   id: string;
   post_id: string;
   wwwURL: string;
-  message: null | { text: string };
+  message: null | TextWithEntities;
   actors: [User];
+  feedback?: Feedback;
   attachments:
     | []
     | [
@@ -116,13 +373,16 @@ export type StoryPost = {
           styles: {
             attachment:
               | {} // Un-supported attachment
+              | EventAttachment
+              | PollAttachment
+              | LinkShareAttachment
               | {
-                  media: Media;
+                  media: MediaPhoto | MediaVideo;
                 }
               | {
                   all_subattachments: {
                     count: number;
-                    nodes: Array<{ media: Media }>;
+                    nodes: Array<{ media: MediaPhoto | MediaVideo }>;
                   };
                 }
               | {
@@ -143,8 +403,9 @@ export type StoryPost = {
 export type StoryVideo = {
   id: string;
   post_id: string;
-  message: null | { text: string };
+  message: null | TextWithEntities;
   actors: [User];
+  feedback?: Feedback;
   attachments: [
     {
       url: string;
@@ -175,7 +436,7 @@ export type StoryWatch = {
             id: string;
             message: {
               story: {
-                message: { text: string };
+                message: TextWithEntities;
               };
             };
           };
@@ -185,7 +446,305 @@ export type StoryWatch = {
   ];
 };
 
-export type Story = StoryPost | StoryVideo | StoryWatch;
+/**
+ * A video in a StoryCard. Newer cards carry DASH delivery info like a MediaVideo,
+ * older ones only progressive URLs.
+ */
+export type StoryCardVideo = MediaId & {
+  __typename: "Video";
+  browser_native_hd_url?: string | null;
+  browser_native_sd_url?: string | null;
+  playable_url_quality_hd?: string | null;
+  playable_url?: string | null;
+};
+
+/**
+ * An ephemeral (24-hour) story card from the Stories viewer or the Stories archive.
+ * The author is on the StoryBucket the card belongs to, see StoryCardBucket.
+ */
+export type StoryCard = {
+  __typename: "Story";
+  id: string;
+  creation_time: number;
+  message?: TextWithEntities | null;
+  attachments: [{ media: MediaPhoto | MediaVideo | StoryCardVideo }];
+};
+
+/**
+ * The StoryBucket (one person's or page's stories) a StoryCard was found in.
+ */
+export type StoryCardBucket = {
+  id: string;
+  owner: User;
+};
+
+/**
+ * A photo or video from the Photos/Videos tab of a profile, page or group,
+ * normalized from a media-grid item.
+ */
+export type StoryGridMedia = {
+  __typename: "GridMedia";
+  /** The media ID. */
+  id: string;
+  /** Permalink of the photo or video. */
+  url: string;
+  creation_time: number | null;
+  owner: User | null;
+  /** The post the media was published in, if known. */
+  post_id: string | null;
+  post_url: string | null;
+  /** The grid's media node, which may only have a thumbnail-size image. */
+  attachments: [{ media: MediaPhoto | MediaVideo }];
+};
+
+/**
+ * The profile pictures or cover photos album of a profile or page, found in the profile header.
+ * Downloading it walks the whole album.
+ */
+export type StoryProfileAlbum = {
+  __typename: "ProfileAlbum";
+  kind: "profile_pictures" | "cover_photos";
+  album: Album & { owner: User };
+  /** Always empty: the album's photos are only fetched on download. */
+  attachments: [];
+};
+
+/**
+ * The listing details shown on a Marketplace item page.
+ */
+export type MarketplaceListing = {
+  title: string;
+  /** Price as a decimal string, e.g. "150.00". */
+  price: string | null;
+  /** ISO 4217 currency code, e.g. "USD". */
+  currency: string | null;
+  /** Price as shown on Facebook, e.g. "$150". */
+  formatted_price: string | null;
+  location: string | null;
+  /** Condition label, e.g. "Used - Like New". */
+  condition: string | null;
+  description: string | null;
+};
+
+/**
+ * A Marketplace listing, normalized from a Marketplace item (GroupCommerceProductItem).
+ */
+export type StoryMarketplaceListing = {
+  __typename: "MarketplaceListing";
+  id: string;
+  url: string;
+  creation_time: number | null;
+  seller: User | null;
+  listing: MarketplaceListing;
+  /** All listing photos, in the order shown on the listing. */
+  attachments: Array<{ media: MediaPhoto }>;
+};
+
+export type Story =
+  | StoryPost
+  | StoryVideo
+  | StoryWatch
+  | StoryCard
+  | StoryGridMedia
+  | StoryProfileAlbum
+  | StoryMarketplaceListing;
+
+export type Comment = {
+  __typename: "Comment";
+  id: string;
+  legacy_fbid?: string;
+  /** Unix timestamp (seconds); missing on some comments. */
+  created_time?: number;
+  author: { __typename: string; id: string; name: string };
+  body: null | { text: string };
+  attachments?: Array<{
+    style_type_renderer?: {
+      attachment?: { media?: Media };
+    };
+  }>;
+  feedback?: Feedback & {
+    expansion_info?: { expansion_token?: string };
+    replies_fields?: { total_count?: number };
+  };
+};
+
+export type CommentThread = {
+  comment: Comment;
+  replies: CommentThread[];
+};
+
+/**
+ * One version of an edited post's text, from the post's edit history.
+ */
+export type PostRevision = {
+  /** Unix timestamp (seconds) the version was saved. */
+  created_time: number;
+  text: string;
+};
+
+export type StoryReaction = {
+  name: string;
+  count: number;
+};
+
+export type StoryMetrics = {
+  reactionCount?: number;
+  reactions?: StoryReaction[];
+  commentCount?: number;
+  shareCount?: number;
+};
+
+/**
+ * A downloaded media item in story.json.
+ */
+export type StoryJsonMedia = {
+  id: string;
+  type: "photo" | "video" | "link" | "event";
+  /** Original (CDN) URL the file was downloaded from (the preview or cover image for links and events). */
+  url: string | null;
+  /** Local filename, relative to the story folder. `null` for a link or event without an image. */
+  filename: string | null;
+  /** Alt text of a photo, if any. */
+  caption: string | null;
+  /** Caption tracks downloaded next to a video. */
+  subtitles: StoryJsonSubtitles[];
+  /** Local filename of the video's poster thumbnail, if downloaded. */
+  thumbnail: string | null;
+  /** The shared link, for link shares. */
+  link: StoryJsonLink | null;
+  /** The event, for event attachments. */
+  event: StoryJsonEvent | null;
+};
+
+/**
+ * An event in story.json.
+ */
+export type StoryJsonEvent = {
+  url: string;
+  name: string;
+  /** ISO 8601 start and end times. */
+  start_time: string | null;
+  end_time: string | null;
+  location: string | null;
+  host: string | null;
+  description: string | null;
+  /** Local filename of the .ics calendar file, relative to the story folder. */
+  calendar: string | null;
+};
+
+/**
+ * A shared link (article) in story.json.
+ */
+export type StoryJsonLink = {
+  url: string;
+  title: string | null;
+  description: string | null;
+  domain: string | null;
+};
+
+/**
+ * A video caption track in story.json, saved in both SRT and WebVTT formats.
+ */
+export type StoryJsonSubtitles = {
+  locale: string;
+  language: string | null;
+  /** Local filenames, relative to the story folder. */
+  srt: string;
+  vtt: string;
+};
+
+/**
+ * A story in story.json. Optional values are `null` rather than missing.
+ */
+export type StoryJsonStory = {
+  id: string;
+  post_id: string;
+  url: string;
+  author: { id: string; name: string } | null;
+  group: { id: string; name: string } | null;
+  /** ISO 8601 creation time. */
+  created_time: string | null;
+  /** Video title, for video stories. */
+  title: string | null;
+  message: string | null;
+  metrics: StoryMetrics | null;
+  /** The group poll, for poll posts. */
+  poll: StoryPoll | null;
+  /** Permalink of the post a photo or video from a media grid was published in. */
+  post_url: string | null;
+  /** The listing details, for Marketplace listings. */
+  listing: MarketplaceListing | null;
+  media: StoryJsonMedia[];
+  /** The quoted (shared) story, if any. */
+  attached_story: StoryJsonStory | null;
+};
+
+/**
+ * The story.json sidecar written next to index.md.
+ * `schema_version` is bumped whenever this shape changes (see the README for the history).
+ */
+export type StoryJson = StoryJsonStory & {
+  schema_version: 2;
+  /** Filename of the exported comments, relative to the story folder. */
+  comments_file: string | null;
+  /** Every version of the post's text, oldest (the original) first, for edited posts. */
+  edit_history: StoryJsonRevision[] | null;
+};
+
+/**
+ * A version of an edited post's text in story.json.
+ */
+export type StoryJsonRevision = {
+  /** ISO 8601 time the version was saved. */
+  created_time: string;
+  text: string;
+};
+
+/**
+ * User settings, stored in the page's localStorage (see settings.js).
+ */
+export type Settings = {
+  /** Also download a poster thumbnail next to each video. */
+  videoThumbnails: boolean;
+  /** Story folder template, e.g. "{group}/{date:YYYY-MM}/{post_id}" (see naming.js). */
+  folderTemplate: string;
+  /** Media file template inside the story folder, without the extension. */
+  fileTemplate: string;
+  /** How many GraphQL requests the extension may start per minute (see scheduler.js). */
+  requestsPerMinute: number;
+  /** Keep the recent GraphQL traffic, to export it with a bug report. */
+  recordTraffic: boolean;
+};
+
+export type NamingTemplateKind = "folder" | "file";
+
+/**
+ * Values available to naming templates. Missing values render as empty.
+ */
+export type NamingContext = {
+  date?: Date;
+  group?: string;
+  author?: string;
+  post_id: string;
+  /** Video title, or the first line of the post message. */
+  title?: string;
+  /** 1-based position of the media in the story (file templates only). */
+  index?: number;
+  media_id?: string;
+};
+
+/**
+ * A photo album, downloaded by walking its mediaset from the first photo.
+ */
+export type Album = {
+  id: string;
+  url: string;
+  title: string | null;
+  /** The photo (or video) the walk starts from. */
+  first_media: MediaId;
+  /** The profile or page the album belongs to, if known. */
+  owner?: User;
+};
 
 export type StoryFile = {
   storyId: string;
@@ -0,0 +1,71 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+
+const { renderIcs } = await import("../extensions/calendar.js");
+
+/** @type {import('../extensions/types').MediaEvent} */
+const event = {
+  __typename: "Event",
+  id: "555",
+  name: "Spring Meetup; bring snacks, and friends",
+  url: "https://www.facebook.com/events/555/",
+  start_time: 1714586400,
+  end_time: 1714593600,
+  location: "Town Hall",
+  host: "Hiking Club",
+  description: "Line one\nLine two",
+  image_url: null,
+};
+
+describe("renderIcs", () => {
+  it("should render a VEVENT with CRLF line endings", () => {
+    const ics = renderIcs(event, new Date(Date.UTC(2024, 3, 1, 12, 0, 0)));
+    assert.strictEqual(
+      ics,
+      [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//Facebook Post Downloader//EN",
+        "CALSCALE:GREGORIAN",
+        "BEGIN:VEVENT",
+        "UID:555@facebook.com",
+        "DTSTAMP:20240401T120000Z",
+        "DTSTART:20240501T180000Z",
+        "DTEND:20240501T200000Z",
+        "SUMMARY:Spring Meetup\\; bring snacks\\, and friends",
+        "LOCATION:Town Hall",
+        "DESCRIPTION:Line one\\nLine two\\n\\nHosted by Hiking Club\\n\\nhttps://www.face",
+        " book.com/events/555/",
+        "URL:https://www.facebook.com/events/555/",
+        "END:VEVENT",
+        "END:VCALENDAR",
+        "",
+      ].join("\r\n"),
+    );
+  });
+
+  it("should fold long lines without splitting characters", () => {
+    const ics = renderIcs({ ...event, name: "é".repeat(100) }) ?? "";
+    const lines = ics.split("\r\n");
+    const summary = lines.findIndex((line) => line.startsWith("SUMMARY:"));
+    for (const line of lines) {
+      assert.ok(new TextEncoder().encode(line).length <= 75, line);
+    }
+    assert.strictEqual(
+      lines[summary] +
+        lines[summary + 1].slice(1) +
+        lines[summary + 2].slice(1),
+      `SUMMARY:${"é".repeat(100)}`,
+    );
+  });
+
+  it("should skip DTEND when the event has no end time", () => {
+    const ics = renderIcs({ ...event, end_time: null }) ?? "";
+    assert.ok(ics.includes("DTSTART:20240501T180000Z\r\n"));
+    assert.ok(!ics.includes("DTEND"));
+  });
+
+  it("should return undefined without a start time", () => {
+    assert.strictEqual(renderIcs({ ...event, start_time: null }), undefined);
+  });
+});
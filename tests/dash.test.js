@@ -0,0 +1,163 @@
+import { describe, it, mock } from "node:test";
+import assert from "node:assert";
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { dirname, join } from "node:path";
+import { createFragmentedMp4, findBoxes } from "./mp4-fixtures.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const { parseDashManifest, selectRepresentation, fetchDashVideo } =
+  await import("../extensions/dash.js");
+
+/** @returns {string} */
+function readManifest() {
+  const mockData = JSON.parse(
+    readFileSync(join(__dirname, "story-video.json"), "utf8"),
+  );
+  return mockData.data.node.feed_unit.attachments[0].media
+    .videoDeliveryResponseFragment.videoDeliveryResponseResult.dash_manifests[0]
+    .manifest_xml;
+}
+
+describe("parseDashManifest", () => {
+  it("should parse the representations from story-video.json", () => {
+    const representations = parseDashManifest(readManifest());
+
+    assert.deepStrictEqual(
+      representations.map(({ mime_type, bandwidth, width, height }) => ({
+        mime_type,
+        bandwidth,
+        width,
+        height,
+      })),
+      [
+        {
+          mime_type: "video/mp4",
+          bandwidth: 2549807,
+          width: 720,
+          height: 1280,
+        },
+        { mime_type: "video/mp4", bandwidth: 675173, width: 360, height: 640 },
+        {
+          mime_type: "audio/mp4",
+          bandwidth: 57998,
+          width: undefined,
+          height: undefined,
+        },
+      ],
+    );
+
+    for (const rep of representations) {
+      assert.ok(rep.base_url.startsWith("https://video."), rep.base_url);
+      assert.ok(!rep.base_url.includes("&amp;"), "Entities should be decoded");
+    }
+  });
+
+  it("should fall back to the adaptation set's content type", () => {
+    const representations = parseDashManifest(
+      '<MPD><Period><AdaptationSet contentType="audio">' +
+        '<Representation id="a" bandwidth="1000">' +
+        "<BaseURL>https://example.com/a.mp4?x=1&amp;y=2</BaseURL>" +
+        "</Representation></AdaptationSet></Period></MPD>",
+    );
+    assert.deepStrictEqual(representations, [
+      {
+        base_url: "https://example.com/a.mp4?x=1&y=2",
+        bandwidth: 1000,
+        mime_type: "audio/mp4",
+      },
+    ]);
+  });
+});
+
+describe("selectRepresentation", () => {
+  it("should pick the highest-bandwidth representation of each type", () => {
+    const representations = parseDashManifest(readManifest());
+    assert.strictEqual(
+      selectRepresentation(representations, "video")?.bandwidth,
+      2549807,
+    );
+    assert.strictEqual(
+      selectRepresentation(representations, "audio")?.bandwidth,
+      57998,
+    );
+    assert.strictEqual(selectRepresentation([], "audio"), undefined);
+  });
+});
+
+describe("fetchDashVideo", () => {
+  const video = createFragmentedMp4({
+    trackId: 1,
+    handler: "vide",
+    movieTimescale: 1000,
+    mediaTimescale: 15360,
+    duration: 1000,
+    fragments: [{ decodeTime: 0, payload: new Uint8Array(10) }],
+  });
+  const audio = createFragmentedMp4({
+    trackId: 1,
+    handler: "soun",
+    movieTimescale: 44100,
+    mediaTimescale: 44100,
+    duration: 44100,
+    fragments: [{ decodeTime: 0, payload: new Uint8Array(10) }],
+  });
+
+  it("should download both representations and mux them", async () => {
+    mock.method(globalThis, "fetch", async (/** @type {string} */ url) =>
+      url === "https://example.com/v.mp4"
+        ? new Response(video)
+        : new Response(audio),
+    );
+    try {
+      const blob = await fetchDashVideo(
+        {
+          base_url: "https://example.com/v.mp4",
+          bandwidth: 2,
+          mime_type: "video/mp4",
+        },
+        {
+          base_url: "https://example.com/a.mp4",
+          bandwidth: 1,
+          mime_type: "audio/mp4",
+        },
+      );
+      const data = new Uint8Array(await blob.arrayBuffer());
+      assert.strictEqual(
+        findBoxes(data, undefined, ["moov", "trak"]).length,
+        2,
+      );
+    } finally {
+      mock.restoreAll();
+    }
+  });
+
+  it("should fail when a representation cannot be downloaded", async () => {
+    mock.method(
+      globalThis,
+      "fetch",
+      async () => new Response("", { status: 403 }),
+    );
+    try {
+      await assert.rejects(
+        fetchDashVideo(
+          {
+            base_url: "https://example.com/v.mp4",
+            bandwidth: 2,
+            mime_type: "video/mp4",
+          },
+          {
+            base_url: "https://example.com/a.mp4",
+            bandwidth: 1,
+            mime_type: "audio/mp4",
+          },
+        ),
+        /Failed to fetch video\/mp4: 403/,
+      );
+    } finally {
+      mock.restoreAll();
+    }
+  });
+});
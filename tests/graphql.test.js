@@ -0,0 +1,659 @@
+import { describe, it, mock } from "node:test";
+import assert from "node:assert";
+
+/**
+ * @typedef {import('../extensions/types').GraphqlEvent} GraphqlEvent
+ */
+
+// Mock the page globals graphql.js patches before importing it
+/** @type {Array<{ input: string | URL | Request, init: RequestInit | undefined }>} */
+const fetchCalls = [];
+/** @type {any} */ (globalThis).window = globalThis;
+/** @type {any} */ (globalThis).location = {
+  origin: "https://www.facebook.com",
+};
+/** @type {any} */ (globalThis).XMLHttpRequest = class {
+  open() {}
+  setRequestHeader() {}
+  send() {}
+};
+/** @type {Map<string, string>} */
+const storage = new Map();
+/** @type {any} */ (globalThis).localStorage = {
+  /** @param {string} key */
+  getItem: (key) => storage.get(key) ?? null,
+  /**
+   * @param {string} key
+   * @param {string} value
+   */
+  setItem: (key, value) => storage.set(key, value),
+};
+/** @type {Record<string, unknown>} */
+const pageModules = {};
+/** @type {any} */ (globalThis).require = (/** @type {string} */ name) => {
+  if (name in pageModules) return pageModules[name];
+  throw new Error(`Requiring unknown module "${name}"`);
+};
+/** @returns {Response} */
+const defaultResponse = () =>
+  new Response(
+    '{"data":{"node":{"id":"1"}}}\n{"label":"deferred","data":{"id":"2"}}',
+    { status: 200, headers: { "content-type": "text/html" } },
+  );
+let mockResponse = defaultResponse;
+/**
+ * @param {string | URL | Request} input
+ * @param {RequestInit} [init]
+ */
+globalThis.fetch = async (input, init) => {
+  fetchCalls.push({ input, init });
+  return mockResponse();
+};
+
+const {
+  graphqlListener,
+  assembleRelayPayloads,
+  sendGraphqlRequest,
+  isBlockingError,
+  isUnavailableError,
+  setTrafficRecording,
+  getRecordedTraffic,
+} = await import("../extensions/graphql.js");
+const { setRateLimit } = await import("../extensions/scheduler.js");
+
+// Don't space out requests, except where a test mocks the timers
+setRateLimit(60000);
+
+/**
+ * Collect the events emitted while running a callback.
+ * @param {() => Promise<unknown>} fn
+ * @returns {Promise<GraphqlEvent[]>}
+ */
+async function collectEvents(fn) {
+  /** @type {GraphqlEvent[]} */
+  const events = [];
+  const unsubscribe = graphqlListener((ev) => events.push(ev));
+  try {
+    await fn();
+    // Responses are read in the background
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  } finally {
+    unsubscribe();
+  }
+  return events;
+}
+
+describe("fetch interceptor", () => {
+  it("should emit GraphQL responses fetched with fetch()", async () => {
+    /** @type {string | undefined} */
+    let pageText;
+    const events = await collectEvents(async () => {
+      const res = await fetch("https://www.facebook.com/api/graphql/", {
+        method: "POST",
+        headers: { "X-FB-Friendly-Name": "CometNewsFeedPaginationQuery" },
+        body: new URLSearchParams({
+          fb_api_req_friendly_name: "CometNewsFeedPaginationQuery",
+          doc_id: "123",
+        }),
+      });
+      pageText = await res.text();
+    });
+
+    assert.ok(
+      pageText?.startsWith('{"data"'),
+      "The page should still read the whole response",
+    );
+    assert.strictEqual(events.length, 1);
+    const [ev] = events;
+    assert.strictEqual(ev.url, "https://www.facebook.com/api/graphql/");
+    assert.strictEqual(ev.status, 200);
+    assert.strictEqual(
+      ev.requestHeaders["x-fb-friendly-name"],
+      "CometNewsFeedPaginationQuery",
+    );
+    assert.strictEqual(ev.responseHeaders["content-type"], "text/html");
+    assert.deepStrictEqual(ev.requestPayload, {
+      fb_api_req_friendly_name: "CometNewsFeedPaginationQuery",
+      doc_id: "123",
+    });
+    assert.deepStrictEqual(ev.responseBody, [
+      { data: { node: { id: "1" } } },
+      { label: "deferred", data: { id: "2" } },
+    ]);
+  });
+
+  it("should read the payload of a Request without consuming it", async () => {
+    const request = new Request("https://www.facebook.com/api/graphql/", {
+      method: "POST",
+      headers: { "x-fb-friendly-name": "ProfileCometTimelineFeedQuery" },
+      body: "fb_api_req_friendly_name=ProfileCometTimelineFeedQuery",
+    });
+    const events = await collectEvents(() => fetch(request));
+
+    assert.strictEqual(events.length, 1);
+    assert.deepStrictEqual(events[0].requestPayload, {
+      fb_api_req_friendly_name: "ProfileCometTimelineFeedQuery",
+    });
+    const sent = fetchCalls.at(-1)?.input;
+    assert.ok(sent instanceof Request && !sent.bodyUsed);
+  });
+
+  it("should ignore other requests", async () => {
+    const events = await collectEvents(async () => {
+      await fetch("https://www.facebook.com/api/graphql/");
+      await fetch("https://www.facebook.com/ajax/bz", { method: "POST" });
+    });
+    assert.strictEqual(events.length, 0);
+    assert.strictEqual(fetchCalls.length, 4);
+  });
+
+  it("should skip response lines that are not objects", async () => {
+    mockResponse = () => new Response('null\n42\n{"data":{"id":"1"}}');
+    try {
+      const events = await collectEvents(() =>
+        fetch("https://www.facebook.com/api/graphql/", { method: "POST" }),
+      );
+      assert.deepStrictEqual(events[0].responseBody, [{ data: { id: "1" } }]);
+    } finally {
+      mockResponse = defaultResponse;
+    }
+  });
+});
+
+describe("assembleRelayPayloads", () => {
+  it("should merge @defer fragments into the object at their path", () => {
+    const payloads = assembleRelayPayloads([
+      {
+        data: {
+          node: {
+            timeline: {
+              edges: [
+                {
+                  node: {
+                    id: "story-1",
+                    post_id: "1",
+                    comet_sections: { content: { story: { id: "story-1" } } },
+                  },
+                },
+              ],
+            },
+          },
+        },
+      },
+      {
+        label: "CometFeedStory_story$defer$metadata",
+        path: ["node", "timeline", "edges", 0, "node", "comet_sections"],
+        data: {
+          content: { story: { attachments: [] } },
+          context_layout: { story: { creation_time: 1705311000 } },
+        },
+        extensions: { is_final: true },
+      },
+    ]);
+
+    assert.deepStrictEqual(payloads, [
+      {
+        data: {
+          node: {
+            timeline: {
+              edges: [
+                {
+                  node: {
+                    id: "story-1",
+                    post_id: "1",
+                    comet_sections: {
+                      content: { story: { id: "story-1", attachments: [] } },
+                      context_layout: { story: { creation_time: 1705311000 } },
+                    },
+                  },
+                },
+              ],
+            },
+          },
+        },
+      },
+      {
+        label: "CometFeedStory_story$defer$metadata",
+        extensions: { is_final: true },
+      },
+    ]);
+  });
+
+  it("should append @stream list items at their index", () => {
+    const [initial] = assembleRelayPayloads([
+      { data: { viewer: { news_feed: { edges: [{ node: { id: "a" } }] } } } },
+      {
+        label: "CometNewsFeed_viewer$stream$CometNewsFeed_viewer_news_feed",
+        path: ["viewer", "news_feed", "edges", 1],
+        data: { node: { id: "b" } },
+      },
+      {
+        label: "CometNewsFeed_viewer$stream$CometNewsFeed_viewer_news_feed",
+        path: ["viewer", "news_feed", "edges", 2],
+        data: { node: { id: "c" } },
+      },
+    ]);
+
+    assert.deepStrictEqual(initial, {
+      data: {
+        viewer: {
+          news_feed: {
+            edges: [
+              { node: { id: "a" } },
+              { node: { id: "b" } },
+              { node: { id: "c" } },
+            ],
+          },
+        },
+      },
+    });
+  });
+
+  it("should keep the story when a @defer fragment failed", () => {
+    const story = { id: "story-1", comet_sections: { content: { id: "c" } } };
+    const nullData = {
+      label: "CometFeedStory_story$defer$metadata",
+      path: ["node", "comet_sections"],
+      data: null,
+    };
+    const errorsOnly = {
+      label: "CometFeedStory_story$defer$feedback",
+      path: ["node", "comet_sections", "content"],
+      errors: [{ message: "A server error occurred" }],
+    };
+    const payloads = assembleRelayPayloads([
+      { data: { node: structuredClone(story) } },
+      nullData,
+      errorsOnly,
+    ]);
+
+    assert.deepStrictEqual(payloads, [
+      { data: { node: story } },
+      nullData,
+      errorsOnly,
+    ]);
+  });
+
+  it("should not replace a streamed item with a failed one", () => {
+    const failed = {
+      label: "CometNewsFeed_viewer$stream$CometNewsFeed_viewer_news_feed",
+      path: ["viewer", "news_feed", "edges", 0],
+      data: null,
+    };
+    const payloads = assembleRelayPayloads([
+      { data: { viewer: { news_feed: { edges: [{ node: { id: "a" } }] } } } },
+      failed,
+    ]);
+    assert.deepStrictEqual(payloads, [
+      { data: { viewer: { news_feed: { edges: [{ node: { id: "a" } }] } } } },
+      failed,
+    ]);
+  });
+
+  it("should drop payloads that are not objects", () => {
+    const payloads = assembleRelayPayloads(
+      /** @type {any[]} */ ([null, 3, "text", [], { data: { id: "x" } }]),
+    );
+    assert.deepStrictEqual(payloads, [{ data: { id: "x" } }]);
+  });
+
+  it("should keep payloads whose path cannot be resolved", () => {
+    const orphan = {
+      label: "Comments$defer$feedback",
+      path: ["node", "missing", "feedback"],
+      data: { comment_count: { total_count: 3 } },
+    };
+    const payloads = assembleRelayPayloads([
+      orphan,
+      { data: { node: { id: "x" } } },
+      { ...orphan },
+    ]);
+    assert.deepStrictEqual(payloads, [
+      orphan,
+      { data: { node: { id: "x" } } },
+      orphan,
+    ]);
+  });
+});
+
+describe("doc_id resolution", () => {
+  /**
+   * Send a request the way the page does, so its doc_id is learned.
+   * @param {string} apiName
+   * @param {string} docId
+   */
+  async function sendPageRequest(apiName, docId) {
+    await collectEvents(() =>
+      fetch("https://www.facebook.com/api/graphql/", {
+        method: "POST",
+        headers: { "x-fb-friendly-name": apiName },
+        body: new URLSearchParams({ doc_id: docId }),
+      }),
+    );
+  }
+
+  /**
+   * Send a request as the extension and return the doc_id it used.
+   * @param {string} apiName
+   * @returns {Promise<string | null>}
+   */
+  async function sentDocId(apiName) {
+    await sendGraphqlRequest({ apiName, variables: {} });
+    const body = fetchCalls.at(-1)?.init?.body;
+    return new URLSearchParams(String(body)).get("doc_id");
+  }
+
+  it("should prefer the module, then the learned doc_id, then the fallback", async () => {
+    const info = mock.method(console, "info", () => {});
+    try {
+      const apiName = "CometPhotoRootContentQuery";
+      assert.strictEqual(await sentDocId(apiName), "25407333282216326");
+
+      await sendPageRequest(apiName, "555");
+      assert.strictEqual(await sentDocId(apiName), "555");
+
+      pageModules["CometPhotoRootContentQuery_facebookRelayOperation"] = "999";
+      assert.strictEqual(await sentDocId(apiName), "999");
+      assert.strictEqual(await sentDocId(apiName), "999");
+
+      assert.deepStrictEqual(
+        info.mock.calls.map((call) => call.arguments[0]),
+        [
+          "[fpdl] using fallback doc_id 25407333282216326 for CometPhotoRootContentQuery",
+          "[fpdl] using learned doc_id 555 for CometPhotoRootContentQuery",
+          "[fpdl] using module doc_id 999 for CometPhotoRootContentQuery",
+        ],
+        "A source should be reported when it changes",
+      );
+    } finally {
+      delete pageModules["CometPhotoRootContentQuery_facebookRelayOperation"];
+      info.mock.restore();
+    }
+  });
+
+  it("should persist learned doc_ids and use them for any API", async () => {
+    const info = mock.method(console, "info", () => {});
+    try {
+      await sendPageRequest("CometGroupDiscussionRootSuccessQuery", "777");
+      await sendPageRequest(
+        "CometGroupDiscussionRootSuccessQuery",
+        "not-a-doc-id",
+      );
+
+      const stored = JSON.parse(storage.get("fpdl-doc-ids") ?? "{}");
+      assert.strictEqual(stored.CometGroupDiscussionRootSuccessQuery, "777");
+      assert.strictEqual(
+        await sentDocId("CometGroupDiscussionRootSuccessQuery"),
+        "777",
+      );
+    } finally {
+      info.mock.restore();
+    }
+  });
+
+  it("should reject APIs without a doc_id", async () => {
+    await assert.rejects(
+      sendGraphqlRequest({ apiName: "CometNeverSeenQuery", variables: {} }),
+      (err) => {
+        assert.match(
+          String(err),
+          /No doc_id available for API: CometNeverSeenQuery/,
+        );
+        assert.ok(isUnavailableError(err), "Should be an unavailable error");
+        assert.ok(!isBlockingError(err), "Should not stop other downloads");
+        return true;
+      },
+    );
+  });
+});
+
+describe("sendGraphqlRequest errors", () => {
+  const apiName = "CometVideoRootMediaViewerQuery";
+
+  /**
+   * Serve these responses in turn, then send a request with mocked timers.
+   * @param {Array<() => Response>} responses
+   * @returns {Promise<{ result: Promise<Record<string, unknown>[]>, requests: number, warnings: string[], elapsed: number }>}
+   */
+  async function sendWithResponses(responses) {
+    const queue = [...responses];
+    mockResponse = () => (queue.shift() ?? defaultResponse)();
+    const warn = mock.method(console, "warn", () => {});
+    const info = mock.method(console, "info", () => {});
+    mock.timers.enable({ apis: ["setTimeout", "Date"], now: Date.now() });
+    const callsBefore = fetchCalls.length;
+    const start = Date.now();
+    try {
+      const result = sendGraphqlRequest({ apiName, variables: {} });
+      let settled = false;
+      result.then(
+        () => (settled = true),
+        () => (settled = true),
+      );
+      while (!settled) {
+        for (let i = 0; i < 5; i++) await new Promise((r) => setImmediate(r));
+        mock.timers.tick(1000);
+      }
+      return {
+        result,
+        requests: fetchCalls.length - callsBefore,
+        warnings: warn.mock.calls.map((call) => String(call.arguments[0])),
+        elapsed: Date.now() - start,
+      };
+    } finally {
+      mock.timers.reset();
+      warn.mock.restore();
+      info.mock.restore();
+      mockResponse = defaultResponse;
+    }
+  }
+
+  /**
+   * @param {unknown} body
+   * @param {ResponseInit} [init]
+   * @returns {() => Response}
+   */
+  const json = (body, init) => () =>
+    new Response(typeof body === "string" ? body : JSON.stringify(body), init);
+
+  it("should retry throttled and failing requests with backoff", async () => {
+    const { result, requests, warnings, elapsed } = await sendWithResponses([
+      json("", { status: 429, headers: { "retry-after": "5" } }),
+      json("", { status: 503 }),
+    ]);
+
+    assert.deepStrictEqual(await result, [
+      { data: { node: { id: "1" } } },
+      { label: "deferred", data: { id: "2" } },
+    ]);
+    assert.strictEqual(requests, 3);
+    assert.deepStrictEqual(warnings, [
+      "[fpdl] CometVideoRootMediaViewerQuery failed (Facebook is rate-limiting requests), retrying in 5s",
+      "[fpdl] CometVideoRootMediaViewerQuery failed (HTTP 503), retrying in 4s",
+    ]);
+    assert.ok(elapsed >= 9000, `Should have waited 9s, waited ${elapsed}ms`);
+  });
+
+  it("should give up on throttled requests after a few attempts", async () => {
+    const rateLimited = json({
+      errors: [{ code: 1675004, summary: "Rate limit exceeded" }],
+    });
+    const { result, requests } = await sendWithResponses(
+      Array(10).fill(rateLimited),
+    );
+
+    await assert.rejects(result, (err) => {
+      assert.ok(err instanceof Error);
+      assert.strictEqual(err.name, "GraphqlRequestError");
+      assert.strictEqual(err.message, "Rate limit exceeded");
+      assert.strictEqual(/** @type {any} */ (err).kind, "rate-limited");
+      assert.strictEqual(/** @type {any} */ (err).code, 1675004);
+      assert.ok(isBlockingError(err));
+      return true;
+    });
+    assert.strictEqual(requests, 4);
+  });
+
+  it("should detect login and checkpoint responses without retrying", async () => {
+    const loggedOut = await sendWithResponses([
+      json(
+        'for (;;);{"__ar":1,"error":1357001,"errorSummary":"You must log in to continue"}',
+      ),
+    ]);
+    await assert.rejects(loggedOut.result, {
+      kind: "login-required",
+      message: "You must log in to continue",
+    });
+    assert.strictEqual(loggedOut.requests, 1);
+
+    const checkpoint = await sendWithResponses([
+      () => {
+        const res = new Response("<!DOCTYPE html>");
+        Object.defineProperty(res, "url", {
+          value: "https://www.facebook.com/checkpoint/828281030927956/",
+        });
+        return res;
+      },
+    ]);
+    await assert.rejects(checkpoint.result, { kind: "checkpoint" });
+    assert.strictEqual(checkpoint.requests, 1);
+  });
+
+  it("should only fail on GraphQL errors that left no data", async () => {
+    const partial = await sendWithResponses([
+      json({
+        data: { currMedia: { id: "1" } },
+        errors: [{ message: "A field failed", severity: "WARNING" }],
+      }),
+    ]);
+    assert.strictEqual((await partial.result).length, 1);
+
+    const failed = await sendWithResponses([
+      json({ data: null, errors: [{ message: "Media not found" }] }),
+    ]);
+    await assert.rejects(failed.result, (err) => {
+      assert.strictEqual(/** @type {any} */ (err).kind, "graphql");
+      assert.ok(!isBlockingError(err));
+      return true;
+    });
+    assert.strictEqual(failed.requests, 1);
+
+    const transient = await sendWithResponses([
+      json({ errors: [{ message: "Try again", is_transient: true }] }),
+    ]);
+    assert.strictEqual((await transient.result).length, 2);
+    assert.strictEqual(transient.requests, 2);
+  });
+});
+
+describe("traffic recorder", () => {
+  it("should only record while enabled", async () => {
+    await collectEvents(() =>
+      fetch("https://www.facebook.com/api/graphql/", { method: "POST" }),
+    );
+    assert.deepStrictEqual(getRecordedTraffic(), []);
+  });
+
+  it("should record page and extension requests without secrets", async () => {
+    setTrafficRecording(true);
+    const info = mock.method(console, "info", () => {});
+    mockResponse = () =>
+      new Response(
+        '{"data":{"viewer":{"fb_dtsg":"secret","id":42,"name":"Jane"}}}\n{"label":"x","path":["viewer"],"data":{"id":"1"}}',
+        { headers: { "content-type": "text/html" } },
+      );
+    try {
+      await collectEvents(() =>
+        fetch("https://www.facebook.com/api/graphql/", {
+          method: "POST",
+          headers: { "x-fb-lsd": "lsd-token", Cookie: "c_user=42" },
+          body: new URLSearchParams({
+            fb_api_req_friendly_name: "CometNewsFeedPaginationQuery",
+            fb_dtsg: "dtsg-token",
+            __user: "42",
+            doc_id: "123",
+            variables: '{"actorID":"42","count":420}',
+          }),
+        }),
+      );
+      await sendGraphqlRequest({
+        apiName: "CometVideoRootMediaViewerQuery",
+        variables: {},
+      });
+
+      const [page, own] = getRecordedTraffic();
+      assert.strictEqual(page.initiator, "page");
+      assert.strictEqual(typeof page.time, "number");
+      assert.deepStrictEqual(page.requestHeaders, {
+        cookie: "[redacted]",
+        "x-fb-lsd": "[redacted]",
+      });
+      assert.deepStrictEqual(page.requestPayload, {
+        fb_api_req_friendly_name: "CometNewsFeedPaginationQuery",
+        fb_dtsg: "[redacted]",
+        __user: "[redacted]",
+        doc_id: "123",
+        variables: '{"actorID":"0","count":420}',
+      });
+      // The response as received, still valid NDJSON
+      assert.strictEqual(
+        page.responseText,
+        '{"data":{"viewer":{"fb_dtsg":"[redacted]","id":0,"name":"Jane"}}}\n{"label":"x","path":["viewer"],"data":{"id":"1"}}',
+      );
+
+      assert.strictEqual(own.initiator, "extension");
+      assert.strictEqual(
+        own.requestPayload.fb_api_req_friendly_name,
+        "CometVideoRootMediaViewerQuery",
+      );
+      assert.strictEqual(own.status, 200);
+    } finally {
+      mockResponse = defaultResponse;
+      info.mock.restore();
+      setTrafficRecording(false);
+    }
+  });
+
+  it("should keep only the most recent requests", async () => {
+    setTrafficRecording(true);
+    try {
+      for (let i = 0; i < 205; i++) {
+        await sendGraphqlRequest({
+          apiName: "CometVideoRootMediaViewerQuery",
+          variables: { nodeID: String(i) },
+        });
+      }
+      const recorded = getRecordedTraffic();
+      assert.strictEqual(recorded.length, 200);
+      assert.strictEqual(
+        JSON.parse(recorded[0].requestPayload.variables).nodeID,
+        "5",
+      );
+    } finally {
+      setTrafficRecording(false);
+    }
+    assert.deepStrictEqual(getRecordedTraffic(), []);
+  });
+
+  it("should drop the oldest requests when the responses get too large", async () => {
+    setTrafficRecording(true);
+    const text = `{"data":{"text":"${"x".repeat(8 * 1024 * 1024)}"}}`;
+    mockResponse = () => new Response(text);
+    try {
+      for (let i = 0; i < 3; i++) {
+        await sendGraphqlRequest({
+          apiName: "CometVideoRootMediaViewerQuery",
+          variables: { nodeID: String(i) },
+        });
+      }
+      const recorded = getRecordedTraffic();
+      assert.deepStrictEqual(
+        recorded.map((ev) => JSON.parse(ev.requestPayload.variables).nodeID),
+        ["1", "2"],
+      );
+    } finally {
+      mockResponse = defaultResponse;
+      setTrafficRecording(false);
+    }
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+
+const { renderHar } = await import("../extensions/har.js");
+
+/** @type {import('../extensions/types').RecordedGraphqlEvent} */
+const event = {
+  url: "https://www.facebook.com/api/graphql/",
+  requestHeaders: { "x-fb-friendly-name": "CometNewsFeedPaginationQuery" },
+  responseHeaders: { "content-type": "text/html; charset=utf-8" },
+  requestPayload: {
+    fb_api_req_friendly_name: "CometNewsFeedPaginationQuery",
+    fb_dtsg: "[redacted]",
+    doc_id: "123",
+  },
+  responseText:
+    '{"data":{"node":{"post_id":"1","message":{"text":"\\u65e5\\u672c\\u8a9e"}}}}\n{"label":"deferred"}',
+  status: 200,
+  time: Date.UTC(2024, 0, 15, 9, 30),
+  initiator: "page",
+};
+
+describe("renderHar", () => {
+  it("should render HAR 1.2 entries", () => {
+    const har = JSON.parse(renderHar([event]));
+    assert.strictEqual(har.log.version, "1.2");
+    assert.strictEqual(har.log.creator.name, "Facebook Post Downloader");
+
+    const [entry] = har.log.entries;
+    assert.strictEqual(entry.startedDateTime, "2024-01-15T09:30:00.000Z");
+    assert.strictEqual(entry.request.method, "POST");
+    assert.strictEqual(entry.request.url, event.url);
+    assert.deepStrictEqual(entry.request.headers, [
+      { name: "x-fb-friendly-name", value: "CometNewsFeedPaginationQuery" },
+    ]);
+    assert.deepStrictEqual(entry.request.postData.params, [
+      {
+        name: "fb_api_req_friendly_name",
+        value: "CometNewsFeedPaginationQuery",
+      },
+      { name: "fb_dtsg", value: "[redacted]" },
+      { name: "doc_id", value: "123" },
+    ]);
+    assert.strictEqual(entry.response.status, 200);
+    assert.strictEqual(
+      entry.response.content.mimeType,
+      "text/html; charset=utf-8",
+    );
+    assert.strictEqual(entry.comment, "Sent by the page");
+  });
+
+  it("should keep the layout bin/find-entry.js reads", () => {
+    const [entry] = JSON.parse(renderHar([event])).log.entries;
+    const params = new URLSearchParams(entry.request.postData.text);
+    assert.strictEqual(
+      params.get("fb_api_req_friendly_name"),
+      "CometNewsFeedPaginationQuery",
+    );
+
+    // The NDJSON as Facebook sent it, with the \uXXXX escapes find-entry searches for
+    assert.strictEqual(entry.response.content.text, event.responseText);
+    assert.ok(entry.response.content.text.includes("\\u65e5\\u672c\\u8a9e"));
+  });
+
+  it("should render an empty log", () => {
+    assert.deepStrictEqual(JSON.parse(renderHar([])).log.entries, []);
+  });
+});
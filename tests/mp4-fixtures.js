@@ -0,0 +1,234 @@
+/**
+ * Builders for small synthetic fragmented MP4 files, shaped like Facebook's
+ * single-track DASH representations: ftyp, moov, sidx and moof/mdat fragments.
+ */
+
+/**
+ * @typedef {{ type: string, start: number, headerSize: number, end: number }} TestBox
+ * @typedef {{
+ *   trackId: number,
+ *   handler: "vide" | "soun",
+ *   movieTimescale: number,
+ *   mediaTimescale: number,
+ *   duration: number,
+ *   editList?: Array<{ segmentDuration: number, mediaTime: number }>,
+ *   fragments: Array<{ decodeTime: number, payload: Uint8Array }>,
+ *   baseDataOffset?: boolean,
+ * }} TestTrackOptions
+ */
+
+/**
+ * Encode big-endian integer fields.
+ * @param {...[number, number]} specs - Pairs of [byteLength, value]
+ * @returns {Uint8Array}
+ */
+function fields(...specs) {
+  const size = specs.reduce((sum, [len]) => sum + len, 0);
+  const data = new Uint8Array(size);
+  const view = new DataView(data.buffer);
+  let offset = 0;
+  for (const [len, value] of specs) {
+    if (len === 8) view.setBigUint64(offset, BigInt(value));
+    else if (len === 4) view.setUint32(offset, value);
+    else if (len === 2) view.setUint16(offset, value);
+    else if (len === 1) view.setUint8(offset, value);
+    offset += len;
+  }
+  return data;
+}
+
+/**
+ * @param {string} type
+ * @param {...Uint8Array} parts
+ * @returns {Uint8Array}
+ */
+export function box(type, ...parts) {
+  const size = 8 + parts.reduce((sum, p) => sum + p.length, 0);
+  const data = new Uint8Array(size);
+  new DataView(data.buffer).setUint32(0, size);
+  data.set(new TextEncoder().encode(type), 4);
+  let offset = 8;
+  for (const part of parts) {
+    data.set(part, offset);
+    offset += part.length;
+  }
+  return data;
+}
+
+/**
+ * Build a single-track fragmented MP4.
+ * @param {TestTrackOptions} options
+ * @returns {Uint8Array}
+ */
+export function createFragmentedMp4(options) {
+  const ftyp = box(
+    "ftyp",
+    new TextEncoder().encode("dash"),
+    fields([4, 0]),
+    new TextEncoder().encode("iso6mp41"),
+  );
+
+  const mvhd = box(
+    "mvhd",
+    fields([4, 0], [4, 0], [4, 0], [4, options.movieTimescale]),
+    fields([4, options.duration], [4, 0x00010000], [2, 0x0100], [2, 0]),
+    new Uint8Array(8 + 36 + 24),
+    fields([4, options.trackId + 1]),
+  );
+  const tkhd = box(
+    "tkhd",
+    fields([4, 3], [4, 0], [4, 0], [4, options.trackId], [4, 0]),
+    fields([4, options.duration]),
+    new Uint8Array(8 + 8 + 36 + 8),
+  );
+  const edts = options.editList
+    ? [
+        box(
+          "edts",
+          box(
+            "elst",
+            fields([4, 0], [4, options.editList.length]),
+            ...options.editList.map((e) =>
+              fields([4, e.segmentDuration], [4, e.mediaTime], [4, 0x00010000]),
+            ),
+          ),
+        ),
+      ]
+    : [];
+  const mdia = box(
+    "mdia",
+    box(
+      "mdhd",
+      fields([4, 0], [4, 0], [4, 0], [4, options.mediaTimescale], [4, 0]),
+      fields([2, 0x55c4], [2, 0]),
+    ),
+    box(
+      "hdlr",
+      fields([4, 0], [4, 0]),
+      new TextEncoder().encode(options.handler),
+      new Uint8Array(12 + 1),
+    ),
+  );
+  const mvex = box(
+    "mvex",
+    box("mehd", fields([4, 0], [4, options.duration])),
+    box(
+      "trex",
+      fields([4, 0], [4, options.trackId], [4, 1], [4, 0], [4, 0], [4, 0]),
+    ),
+  );
+  const moov = box("moov", mvhd, box("trak", tkhd, ...edts, mdia), mvex);
+  const sidx = box("sidx", new Uint8Array(24));
+
+  /** @type {Uint8Array[]} */
+  const parts = [ftyp, moov, sidx];
+  let offset = ftyp.length + moov.length + sidx.length;
+  options.fragments.forEach(({ decodeTime, payload }, i) => {
+    /**
+     * @param {number} dataOffset
+     * @returns {Uint8Array}
+     */
+    const createMoof = (dataOffset) =>
+      box(
+        "moof",
+        box("mfhd", fields([4, 0], [4, i + 1])),
+        box(
+          "traf",
+          options.baseDataOffset
+            ? box(
+                "tfhd",
+                fields([4, 0x000001], [4, options.trackId], [8, offset]),
+              )
+            : box("tfhd", fields([4, 0x020000], [4, options.trackId])),
+          box("tfdt", fields([4, 0x01000000], [8, decodeTime])),
+          box("trun", fields([4, 0x000001], [4, 1], [4, dataOffset])),
+        ),
+      );
+    // trun's data_offset points at the mdat payload, right after the moof
+    const moofSize = createMoof(0).length;
+    const moof = createMoof(moofSize + 8);
+    const mdat = box("mdat", payload);
+    parts.push(moof, mdat);
+    offset += moof.length + mdat.length;
+  });
+
+  const data = new Uint8Array(offset);
+  let position = 0;
+  for (const part of parts) {
+    data.set(part, position);
+    position += part.length;
+  }
+  return data;
+}
+
+/**
+ * Read the boxes between two offsets.
+ * @param {Uint8Array} data
+ * @param {number} [start]
+ * @param {number} [end]
+ * @returns {TestBox[]}
+ */
+export function readBoxes(data, start = 0, end = data.length) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  /** @type {TestBox[]} */
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    const size = view.getUint32(offset);
+    const type = new TextDecoder().decode(
+      data.subarray(offset + 4, offset + 8),
+    );
+    boxes.push({ type, start: offset, headerSize: 8, end: offset + size });
+    offset += size;
+  }
+  return boxes;
+}
+
+/**
+ * Find all boxes matching a path of box types below `parent`.
+ * @param {Uint8Array} data
+ * @param {TestBox | undefined} parent - The whole file when undefined
+ * @param {string[]} path
+ * @returns {TestBox[]}
+ */
+export function findBoxes(data, parent, path) {
+  let boxes = parent
+    ? [parent]
+    : [{ type: "", start: -8, headerSize: 8, end: data.length }];
+  for (const type of path) {
+    boxes = boxes.flatMap((b) =>
+      readBoxes(data, b.start + b.headerSize, b.end).filter(
+        (child) => child.type === type,
+      ),
+    );
+  }
+  return boxes;
+}
+
+/**
+ * Read a 32-bit unsigned integer from a box's payload.
+ * @param {Uint8Array} data
+ * @param {TestBox} box
+ * @param {number} offset - Offset within the payload
+ * @returns {number}
+ */
+export function readUint32(data, box, offset) {
+  return new DataView(data.buffer, data.byteOffset).getUint32(
+    box.start + box.headerSize + offset,
+  );
+}
+
+/**
+ * Read a 64-bit unsigned integer from a box's payload.
+ * @param {Uint8Array} data
+ * @param {TestBox} box
+ * @param {number} offset - Offset within the payload
+ * @returns {number}
+ */
+export function readUint64(data, box, offset) {
+  return Number(
+    new DataView(data.buffer, data.byteOffset).getBigUint64(
+      box.start + box.headerSize + offset,
+    ),
+  );
+}
@@ -0,0 +1,192 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import {
+  createFragmentedMp4,
+  findBoxes,
+  readBoxes,
+  readUint32,
+  readUint64,
+} from "./mp4-fixtures.js";
+
+const { muxFragmentedMp4 } = await import("../extensions/mp4.js");
+
+/**
+ * @param {number} length
+ * @param {number} fill
+ * @returns {Uint8Array}
+ */
+function payload(length, fill) {
+  return new Uint8Array(length).fill(fill);
+}
+
+/**
+ * @param {{ baseDataOffset?: boolean }} [options]
+ */
+function createInputs(options = {}) {
+  const video = createFragmentedMp4({
+    trackId: 1,
+    handler: "vide",
+    movieTimescale: 1000,
+    mediaTimescale: 15360,
+    duration: 4000,
+    fragments: [
+      { decodeTime: 0, payload: payload(100, 0x11) },
+      { decodeTime: 2 * 15360, payload: payload(120, 0x12) },
+    ],
+    ...options,
+  });
+  const audio = createFragmentedMp4({
+    trackId: 1,
+    handler: "soun",
+    movieTimescale: 44100,
+    mediaTimescale: 44100,
+    duration: 4.5 * 44100,
+    editList: [{ segmentDuration: 4.5 * 44100, mediaTime: 2048 }],
+    fragments: [
+      { decodeTime: 0, payload: payload(30, 0x21) },
+      { decodeTime: 1 * 44100, payload: payload(40, 0x22) },
+      { decodeTime: 3 * 44100, payload: payload(50, 0x23) },
+    ],
+    ...options,
+  });
+  return { video, audio };
+}
+
+/**
+ * @param {Uint8Array} video
+ * @param {Uint8Array} audio
+ * @returns {Promise<Uint8Array>}
+ */
+async function mux(video, audio) {
+  const blob = muxFragmentedMp4(video, audio);
+  assert.strictEqual(blob.type, "video/mp4");
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+/**
+ * Get the mdat payload a fragment's trun points at.
+ * @param {Uint8Array} data
+ * @param {import('./mp4-fixtures.js').TestBox} moof
+ * @returns {Uint8Array}
+ */
+function getSampleData(data, moof) {
+  const [tfhd] = findBoxes(data, moof, ["traf", "tfhd"]);
+  const [trun] = findBoxes(data, moof, ["traf", "trun"]);
+  const base =
+    readUint32(data, tfhd, 0) & 0x000001
+      ? readUint64(data, tfhd, 8)
+      : moof.start;
+  const start = base + readUint32(data, trun, 8);
+  const mdat = readBoxes(data).find((b) => b.start + 8 === start);
+  assert.ok(mdat, "trun data_offset should point at an mdat payload");
+  return data.subarray(start, mdat.end);
+}
+
+describe("muxFragmentedMp4", () => {
+  it("should combine both tracks into one moov", async () => {
+    const { video, audio } = createInputs();
+    const data = await mux(video, audio);
+
+    const topLevel = readBoxes(data).map((b) => b.type);
+    assert.deepStrictEqual(topLevel.slice(0, 2), ["ftyp", "moov"]);
+    assert.ok(!topLevel.includes("sidx"), "sidx should be dropped");
+
+    const traks = findBoxes(data, undefined, ["moov", "trak"]);
+    assert.strictEqual(traks.length, 2);
+    assert.deepStrictEqual(
+      traks.map((t) => readUint32(data, findBoxes(data, t, ["tkhd"])[0], 12)),
+      [1, 2],
+      "Tracks should be renumbered",
+    );
+    assert.deepStrictEqual(
+      findBoxes(data, undefined, ["moov", "mvex", "trex"]).map((t) =>
+        readUint32(data, t, 4),
+      ),
+      [1, 2],
+    );
+
+    const [mvhd] = findBoxes(data, undefined, ["moov", "mvhd"]);
+    assert.strictEqual(readUint32(data, mvhd, 12), 1000, "Video timescale");
+    assert.strictEqual(readUint32(data, mvhd, 16), 4500, "Longest duration");
+    assert.strictEqual(
+      readUint32(data, mvhd, mvhd.end - mvhd.start - 8 - 4),
+      3,
+      "next_track_ID",
+    );
+
+    const [mehd] = findBoxes(data, undefined, ["moov", "mvex", "mehd"]);
+    assert.strictEqual(readUint32(data, mehd, 4), 4500);
+  });
+
+  it("should convert the audio durations to the video movie timescale", async () => {
+    const { video, audio } = createInputs();
+    const data = await mux(video, audio);
+
+    const audioTrak = findBoxes(data, undefined, ["moov", "trak"])[1];
+    const [tkhd] = findBoxes(data, audioTrak, ["tkhd"]);
+    assert.strictEqual(readUint32(data, tkhd, 20), 4500);
+
+    const [elst] = findBoxes(data, audioTrak, ["edts", "elst"]);
+    assert.strictEqual(readUint32(data, elst, 8), 4500, "segment_duration");
+    assert.strictEqual(
+      readUint32(data, elst, 12),
+      2048,
+      "media_time stays in the media timescale",
+    );
+  });
+
+  it("should interleave fragments by decode time and renumber them", async () => {
+    const { video, audio } = createInputs();
+    const data = await mux(video, audio);
+
+    const moofs = readBoxes(data).filter((b) => b.type === "moof");
+    assert.deepStrictEqual(
+      moofs.map((m) => readUint32(data, findBoxes(data, m, ["mfhd"])[0], 4)),
+      [1, 2, 3, 4, 5],
+    );
+    assert.deepStrictEqual(
+      moofs.map((m) =>
+        readUint32(data, findBoxes(data, m, ["traf", "tfhd"])[0], 4),
+      ),
+      // video 0s, audio 0s, audio 1s, video 2s, audio 3s
+      [1, 2, 2, 1, 2],
+    );
+    assert.deepStrictEqual(
+      moofs.map((m) => getSampleData(data, m)[0]),
+      [0x11, 0x21, 0x22, 0x12, 0x23],
+      "Sample data should stay attached to its fragment",
+    );
+  });
+
+  it("should move absolute base data offsets with their fragments", async () => {
+    const { video, audio } = createInputs({ baseDataOffset: true });
+    const data = await mux(video, audio);
+
+    const moofs = readBoxes(data).filter((b) => b.type === "moof");
+    assert.deepStrictEqual(
+      moofs.map((m) => {
+        const sample = getSampleData(data, m);
+        return [sample[0], sample.length];
+      }),
+      [
+        [0x11, 100],
+        [0x21, 30],
+        [0x22, 40],
+        [0x12, 120],
+        [0x23, 50],
+      ],
+    );
+  });
+
+  it("should reject files that are not fragmented MP4s", () => {
+    const { video } = createInputs();
+    assert.throws(
+      () => muxFragmentedMp4(video, new Uint8Array(16)),
+      /Missing ftyp or moov in audio/,
+    );
+    assert.throws(
+      () => muxFragmentedMp4(video, video.subarray(0, 10)),
+      /Invalid MP4 box/,
+    );
+  });
+});
@@ -0,0 +1,167 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+
+const {
+  DEFAULT_FILE_TEMPLATE,
+  DEFAULT_FOLDER_TEMPLATE,
+  PREVIEW_CONTEXT,
+  renderTemplate,
+  sanitizeFilename,
+  validateTemplate,
+} = await import("../extensions/naming.js");
+
+/** @type {import('../extensions/types').NamingContext} */
+const context = {
+  date: new Date(2024, 2, 5, 14, 7, 9),
+  group: "Hiking Club",
+  author: "Jane Doe",
+  post_id: "123",
+  title: "A long day on the trail: 20 km / 1500 m\nSecond line",
+  index: 7,
+  media_id: "456",
+};
+
+describe("renderTemplate", () => {
+  it("should render the default templates like the original naming scheme", () => {
+    assert.strictEqual(
+      renderTemplate(DEFAULT_FOLDER_TEMPLATE, context),
+      "2024-03-05_Hiking Club_Jane Doe_123",
+    );
+    assert.strictEqual(
+      renderTemplate(DEFAULT_FILE_TEMPLATE, context),
+      "0007_456",
+    );
+  });
+
+  it("should drop empty tokens together with their separator", () => {
+    assert.strictEqual(
+      renderTemplate(DEFAULT_FOLDER_TEMPLATE, { post_id: "123" }),
+      "123",
+    );
+    assert.strictEqual(
+      renderTemplate(DEFAULT_FOLDER_TEMPLATE, {
+        ...context,
+        group: undefined,
+      }),
+      "2024-03-05_Jane Doe_123",
+    );
+    assert.strictEqual(
+      renderTemplate("{group}/{date:YYYY-MM}/{post_id}", {
+        ...context,
+        group: undefined,
+      }),
+      "2024-03/123",
+      "Empty subdirectories should be removed",
+    );
+  });
+
+  it("should create subdirectories from the date format and literal slashes", () => {
+    assert.strictEqual(
+      renderTemplate(
+        "{group}/{date:YYYY/MM}/{date:DD HH.mm.ss}_{post_id}",
+        context,
+      ),
+      "Hiking Club/2024/03/05 14.07.09_123",
+    );
+    assert.strictEqual(
+      renderTemplate("{date:YY}-{post_id}", context),
+      "24-123",
+    );
+  });
+
+  it("should sanitize values so they cannot create subdirectories", () => {
+    assert.strictEqual(
+      renderTemplate("{author}/{post_id}", {
+        ...context,
+        author: "AC/DC: Fans?",
+      }),
+      "AC_DC_ Fans_/123",
+    );
+  });
+
+  it("should truncate the first line of the title", () => {
+    assert.strictEqual(
+      renderTemplate("{title:10}_{post_id}", context),
+      "A long day_123",
+    );
+    assert.strictEqual(
+      renderTemplate("{title}", context),
+      "A long day on the trail_ 20 km _ 1500 m",
+    );
+  });
+
+  it("should pad the index to the requested width", () => {
+    assert.strictEqual(renderTemplate("{index:2}", context), "07");
+    assert.strictEqual(
+      renderTemplate("{index:1}", { ...context, index: 12 }),
+      "12",
+    );
+  });
+});
+
+describe("validateTemplate", () => {
+  it("should accept valid templates", () => {
+    for (const template of [
+      DEFAULT_FOLDER_TEMPLATE,
+      "{group}/{date:YYYY/MM}/{post_id}",
+      "{date:YYYY-MM-DD}_{title:40}_{post_id}",
+    ]) {
+      assert.strictEqual(validateTemplate(template, "folder"), undefined);
+    }
+    for (const template of [
+      DEFAULT_FILE_TEMPLATE,
+      "{index:3}",
+      "media/{author}_{media_id}",
+    ]) {
+      assert.strictEqual(validateTemplate(template, "file"), undefined);
+    }
+  });
+
+  it("should reject invalid templates with a message", () => {
+    /** @type {Array<[string, "folder" | "file", RegExp]>} */
+    const cases = [
+      ["", "folder", /empty/],
+      ["{post_id", "folder", /Unclosed "\{"/],
+      ["post_id}", "folder", /Unexpected "\}"/],
+      ["{postid}", "folder", /Unknown token \{postid\}/],
+      ["{media_id}_{post_id}", "folder", /Unknown token \{media_id\}/],
+      ["{date:QQ}_{post_id}", "folder", /Invalid date format/],
+      ["{title:0}_{post_id}", "folder", /Invalid title length/],
+      ["{group:x}_{post_id}", "folder", /does not take an argument/],
+      ["{index:20}", "file", /Invalid index width/],
+      ["{post_id}?", "folder", /Invalid character "\?"/],
+      ["/{post_id}", "folder", /relative path/],
+      ["../{post_id}", "folder", /must not contain "\.\."/],
+      ["{date}_{group}", "folder", /must contain \{post_id\}/],
+      ["{title}", "file", /must contain \{index\} or \{media_id\}/],
+    ];
+    for (const [template, kind, expected] of cases) {
+      assert.match(
+        validateTemplate(template, kind) ?? "",
+        expected,
+        `${kind} template ${JSON.stringify(template)}`,
+      );
+    }
+  });
+});
+
+describe("sanitizeFilename", () => {
+  it("should replace characters that are invalid in filenames", () => {
+    assert.strictEqual(
+      sanitizeFilename(' a<b>c:d"e/f\\g|h?i*j '),
+      "a_b_c_d_e_f_g_h_i_j",
+    );
+  });
+});
+
+describe("PREVIEW_CONTEXT", () => {
+  it("should render every token", () => {
+    assert.strictEqual(
+      renderTemplate(
+        "{date}/{group}/{author}/{post_id}/{title}/{index}_{media_id}",
+        PREVIEW_CONTEXT,
+      ),
+      "2024-01-15/Hiking Club/Jane Doe/1234567890/Sunrise over the ridge, and the long way/0001_9876543210",
+    );
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, mock, before, after } from "node:test";
+import assert from "node:assert";
+
+const { getBackoffDelay, pauseRequests, scheduleRequest, setRateLimit } =
+  await import("../extensions/scheduler.js");
+
+/**
+ * Let pending promise callbacks run.
+ */
+async function flush() {
+  for (let i = 0; i < 5; i++) await new Promise((r) => setImmediate(r));
+}
+
+describe("scheduleRequest", () => {
+  // The scheduler remembers when the last request started, so keep one clock for all tests
+  before(() => {
+    mock.timers.enable({ apis: ["setTimeout", "Date"], now: 1_000_000 });
+  });
+
+  after(() => {
+    mock.timers.reset();
+  });
+
+  it("should space requests out by the rate limit", async () => {
+    setRateLimit(30);
+    /** @type {number[]} */
+    const started = [];
+    const requests = [1, 2, 3].map((n) =>
+      scheduleRequest(async () => {
+        started.push(Date.now());
+        return n;
+      }),
+    );
+
+    for (let elapsed = 0; elapsed <= 4000; elapsed += 1000) {
+      await flush();
+      mock.timers.tick(1000);
+    }
+    assert.deepStrictEqual(await Promise.all(requests), [1, 2, 3]);
+    assert.deepStrictEqual(
+      started.map((time) => time - started[0]),
+      [0, 2000, 4000],
+    );
+  });
+
+  it("should hold back requests while paused", async () => {
+    setRateLimit(60);
+    // Let the previous test's rate limit slot pass
+    mock.timers.tick(60000);
+    pauseRequests(10000);
+    let done = false;
+    const request = scheduleRequest(async () => {
+      done = true;
+    });
+
+    for (let elapsed = 0; elapsed < 10000; elapsed += 1000) {
+      await flush();
+      assert.strictEqual(done, false, `Should wait at ${elapsed}ms`);
+      mock.timers.tick(1000);
+    }
+    await request;
+    assert.strictEqual(done, true);
+  });
+
+  it("should treat a rate limit below one request per minute as one", async () => {
+    setRateLimit(0);
+    mock.timers.tick(60000);
+    const requests = [1, 2].map((n) => scheduleRequest(async () => n));
+
+    for (let elapsed = 0; elapsed <= 60000; elapsed += 1000) {
+      await flush();
+      mock.timers.tick(1000);
+    }
+    assert.deepStrictEqual(await Promise.all(requests), [1, 2]);
+  });
+
+  it("should keep going after a failed request", async () => {
+    setRateLimit(60);
+    mock.timers.tick(60000);
+    const failed = assert.rejects(
+      scheduleRequest(async () => {
+        throw new Error("HTTP 500");
+      }),
+      /HTTP 500/,
+    );
+    const next = scheduleRequest(async () => "ok");
+
+    for (let elapsed = 0; elapsed <= 1000; elapsed += 1000) {
+      await flush();
+      mock.timers.tick(1000);
+    }
+    await failed;
+    assert.strictEqual(await next, "ok");
+  });
+});
+
+describe("getBackoffDelay", () => {
+  it("should double the delay up to a maximum", () => {
+    assert.deepStrictEqual(
+      [1, 2, 3, 4].map((attempt) => getBackoffDelay(attempt)),
+      [2000, 4000, 8000, 16000],
+    );
+    assert.strictEqual(getBackoffDelay(20), 5 * 60 * 1000);
+  });
+
+  it("should follow Retry-After up to the maximum", () => {
+    assert.strictEqual(getBackoffDelay(3, 5000), 5000);
+    assert.strictEqual(getBackoffDelay(1, 24 * 60 * 60 * 1000), 5 * 60 * 1000);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert";
+
+// Mock the page's localStorage before importing the module
+/** @type {Map<string, string>} */
+const storage = new Map();
+/** @type {any} */ (globalThis).localStorage = {
+  getItem: (/** @type {string} */ key) => storage.get(key) ?? null,
+  setItem: (/** @type {string} */ key, /** @type {string} */ value) =>
+    storage.set(key, String(value)),
+};
+
+const { DEFAULT_SETTINGS, loadSettings, saveSettings } =
+  await import("../extensions/settings.js");
+
+describe("settings", () => {
+  beforeEach(() => {
+    storage.clear();
+  });
+
+  it("should return the defaults when nothing is stored", () => {
+    assert.deepStrictEqual(loadSettings(), DEFAULT_SETTINGS);
+    assert.strictEqual(loadSettings().videoThumbnails, false);
+    assert.strictEqual(loadSettings().requestsPerMinute, 60);
+  });
+
+  it("should load saved settings", () => {
+    saveSettings({ ...DEFAULT_SETTINGS, videoThumbnails: true });
+    assert.strictEqual(loadSettings().videoThumbnails, true);
+  });
+
+  it("should ignore invalid values", () => {
+    storage.set(
+      "fpdl-settings",
+      JSON.stringify({ videoThumbnails: "yes", unknown: 1 }),
+    );
+    assert.deepStrictEqual(loadSettings(), DEFAULT_SETTINGS);
+  });
+
+  it("should load saved naming templates", () => {
+    saveSettings({
+      ...DEFAULT_SETTINGS,
+      folderTemplate: "{group}/{date:YYYY-MM}/{post_id}",
+      fileTemplate: "{index:2}_{media_id}",
+    });
+    const settings = loadSettings();
+    assert.strictEqual(
+      settings.folderTemplate,
+      "{group}/{date:YYYY-MM}/{post_id}",
+    );
+    assert.strictEqual(settings.fileTemplate, "{index:2}_{media_id}");
+  });
+
+  it("should ignore invalid naming templates", () => {
+    storage.set(
+      "fpdl-settings",
+      JSON.stringify({ folderTemplate: "{date}_{group}", fileTemplate: 1 }),
+    );
+    assert.deepStrictEqual(loadSettings(), DEFAULT_SETTINGS);
+  });
+
+  it("should load a valid request rate", () => {
+    saveSettings({ ...DEFAULT_SETTINGS, requestsPerMinute: 10 });
+    assert.strictEqual(loadSettings().requestsPerMinute, 10);
+
+    for (const requestsPerMinute of [0, 1.5, 1000, "10"]) {
+      storage.set("fpdl-settings", JSON.stringify({ requestsPerMinute }));
+      assert.strictEqual(
+        loadSettings().requestsPerMinute,
+        DEFAULT_SETTINGS.requestsPerMinute,
+        `${JSON.stringify(requestsPerMinute)} should be ignored`,
+      );
+    }
+  });
+
+  it("should load the traffic recording switch", () => {
+    assert.strictEqual(loadSettings().recordTraffic, false);
+    saveSettings({ ...DEFAULT_SETTINGS, recordTraffic: true });
+    assert.strictEqual(loadSettings().recordTraffic, true);
+  });
+
+  it("should fall back to the defaults when the stored value is corrupt", () => {
+    storage.set("fpdl-settings", "{not json");
+    assert.deepStrictEqual(loadSettings(), DEFAULT_SETTINGS);
+  });
+
+  it("should not share state with the returned defaults", () => {
+    const settings = loadSettings();
+    settings.videoThumbnails = true;
+    assert.strictEqual(DEFAULT_SETTINGS.videoThumbnails, false);
+  });
+});
@@ -1,14 +1,18 @@
-import { describe, it, mock } from "node:test";
+import { afterEach, describe, it, mock } from "node:test";
 import assert from "node:assert";
 import { readFileSync } from "node:fs";
 import { fileURLToPath } from "node:url";
 import { dirname, join } from "node:path";
+import { resolveObjectURL } from "node:buffer";
+import { createFragmentedMp4, findBoxes } from "./mp4-fixtures.js";
 
 /**
  * @typedef {import('../extensions/types').StoryPost} StoryPost
  * @typedef {import('../extensions/types').StoryVideo} StoryVideo
+ * @typedef {import('../extensions/types').StoryWatch} StoryWatch
  * @typedef {import('../extensions/types').Story} Story
  * @typedef {import('../extensions/types').StoryFile} StoryFile
+ * @typedef {import('../extensions/types').Settings} Settings
  */
 
 const __filename = fileURLToPath(import.meta.url);
@@ -17,6 +21,15 @@ const __dirname = dirname(__filename);
 /** @type {(params: { apiName: string, variables: Record<string, unknown> }) => Promise<unknown[]>} */
 let mockSendGraphqlRequestImpl = async () => [];
 
+/** @type {(url: string) => Promise<Response>} */
+let mockFetchImpl = async () => new Response("", { status: 404 });
+
+// Mock fetch (captions and DASH downloads) so tests never hit the network
+Object.assign(globalThis, {
+  fetch: async (/** @type {string | URL | Request} */ input) =>
+    mockFetchImpl(String(input)),
+});
+
 // Mock graphql.js before importing story.js
 mock.module("../extensions/graphql.js", {
   namedExports: {
@@ -25,6 +38,12 @@ mock.module("../extensions/graphql.js", {
       pathname: "/test",
     }),
     graphqlListener: () => {},
+    isBlockingError: (/** @type {unknown} */ err) =>
+      /** @type {{ blocking?: boolean } | undefined} */ (err)?.blocking ===
+      true,
+    isUnavailableError: (/** @type {unknown} */ err) =>
+      /** @type {{ unavailable?: boolean } | undefined} */ (err)
+        ?.unavailable === true,
     sendGraphqlRequest: /** @type {typeof mockSendGraphqlRequestImpl} */ (
       params,
     ) => mockSendGraphqlRequestImpl(params),
@@ -36,6 +55,7 @@ const {
   extractStoryGroupMap,
   getGroup,
   extractStoryCreateTime,
+  extractStoryDetails,
   getCreateTime,
   getAttachmentCount,
   getDownloadCount,
@@ -46,7 +66,82 @@ const {
   getStoryMessage,
   extractVideoUrls,
   getStoryMediaTitle,
+  extractStoryMetrics,
+  getStoryMetrics,
+  getStoryPoll,
+  unwrapFacebookRedirect,
+  extractVideoCaptions,
+  extractVideoThumbnails,
+  extractStoryCardBuckets,
+  getAlbumId,
+  extractAlbumFirstMedia,
+  getAlbumFirstMedia,
+  fetchAlbumFiles,
+  extractMediaGridItems,
+  getStorySourcePostUrl,
+  extractProfileAlbums,
+  extractMarketplaceListings,
+  getStoryListing,
+  getAttachedStories,
+  extractStoryEditCounts,
+  isStoryEdited,
 } = await import("../extensions/story.js");
+const { DEFAULT_SETTINGS } = await import("../extensions/settings.js");
+
+// Tests that fail half-way must not leave their mocks to the tests after them
+afterEach(() => {
+  mockSendGraphqlRequestImpl = async () => [];
+  mockFetchImpl = async () => new Response("", { status: 404 });
+});
+
+/**
+ * Collect the files fetchStoryFiles yields for a story.
+ * @param {Story} story
+ * @param {Partial<Settings>} [settings]
+ * @returns {Promise<StoryFile[]>}
+ */
+async function collectDownloads(story, settings = {}) {
+  /** @type {StoryFile[]} */
+  const downloads = [];
+  for await (const download of fetchStoryFiles(story, {
+    ...DEFAULT_SETTINGS,
+    ...settings,
+  })) {
+    downloads.push(download);
+  }
+  return downloads;
+}
+
+/**
+ * Decode the text of the downloaded file whose name ends with a suffix.
+ * @param {StoryFile[]} downloads
+ * @param {string} suffix
+ * @returns {string}
+ */
+function readDownload(downloads, suffix) {
+  const download = downloads.find((d) => d.filename.endsWith(suffix));
+  assert.ok(download, `Should have ${suffix} file`);
+  return decodeURIComponent(download.url.slice(download.url.indexOf(",") + 1));
+}
+
+/**
+ * Build a group post with a single attachment, e.g. a link share, event or poll.
+ * @param {string} kind - Prefix of the story and post IDs
+ * @param {string} message
+ * @param {Record<string, unknown>} attachment
+ * @returns {StoryPost}
+ */
+function createAttachmentStory(kind, message, attachment) {
+  return /** @type {StoryPost} */ ({
+    id: `${kind}-story-id`,
+    post_id: `${kind}-post-id`,
+    wwwURL: `https://www.facebook.com/groups/1/posts/${kind}-post-id`,
+    actors: [{ __typename: "User", id: "123", name: "Test User" }],
+    message: { text: message },
+    attachments: [{ styles: { attachment } }],
+    attached_story: null,
+  });
+}
 
 describe("extractStories", () => {
   it("should extract text-only StoryPost from story-text-only.json", () => {
@@ -219,7 +314,7 @@ describe("extractStories", () => {
 });
 
 describe("getDownloadCount", () => {
-  it("should return 1 for text-only story (index.md only)", () => {
+  it("should return 3 for text-only story (index.md, index.html and story.json only)", () => {
     const mockData = JSON.parse(
       readFileSync(join(__dirname, "story-text-only.json"), "utf8"),
     );
@@ -231,12 +326,12 @@ describe("getDownloadCount", () => {
     assert.ok(textOnlyStory, "Should find the text-only story");
     assert.strictEqual(
       getDownloadCount(textOnlyStory),
-      1,
-      "Text-only story should have download count of 1 (index.md only)",
+      3,
+      "Text-only story should have download count of 3 (index.md + index.html + story.json)",
     );
   });
 
-  it("should return attachments + 1 for story with photo attachments", () => {
+  it("should return attachments + 3 for story with photo attachments", () => {
     const mockData = JSON.parse(
       readFileSync(join(__dirname, "story-attachment-photo.json"), "utf8"),
     );
@@ -248,8 +343,8 @@ describe("getDownloadCount", () => {
     assert.ok(storyWithAttachments, "Should find the story with attachments");
     assert.strictEqual(
       getDownloadCount(storyWithAttachments),
-      5,
-      "Story with 4 attachments should have download count of 5 (4 photos + index.md)",
+      7,
+      "Story with 4 attachments should have download count of 7 (4 photos + index.md + index.html + story.json)",
     );
   });
 
@@ -267,10 +362,10 @@ describe("getDownloadCount", () => {
       mainStory.attached_story,
       "Main story should have attached_story",
     );
-    // 0 attachments + 1 index.md + 1 attached_story attachment = 2
+    // 0 attachments + index.md + index.html + story.json + 1 attached_story attachment = 4
     assert.strictEqual(
       getDownloadCount(mainStory),
-      2,
+      4,
       "Story with attached_story should include attached_story attachments in count",
     );
   });
@@ -285,15 +380,15 @@ describe("getDownloadCount", () => {
       result.find((s) => getStoryPostId(s) === "2280345139142267")
     );
     assert.ok(mainStory, "Should find the main story");
-    // 0 attachments + 1 index.md + 1 attached_story attachment = 2
+    // 0 attachments + index.md + index.html + story.json + 1 attached_story attachment = 4
     assert.strictEqual(
       getDownloadCount(mainStory),
-      2,
-      "Story with only attached_story should have download count of 2",
+      4,
+      "Story with only attached_story should have download count of 4",
     );
   });
 
-  it("should return 2 for StoryVideo (1 video + index.md)", () => {
+  it("should return 4 for StoryVideo (1 video + index.md + index.html + story.json)", () => {
     const mockData = JSON.parse(
       readFileSync(join(__dirname, "story-video.json"), "utf8"),
     );
@@ -305,12 +400,12 @@ describe("getDownloadCount", () => {
     assert.ok(storyVideo, "Should find the StoryVideo");
     assert.strictEqual(
       getDownloadCount(storyVideo),
-      2,
-      "StoryVideo should have download count of 2 (1 video + index.md)",
+      4,
+      "StoryVideo should have download count of 4 (1 video + index.md + index.html + story.json)",
     );
   });
 
-  it("should return 2 for StoryWatch (1 video + index.md)", () => {
+  it("should return 4 for StoryWatch (1 video + index.md + index.html + story.json)", () => {
     const mockData = JSON.parse(
       readFileSync(join(__dirname, "story-watched-video.json"), "utf8"),
     );
@@ -322,12 +417,12 @@ describe("getDownloadCount", () => {
     assert.ok(storyWatch, "Should find the StoryWatch");
     assert.strictEqual(
       getDownloadCount(storyWatch),
-      2,
-      "StoryWatch should have download count of 2 (1 video + index.md)",
+      4,
+      "StoryWatch should have download count of 4 (1 video + index.md + index.html + story.json)",
     );
   });
 
-  it("should return 2 for shorts video StoryPost (1 video + index.md)", () => {
+  it("should return 4 for shorts video StoryPost (1 video + index.md + index.html + story.json)", () => {
     const mockData = JSON.parse(
       readFileSync(join(__dirname, "story-shorts-video.json"), "utf8"),
     );
@@ -344,8 +439,8 @@ describe("getDownloadCount", () => {
     );
     assert.strictEqual(
       getDownloadCount(shortsStory),
-      2,
-      "Shorts video story should have download count of 2 (1 video + index.md)",
+      4,
+      "Shorts video story should have download count of 4 (1 video + index.md + index.html + story.json)",
     );
   });
 });
@@ -461,6 +556,77 @@ describe("extractStoryGroupMap", () => {
   });
 });
 
+describe("extractStoryMetrics", () => {
+  it("should extract reactions, comments and shares from story-text-only.json", () => {
+    const mockData = JSON.parse(
+      readFileSync(join(__dirname, "story-text-only.json"), "utf8"),
+    );
+
+    const stories = extractStories(mockData);
+    extractStoryMetrics(mockData);
+
+    const story = stories.find((s) => getStoryPostId(s) === "1411731986983785");
+    assert.ok(story, "Should find the story");
+
+    const metrics = getStoryMetrics(story);
+    assert.ok(metrics, "Should extract metrics for the story");
+    assert.strictEqual(metrics.reactionCount, 6146);
+    assert.strictEqual(metrics.commentCount, 399);
+    assert.strictEqual(metrics.shareCount, 305);
+    assert.deepStrictEqual(metrics.reactions?.slice(0, 2), [
+      { name: "Like", count: 5974 },
+      { name: "Haha", count: 72 },
+    ]);
+  });
+
+  it("should extract total_comment_count from StoryVideo in story-video.json", () => {
+    const mockData = JSON.parse(
+      readFileSync(join(__dirname, "story-video.json"), "utf8"),
+    );
+
+    const stories = extractStories(mockData);
+    extractStoryMetrics(mockData);
+
+    const story = stories.find((s) => getStoryPostId(s) === "1140140214990654");
+    assert.ok(story, "Should find the StoryVideo");
+
+    const metrics = getStoryMetrics(story);
+    assert.ok(metrics, "Should extract metrics for the video");
+    assert.strictEqual(metrics.reactionCount, 3078);
+    assert.strictEqual(metrics.commentCount, 36);
+    assert.strictEqual(metrics.shareCount, undefined);
+    assert.strictEqual(metrics.reactions?.length, 5);
+  });
+
+  it("should render engagement into index.md", async () => {
+    const mockData = JSON.parse(
+      readFileSync(join(__dirname, "story-text-only.json"), "utf8"),
+    );
+
+    const stories = extractStories(mockData);
+    extractStoryMetrics(mockData);
+
+    const story = stories.find((s) => getStoryPostId(s) === "1411731986983785");
+    assert.ok(story, "Should find the story");
+
+    const downloads = await collectDownloads(story);
+
+    const markdownContent = decodeURIComponent(
+      downloads[0].url.replace("data:text/markdown;charset=utf-8,", ""),
+    );
+    assert.ok(
+      markdownContent.includes(
+        "**Engagement:** 6146 reactions (Like 5974, Haha 72,",
+      ),
+      "Markdown should include the reaction breakdown",
+    );
+    assert.ok(
+      markdownContent.includes("· 399 comments · 305 shares"),
+      "Markdown should include comment and share counts",
+    );
+  });
+});
+
 describe("extractStoryCreateTime", () => {
   it("should extract create time from StoryPost in story-text-only.json", () => {
     const mockData = JSON.parse(
@@ -628,6 +794,25 @@ describe("extractStoryCreateTime", () => {
   });
 });
 
+describe("extractStoryDetails", () => {
+  it("should fill the group and create time caches in one pass", () => {
+    const mockData = JSON.parse(
+      readFileSync(join(__dirname, "story-user-group.json"), "utf8"),
+    );
+
+    const stories = extractStories(mockData);
+    extractStoryDetails(mockData);
+
+    const story = stories.find((s) => getStoryPostId(s) === "2282323118944469");
+    assert.ok(story, "Should find the story");
+    assert.strictEqual(getGroup(story)?.id, "1250325325477592");
+    assert.ok(
+      getCreateTime(story) instanceof Date,
+      "Create time should be a Date",
+    );
+  });
+});
+
 describe("extractVideoUrls", () => {
   it("should extract video URLs from story-watched-video.json", () => {
     const mockData = JSON.parse(
@@ -731,6 +916,104 @@ describe("getStoryMessage", () => {
   });
 });
 
+describe("message entities", () => {
+  it("should unwrap l.facebook.com redirects", () => {
+    assert.strictEqual(
+      unwrapFacebookRedirect(
+        "https://l.facebook.com/l.php?u=https%3A%2F%2Fexample.com%2Fa%3Fb%3D1&h=AT0",
+      ),
+      "https://example.com/a?b=1",
+    );
+    assert.strictEqual(
+      unwrapFacebookRedirect("https://example.com/"),
+      "https://example.com/",
+    );
+  });
+
+  it("should render hashtags from story-video.json as links", async () => {
+    const mockData = JSON.parse(
+      readFileSync(join(__dirname, "story-video.json"), "utf8"),
+    );
+
+    const stories = extractStories(mockData);
+    const story = stories.find((s) => getStoryPostId(s) === "1140140214990654");
+    assert.ok(story, "Should find the StoryVideo");
+
+    const downloads = await collectDownloads(story);
+
+    const indexDownload = downloads.find((d) =>
+      d.filename.endsWith("/index.md"),
+    );
+    assert.ok(indexDownload, "Should have index.md file");
+    const markdownContent = decodeURIComponent(
+      indexDownload.url.replace("data:text/markdown;charset=utf-8,", ""),
+    );
+    assert.ok(
+      markdownContent.includes(
+        `[#はじめてちゃれんじ](https://www.facebook.com/hashtag/${encodeURIComponent("はじめてちゃれんじ")})`,
+      ),
+      "Markdown should link the hashtag",
+    );
+    assert.ok(
+      markdownContent.includes(
+        "\n[#はじめてのおつかい](https://www.facebook.com/hashtag/",
+      ),
+      "Markdown should keep the text between ranges",
+    );
+  });
+
+  it("should render mentions and external URLs using code point offsets", async () => {
+    /** @type {StoryPost} */
+    const story = {
+      id: "entities-story-id",
+      post_id: "entities-post-id",
+      wwwURL: "https://www.facebook.com/test/posts/entities-post-id",
+      actors: [{ __typename: "User", id: "123", name: "Test User" }],
+      message: {
+        text: "😀 Thanks Jane Doe, see example.com",
+        ranges: [
+          {
+            offset: 9,
+            length: 8,
+            entity: {
+              __typename: "User",
+              id: "456",
+              url: "https://www.facebook.com/jane.doe",
+            },
+          },
+          {
+            offset: 23,
+            length: 11,
+            entity: {
+              __typename: "ExternalUrl",
+              url: "https://l.facebook.com/l.php?u=https%3A%2F%2Fexample.com%2F&h=AT1",
+            },
+          },
+        ],
+      },
+      attachments: [],
+      attached_story: null,
+    };
+
+    const downloads = await collectDownloads(story);
+
+    const markdownContent = decodeURIComponent(
+      downloads[0].url.replace("data:text/markdown;charset=utf-8,", ""),
+    );
+    assert.ok(
+      markdownContent.includes(
+        "😀 Thanks [Jane Doe](https://www.facebook.com/jane.doe), see [example.com](https://example.com/)",
+      ),
+      "Markdown should link the mention and the unwrapped URL",
+    );
+    assert.strictEqual(
+      getStoryMessage(story),
+      "😀 Thanks Jane Doe, see example.com",
+      "getStoryMessage should still return plain text",
+    );
+  });
+});
+
 describe("getStoryMediaTitle", () => {
   it("should return undefined for StoryPost", () => {
     const mockData = JSON.parse(
@@ -803,16 +1086,12 @@ describe("downloadStory", () => {
     const story = stories.find((s) => getStoryPostId(s) === "1411731986983785");
     assert.ok(story, "Should find the story");
 
-    /** @type {StoryFile[]} */
-    const downloads = [];
-    for await (const download of fetchStoryFiles(story)) {
-      downloads.push(download);
-    }
+    const downloads = await collectDownloads(story);
 
     assert.strictEqual(
       downloads.length,
-      1,
-      "Should have 1 download for text-only story",
+      3,
+      "Should have 3 downloads for text-only story (index.md + index.html + story.json)",
     );
 
     const indexDownload = downloads[0];
@@ -882,16 +1161,12 @@ describe("downloadStory", () => {
       "Story should have 4 attachments",
     );
 
-    /** @type {StoryFile[]} */
-    const downloads = [];
-    for await (const download of fetchStoryFiles(story)) {
-      downloads.push(download);
-    }
+    const downloads = await collectDownloads(story);
 
     assert.strictEqual(
       downloads.length,
-      5,
-      "Should have 5 downloads (4 photos + index.md)",
+      7,
+      "Should have 7 downloads (4 photos + index.md + index.html + story.json)",
     );
 
     const photoDownloads = downloads.filter((d) => d.filename.endsWith(".jpg"));
@@ -966,16 +1241,12 @@ describe("downloadStory", () => {
       "Story should have 4 attachments",
     );
 
-    /** @type {StoryFile[]} */
-    const downloads = [];
-    for await (const download of fetchStoryFiles(story)) {
-      downloads.push(download);
-    }
+    const downloads = await collectDownloads(story);
 
     assert.strictEqual(
       downloads.length,
-      5,
-      "Should have 5 downloads (4 photos + index.md)",
+      7,
+      "Should have 7 downloads (4 photos + index.md + index.html + story.json)",
     );
 
     const photoDownloads = downloads.filter((d) => d.filename.endsWith(".jpg"));
@@ -1096,20 +1367,13 @@ describe("downloadStory", () => {
       return [];
     };
 
-    /** @type {StoryFile[]} */
-    const downloads = [];
-    for await (const download of fetchStoryFiles(story)) {
-      downloads.push(download);
-    }
-
-    // Reset mock
-    mockSendGraphqlRequestImpl = async () => [];
+    const downloads = await collectDownloads(story);
 
-    // Should have 4 downloads: 3 photos + index.md
+    // Should have 6 downloads: 3 photos + index.md + index.html + story.json
     assert.strictEqual(
       downloads.length,
-      4,
-      "Should have 4 downloads (3 photos + index.md)",
+      6,
+      "Should have 6 downloads (3 photos + index.md + index.html + story.json)",
     );
 
     const photoDownloads = downloads.filter((d) => d.filename.endsWith(".jpg"));
@@ -1266,20 +1530,13 @@ describe("downloadStory", () => {
       return [];
     };
 
-    /** @type {StoryFile[]} */
-    const downloads = [];
-    for await (const download of fetchStoryFiles(story)) {
-      downloads.push(download);
-    }
-
-    // Reset mock
-    mockSendGraphqlRequestImpl = async () => [];
+    const downloads = await collectDownloads(story);
 
-    // Should have 3 downloads: 2 videos + index.md
+    // Should have 5 downloads: 2 videos + index.md + index.html + story.json
     assert.strictEqual(
       downloads.length,
-      3,
-      "Should have 3 downloads (2 videos + index.md)",
+      5,
+      "Should have 5 downloads (2 videos + index.md + index.html + story.json)",
     );
 
     const videoDownloads = downloads.filter((d) => d.filename.endsWith(".mp4"));
@@ -1322,11 +1579,7 @@ describe("downloadStory", () => {
     const story = stories.find((s) => getStoryPostId(s) === "2282323118944469");
     assert.ok(story, "Should find the story");
 
-    /** @type {StoryFile[]} */
-    const downloads = [];
-    for await (const download of fetchStoryFiles(story)) {
-      downloads.push(download);
-    }
+    const downloads = await collectDownloads(story);
 
     const indexDownload = downloads.find((d) =>
       d.filename.endsWith("/index.md"),
@@ -1387,16 +1640,12 @@ describe("downloadStory", () => {
       "Attached story should have 1 attachment",
     );
 
-    /** @type {StoryFile[]} */
-    const downloads = [];
-    for await (const download of fetchStoryFiles(story)) {
-      downloads.push(download);
-    }
+    const downloads = await collectDownloads(story);
 
     assert.strictEqual(
       downloads.length,
-      2,
-      "Should have 2 downloads (1 photo + index.md)",
+      4,
+      "Should have 4 downloads (1 photo + index.md + index.html + story.json)",
     );
 
     const photoDownload = downloads.find((d) =>
@@ -1457,16 +1706,12 @@ describe("downloadStory", () => {
       "Attached story should have 1 attachment",
     );
 
-    /** @type {StoryFile[]} */
-    const downloads = [];
-    for await (const download of fetchStoryFiles(story)) {
-      downloads.push(download);
-    }
+    const downloads = await collectDownloads(story);
 
     assert.strictEqual(
       downloads.length,
-      2,
-      "Should have 2 downloads (1 photo + index.md)",
+      4,
+      "Should have 4 downloads (1 photo + index.md + index.html + story.json)",
     );
 
     const photoDownload = downloads.find((d) =>
@@ -1519,16 +1764,12 @@ describe("downloadStory", () => {
       "Story should have 1 video attachment",
     );
 
-    /** @type {StoryFile[]} */
-    const downloads = [];
-    for await (const download of fetchStoryFiles(story)) {
-      downloads.push(download);
-    }
+    const downloads = await collectDownloads(story);
 
     assert.strictEqual(
       downloads.length,
-      2,
-      "Should have 2 downloads (1 video + index.md)",
+      4,
+      "Should have 4 downloads (1 video + index.md + index.html + story.json)",
     );
 
     const videoDownload = downloads.find((d) => d.filename.includes(videoId));
@@ -1605,16 +1846,12 @@ describe("downloadStory", () => {
       "StoryVideo should have 1 attachment",
     );
 
-    /** @type {StoryFile[]} */
-    const downloads = [];
-    for await (const download of fetchStoryFiles(storyVideo)) {
-      downloads.push(download);
-    }
+    const downloads = await collectDownloads(storyVideo);
 
     assert.strictEqual(
       downloads.length,
-      2,
-      "Should have 2 downloads (1 video + index.md)",
+      4,
+      "Should have 4 downloads (1 video + index.md + index.html + story.json)",
     );
 
     const videoDownload = downloads.find((d) =>
@@ -1684,17 +1921,12 @@ describe("downloadStory", () => {
     );
     assert.ok(storyWatch, "Should find the StoryWatch");
 
-    /** @type {StoryFile[]} */
-    const downloads = [];
-
-    for await (const download of fetchStoryFiles(storyWatch)) {
-      downloads.push(download);
-    }
+    const downloads = await collectDownloads(storyWatch);
 
     assert.strictEqual(
       downloads.length,
-      2,
-      "Should download 2 files (markdown + video)",
+      4,
+      "Should download 4 files (markdown + index.html + story.json + video)",
     );
 
     const mdDownload = downloads.find((d) => d.filename.endsWith(".md"));
@@ -1726,17 +1958,12 @@ describe("downloadStory", () => {
     );
     assert.ok(shortsStory, "Should find the shorts video story");
 
-    /** @type {StoryFile[]} */
-    const downloads = [];
-
-    for await (const download of fetchStoryFiles(shortsStory)) {
-      downloads.push(download);
-    }
+    const downloads = await collectDownloads(shortsStory);
 
     assert.strictEqual(
       downloads.length,
-      2,
-      "Should download 2 files (markdown + video)",
+      4,
+      "Should download 4 files (markdown + index.html + story.json + video)",
     );
 
     const mdDownload = downloads.find((d) => d.filename.endsWith(".md"));
@@ -1754,3 +1981,2389 @@ describe("downloadStory", () => {
     );
   });
 });
+
+describe("downloadStory with comments", () => {
+  /** @type {StoryPost} */
+  const story = {
+    id: "comment-story-id",
+    post_id: "comment-post-id",
+    wwwURL: "https://www.facebook.com/groups/test/posts/comment-post-id",
+    actors: [{ __typename: "User", id: "123", name: "Test User" }],
+    message: { text: "Discuss" },
+    feedback: { id: "comment-feedback-id" },
+    attachments: [],
+    attached_story: null,
+  };
+
+  /**
+   * @param {string} id
+   * @param {string} text
+   * @param {number} replyCount
+   * @param {Record<string, unknown>[]} [attachments]
+   */
+  const comment = (id, text, replyCount, attachments = []) => ({
+    __typename: "Comment",
+    id,
+    legacy_fbid: `${id}-fbid`,
+    created_time: 1765584000,
+    author: { __typename: "User", id: `${id}-author`, name: `Author ${id}` },
+    body: { text },
+    attachments,
+    feedback: {
+      id: `${id}-feedback`,
+      expansion_info: { expansion_token: `${id}-token` },
+      replies_fields: { total_count: replyCount },
+    },
+  });
+
+  /**
+   * @param {Record<string, unknown>[]} nodes
+   * @param {string | null} endCursor
+   */
+  const page = (nodes, endCursor) => [
+    {
+      data: {
+        node: {
+          comment_rendering_instance_for_feed_location: {
+            comments: {
+              edges: nodes.map((node) => ({ node })),
+              page_info: { has_next_page: !!endCursor, end_cursor: endCursor },
+            },
+          },
+        },
+      },
+    },
+  ];
+
+  it("should export comments, replies and comment images", async () => {
+    /** @type {Array<{ apiName: string, variables: Record<string, unknown> }>} */
+    const requests = [];
+    mockSendGraphqlRequestImpl = async (params) => {
+      requests.push(params);
+      const { apiName, variables } = params;
+      if (apiName === "CommentsListComponentsPaginationQuery") {
+        assert.strictEqual(variables.id, "comment-feedback-id");
+        if (!variables.commentsAfterCursor) {
+          return page([comment("c1", "First comment", 1)], "cursor-1");
+        }
+        return page(
+          [
+            comment("c2", "Second comment", 0, [
+              {
+                style_type_renderer: {
+                  attachment: {
+                    media: {
+                      __typename: "Photo",
+                      id: "comment-photo",
+                      image: {
+                        uri: "https://example.com/comment.jpg",
+                        width: 100,
+                        height: 100,
+                      },
+                    },
+                  },
+                },
+              },
+            ]),
+          ],
+          null,
+        );
+      }
+      if (apiName === "Depth1CommentsListPaginationQuery") {
+        assert.strictEqual(variables.id, "c1-feedback");
+        assert.strictEqual(variables.expansionToken, "c1-token");
+        return page([comment("r1", "A reply", 0)], null);
+      }
+      return [];
+    };
+
+    const downloads = await collectDownloads(story);
+
+    mockSendGraphqlRequestImpl = async () => [];
+
+    assert.strictEqual(
+      requests.length,
+      3,
+      "Should request 2 comment pages and 1 reply page",
+    );
+    assert.deepStrictEqual(
+      downloads.map((d) => d.filename.split("/").slice(1).join("/")),
+      [
+        "comments/0001_comment-photo.jpg",
+        "comments.md",
+        "comments.json",
+        "index.md",
+        "index.html",
+        "story.json",
+      ],
+    );
+
+    const commentsMd = decodeURIComponent(
+      downloads[1].url.replace("data:text/markdown;charset=utf-8,", ""),
+    );
+    assert.ok(commentsMd.includes("**Author c1**"), "Should include author");
+    assert.ok(commentsMd.includes("First comment"), "Should include text");
+    assert.ok(
+      commentsMd.includes("> A reply"),
+      "Should render reply as blockquote",
+    );
+    assert.ok(
+      commentsMd.includes("](./comments/0001_comment-photo.jpg)"),
+      "Should link comment image",
+    );
+
+    const commentsJson = JSON.parse(
+      decodeURIComponent(
+        downloads[2].url.replace("data:application/json;charset=utf-8,", ""),
+      ),
+    );
+    assert.strictEqual(commentsJson.length, 2);
+    assert.strictEqual(commentsJson[0].id, "c1-fbid");
+    assert.strictEqual(commentsJson[0].replies[0].text, "A reply");
+    assert.deepStrictEqual(commentsJson[1].files, [
+      "comments/0001_comment-photo.jpg",
+    ]);
+
+    const indexMd = decodeURIComponent(
+      downloads[3].url.replace("data:text/markdown;charset=utf-8,", ""),
+    );
+    assert.ok(
+      indexMd.includes("[3 comments](./comments.md)"),
+      "index.md should link to comments.md",
+    );
+  });
+
+  it("should export comments without a timestamp", async () => {
+    const { created_time, ...undated } = comment("c1", "Undated", 0);
+    mockSendGraphqlRequestImpl = async ({ apiName }) =>
+      apiName === "CommentsListComponentsPaginationQuery"
+        ? page([undated], null)
+        : [];
+
+    /** @type {StoryFile[]} */
+    let downloads;
+    try {
+      downloads = await collectDownloads(story);
+    } finally {
+      mockSendGraphqlRequestImpl = async () => [];
+    }
+
+    const byName = new Map(
+      downloads.map((d) => [
+        d.filename.split("/").pop(),
+        decodeURIComponent(d.url.slice(d.url.indexOf(",") + 1)),
+      ]),
+    );
+    assert.ok(byName.get("comments.md")?.includes("**Author c1**\n\nUndated"));
+    assert.strictEqual(
+      JSON.parse(byName.get("comments.json") ?? "[]")[0].created_time,
+      null,
+    );
+    assert.ok(
+      byName.has("story.json"),
+      "The rest of the story should be saved",
+    );
+  });
+
+  it("should skip comment files when comments cannot be fetched", async () => {
+    mockSendGraphqlRequestImpl = async () => {
+      throw new Error("No doc_id available");
+    };
+
+    const downloads = await collectDownloads(story);
+
+    mockSendGraphqlRequestImpl = async () => [];
+
+    assert.deepStrictEqual(
+      downloads.map((d) => d.filename.split("/").pop()),
+      ["index.md", "index.html", "story.json"],
+      "Should only download index.md, index.html and story.json",
+    );
+    assert.ok(
+      decodeURIComponent(downloads[0].url).includes(
+        "**Comments:** could not be downloaded",
+      ),
+      "index.md should say the comments are missing",
+    );
+  });
+
+  it("should say how to get comments Facebook has not loaded yet", async () => {
+    mockSendGraphqlRequestImpl = async () => {
+      throw Object.assign(
+        new Error(
+          "No doc_id available for API: CommentsListComponentsPaginationQuery",
+        ),
+        { unavailable: true },
+      );
+    };
+
+    const downloads = await collectDownloads(story);
+    const markdown = readDownload(downloads, "/index.md");
+    assert.ok(
+      markdown.includes(
+        "**Comments:** not downloaded, Facebook had not loaded comments on the page yet. Open the post's comments on Facebook, then download it again.",
+      ),
+      "index.md should say how to get the comments",
+    );
+    assert.ok(
+      readDownload(downloads, "/index.html").includes(
+        "Comments not downloaded (open the post's comments on Facebook, then download it again)",
+      ),
+    );
+  });
+
+  it("should stop the download when Facebook blocks requests", async () => {
+    const blocked = Object.assign(new Error("Rate limit exceeded"), {
+      blocking: true,
+    });
+    mockSendGraphqlRequestImpl = async () => {
+      throw blocked;
+    };
+
+    try {
+      await assert.rejects(collectDownloads(story), blocked);
+    } finally {
+      mockSendGraphqlRequestImpl = async () => [];
+    }
+  });
+});
+
+describe("story.json", () => {
+  it("should write a versioned story.json with media and attached story", async () => {
+    const mockData = JSON.parse(
+      readFileSync(join(__dirname, "story-attached-story.json"), "utf8"),
+    );
+
+    const stories = extractStories(mockData);
+    extractStoryCreateTime(mockData);
+    extractStoryGroupMap(mockData);
+
+    const story = /** @type {StoryPost} */ (
+      stories.find((s) => getStoryPostId(s) === "1414037856753198")
+    );
+    assert.ok(story, "Should find the story");
+
+    const downloads = await collectDownloads(story);
+
+    const photoDownload = downloads.find((d) => d.filename.endsWith(".jpg"));
+    assert.ok(photoDownload, "Should have the attached story photo");
+
+    const jsonDownload = downloads.find((d) =>
+      d.filename.endsWith("/story.json"),
+    );
+    assert.ok(jsonDownload, "Should have story.json file");
+    assert.strictEqual(
+      jsonDownload.filename.split("/")[0],
+      photoDownload.filename.split("/")[0],
+      "story.json should be in the story folder",
+    );
+
+    /** @type {import('../extensions/types').StoryJson} */
+    const storyJson = JSON.parse(
+      decodeURIComponent(
+        jsonDownload.url.replace("data:application/json;charset=utf-8,", ""),
+      ),
+    );
+    assert.strictEqual(storyJson.schema_version, 2);
+    assert.strictEqual(storyJson.post_id, "1414037856753198");
+    assert.strictEqual(storyJson.url, getStoryUrl(story));
+    assert.strictEqual(storyJson.author?.name, "蔡正元");
+    assert.strictEqual(
+      storyJson.created_time,
+      getCreateTime(story)?.toISOString(),
+    );
+    assert.deepStrictEqual(storyJson.media, []);
+    assert.strictEqual(storyJson.comments_file, null);
+
+    const attached = storyJson.attached_story;
+    assert.ok(attached, "Should include the attached story");
+    assert.strictEqual(attached.post_id, "1284281217061999");
+    assert.strictEqual(attached.author?.name, "徐勝凌");
+    assert.strictEqual(attached.media.length, 1);
+    const [media] = attached.media;
+    assert.strictEqual(media.id, "1284281187062002");
+    assert.strictEqual(media.type, "photo");
+    assert.strictEqual(media.url, photoDownload.url);
+    assert.strictEqual(media.filename, photoDownload.filename.split("/").pop());
+    assert.ok(
+      media.caption?.startsWith("May be an image of text that says"),
+      "Media should include the accessibility caption",
+    );
+  });
+});
+
+describe("accessibility captions", () => {
+  it("should use photo accessibility captions as alt text and captions", async () => {
+    const mockData = JSON.parse(
+      readFileSync(join(__dirname, "story-attachment-photo.json"), "utf8"),
+    );
+
+    const stories = extractStories(mockData);
+    const story = stories.find(
+      (s) => getStoryPostId(s) === "25550089621287122",
+    );
+    assert.ok(story, "Should find the story");
+
+    const downloads = await collectDownloads(story);
+
+    const indexDownload = downloads.find((d) =>
+      d.filename.endsWith("/index.md"),
+    );
+    assert.ok(indexDownload, "Should have index.md file");
+    const markdownContent = decodeURIComponent(
+      indexDownload.url.replace("data:text/markdown;charset=utf-8,", ""),
+    );
+    assert.ok(
+      markdownContent.includes(
+        "![May be an image of text](./0001_10236779894371734.jpg)\n*May be an image of text*",
+      ),
+      "Markdown should use the caption as alt text with a caption line",
+    );
+    assert.ok(
+      markdownContent.includes(
+        "![No photo description available.](./0004_10236779894291732.jpg)",
+      ),
+      "Markdown should use the caption of each photo",
+    );
+  });
+});
+
+describe("video captions", () => {
+  const SRT_CONTENT = [
+    "1",
+    "00:00:01,000 --> 00:00:02,500",
+    "Hello",
+    "",
+    "2",
+    "00:00:03,000 --> 00:00:04,000",
+    "Second line",
+    "continued",
+    "",
+  ].join("\r\n");
+
+  const VTT_CONTENT = [
+    "WEBVTT",
+    "",
+    "NOTE generated",
+    "",
+    "00:01.000 --> 00:02.500 align:start",
+    "Bonjour",
+    "",
+  ].join("\n");
+
+  /** @type {Record<string, string>} */
+  const CAPTION_RESPONSES = {
+    "https://example.com/captions/en.srt": SRT_CONTENT,
+    "https://example.com/captions/fr.vtt": VTT_CONTENT,
+  };
+
+  /**
+   * Mock fetch to serve the caption fixtures, failing for any other URL.
+   * @param {string[]} [requested] - Collects requested URLs
+   */
+  function mockCaptionFetch(requested = []) {
+    mock.method(globalThis, "fetch", async (/** @type {string} */ url) => {
+      requested.push(url);
+      const body = CAPTION_RESPONSES[url];
+      if (body === undefined) return new Response("", { status: 404 });
+      return new Response(body);
+    });
+    return requested;
+  }
+
+  it("should download every caption track of a StoryVideo as SRT and VTT", async () => {
+    const mockData = JSON.parse(
+      readFileSync(join(__dirname, "story-video.json"), "utf8"),
+    );
+    const stories = extractStories(mockData);
+    const storyVideo = /** @type {StoryVideo | undefined} */ (
+      stories.find((s) => getStoryPostId(s) === "1140140214990654")
+    );
+    assert.ok(storyVideo, "Should find the StoryVideo");
+
+    const media = storyVideo.attachments[0].media;
+    media.captions_url = "https://example.com/captions/en.srt";
+    media.video_available_captions_locales = [
+      {
+        locale: "en_US",
+        localized_language: "English",
+        captions_url: "https://example.com/captions/en.srt",
+      },
+      {
+        locale: "fr_FR",
+        localized_language: "French",
+        captions_url: "https://example.com/captions/fr.vtt",
+      },
+      {
+        locale: "de_DE",
+        localized_language: "German",
+        captions_url: "https://example.com/captions/missing.srt",
+      },
+    ];
+
+    const requested = mockCaptionFetch();
+    /** @type {StoryFile[]} */
+    let downloads;
+    try {
+      downloads = await collectDownloads(storyVideo);
+    } finally {
+      mock.restoreAll();
+    }
+
+    assert.deepStrictEqual(requested, [
+      "https://example.com/captions/en.srt",
+      "https://example.com/captions/fr.vtt",
+      "https://example.com/captions/missing.srt",
+    ]);
+    assert.deepStrictEqual(
+      downloads.map((d) => d.filename.split("/").pop()),
+      [
+        "0001_1303605278204660.mp4",
+        "0001_1303605278204660.en_US.srt",
+        "0001_1303605278204660.en_US.vtt",
+        "0001_1303605278204660.fr_FR.srt",
+        "0001_1303605278204660.fr_FR.vtt",
+        "index.md",
+        "index.html",
+        "story.json",
+      ],
+      "Should save each available track next to the video, skipping failed ones",
+    );
+
+    assert.strictEqual(
+      readDownload(downloads, ".en_US.srt"),
+      "1\n00:00:01,000 --> 00:00:02,500\nHello\n\n" +
+        "2\n00:00:03,000 --> 00:00:04,000\nSecond line\ncontinued\n",
+    );
+    assert.strictEqual(
+      readDownload(downloads, ".en_US.vtt"),
+      "WEBVTT\n\n00:00:01.000 --> 00:00:02.500\nHello\n\n" +
+        "00:00:03.000 --> 00:00:04.000\nSecond line\ncontinued\n",
+    );
+    assert.strictEqual(
+      readDownload(downloads, ".fr_FR.srt"),
+      "1\n00:00:01,000 --> 00:00:02,500\nBonjour\n",
+    );
+
+    assert.ok(
+      readDownload(downloads, "/index.md").includes(
+        "- [0001_1303605278204660.mp4](./0001_1303605278204660.mp4)\n" +
+          "  - Captions (English): [srt](./0001_1303605278204660.en_US.srt) · [vtt](./0001_1303605278204660.en_US.vtt)\n" +
+          "  - Captions (French): [srt](./0001_1303605278204660.fr_FR.srt) · [vtt](./0001_1303605278204660.fr_FR.vtt)",
+      ),
+      "Markdown should link the caption files under the video",
+    );
+
+    const storyJson = JSON.parse(readDownload(downloads, "/story.json"));
+    assert.deepStrictEqual(storyJson.media[0].subtitles, [
+      {
+        locale: "en_US",
+        language: "English",
+        srt: "0001_1303605278204660.en_US.srt",
+        vtt: "0001_1303605278204660.en_US.vtt",
+      },
+      {
+        locale: "fr_FR",
+        language: "French",
+        srt: "0001_1303605278204660.fr_FR.srt",
+        vtt: "0001_1303605278204660.fr_FR.vtt",
+      },
+    ]);
+  });
+
+  it("should use captions extracted from other responses for StoryWatch", async () => {
+    const mockData = JSON.parse(
+      readFileSync(join(__dirname, "story-watched-video.json"), "utf8"),
+    );
+    const stories = extractStories(mockData);
+    extractVideoUrls(mockData);
+
+    const storyWatch = /** @type {StoryWatch | undefined} */ (
+      stories.find((s) => getStoryPostId(s) === "1403115984005683")
+    );
+    assert.ok(storyWatch, "Should find the StoryWatch");
+    const videoId = storyWatch.attachments[0].media.id;
+
+    extractVideoCaptions({
+      data: {
+        video: {
+          __typename: "Video",
+          id: videoId,
+          captions_url: "https://example.com/captions/en.srt",
+          video_available_captions_locales: [],
+        },
+      },
+    });
+
+    mockCaptionFetch();
+    /** @type {StoryFile[]} */
+    let downloads;
+    try {
+      downloads = await collectDownloads(storyWatch);
+    } finally {
+      mock.restoreAll();
+    }
+
+    assert.ok(
+      downloads.some((d) => d.filename.endsWith(`_${videoId}.default.srt`)),
+      "Should save the default caption track as SRT",
+    );
+    assert.ok(
+      downloads.some((d) => d.filename.endsWith(`_${videoId}.default.vtt`)),
+      "Should save the default caption track as VTT",
+    );
+    assert.ok(
+      readDownload(downloads, "/index.md").includes("  - Captions (default):"),
+      "Markdown should fall back to the locale when the language is unknown",
+    );
+  });
+});
+
+describe("video thumbnails", () => {
+  /** @returns {StoryVideo} */
+  function loadStoryVideo() {
+    const mockData = JSON.parse(
+      readFileSync(join(__dirname, "story-video.json"), "utf8"),
+    );
+    const storyVideo = /** @type {StoryVideo | undefined} */ (
+      extractStories(mockData).find(
+        (s) => getStoryPostId(s) === "1140140214990654",
+      )
+    );
+    assert.ok(storyVideo, "Should find the StoryVideo");
+    return storyVideo;
+  }
+
+  it("should not download thumbnails unless enabled", async () => {
+    const downloads = await collectDownloads(loadStoryVideo(), {
+      videoThumbnails: false,
+    });
+    assert.ok(
+      !downloads.some((d) => d.filename.endsWith(".thumb.jpg")),
+      "Should not download a thumbnail",
+    );
+    const storyJson = JSON.parse(readDownload(downloads, "/story.json"));
+    assert.strictEqual(storyJson.media[0].thumbnail, null);
+  });
+
+  it("should download the video thumbnail as a poster linking to the video", async () => {
+    const storyVideo = loadStoryVideo();
+    /** @type {any} */
+    const media = storyVideo.attachments[0].media;
+
+    const downloads = await collectDownloads(storyVideo, {
+      videoThumbnails: true,
+    });
+    assert.deepStrictEqual(
+      downloads.map((d) => d.filename.split("/").pop()),
+      [
+        "0001_1303605278204660.mp4",
+        "0001_1303605278204660.thumb.jpg",
+        "index.md",
+        "index.html",
+        "story.json",
+      ],
+    );
+    assert.strictEqual(downloads[1].url, media.preferred_thumbnail.image.uri);
+
+    assert.ok(
+      readDownload(downloads, "/index.md").includes(
+        "- [![0001_1303605278204660.mp4](./0001_1303605278204660.thumb.jpg)](./0001_1303605278204660.mp4)",
+      ),
+      "Markdown should render the thumbnail as a poster linking to the video",
+    );
+
+    const storyJson = JSON.parse(readDownload(downloads, "/story.json"));
+    assert.strictEqual(
+      storyJson.media[0].thumbnail,
+      "0001_1303605278204660.thumb.jpg",
+    );
+  });
+
+  it("should pick the highest-resolution thumbnail", async () => {
+    const storyVideo = loadStoryVideo();
+    /** @type {any} */
+    const media = storyVideo.attachments[0].media;
+    media.preferred_thumbnail.image.uri =
+      "https://scontent.example.com/small.jpg?stp=dst-jpg_s320x320_tt6";
+    media.thumbnailImage.uri =
+      "https://scontent.example.com/large.jpg?stp=dst-jpg_s1080x1920_tt6";
+
+    const downloads = await collectDownloads(storyVideo, {
+      videoThumbnails: true,
+    });
+    const thumbnail = downloads.find((d) => d.filename.endsWith(".thumb.jpg"));
+    assert.strictEqual(thumbnail?.url, media.thumbnailImage.uri);
+  });
+
+  it("should use thumbnails extracted from other responses for StoryWatch", async () => {
+    const mockData = JSON.parse(
+      readFileSync(join(__dirname, "story-watched-video.json"), "utf8"),
+    );
+    const stories = extractStories(mockData);
+    extractVideoUrls(mockData);
+
+    const storyWatch = /** @type {StoryWatch | undefined} */ (
+      stories.find((s) => getStoryPostId(s) === "1403115984005683")
+    );
+    assert.ok(storyWatch, "Should find the StoryWatch");
+    const videoId = storyWatch.attachments[0].media.id;
+
+    extractVideoThumbnails({
+      data: {
+        video: {
+          __typename: "Video",
+          id: videoId,
+          first_frame_thumbnail:
+            "https://scontent.example.com/frame.jpg?stp=dst-jpg_p960x960_tt6",
+        },
+      },
+    });
+
+    const downloads = await collectDownloads(storyWatch, {
+      videoThumbnails: true,
+    });
+    const thumbnail = downloads.find((d) =>
+      d.filename.endsWith(`_${videoId}.thumb.jpg`),
+    );
+    assert.strictEqual(
+      thumbnail?.url,
+      "https://scontent.example.com/frame.jpg?stp=dst-jpg_p960x960_tt6",
+    );
+  });
+});
+
+describe("DASH video", () => {
+  const VIDEO_MP4 = createFragmentedMp4({
+    trackId: 1,
+    handler: "vide",
+    movieTimescale: 1000,
+    mediaTimescale: 15360,
+    duration: 1000,
+    fragments: [{ decodeTime: 0, payload: new Uint8Array(10) }],
+  });
+  const AUDIO_MP4 = createFragmentedMp4({
+    trackId: 1,
+    handler: "soun",
+    movieTimescale: 44100,
+    mediaTimescale: 44100,
+    duration: 44100,
+    fragments: [{ decodeTime: 0, payload: new Uint8Array(10) }],
+  });
+
+  /**
+   * Serve the fragmented MP4 fixtures for the given representation URLs.
+   * @param {string} videoUrl - Prefix of the video representation URL
+   * @param {string} audioUrl - Prefix of the audio representation URL
+   * @returns {string[]} The requested URLs
+   */
+  function mockDashFetch(videoUrl, audioUrl) {
+    /** @type {string[]} */
+    const requested = [];
+    mockFetchImpl = async (url) => {
+      requested.push(url);
+      if (url.startsWith(videoUrl)) return new Response(VIDEO_MP4);
+      if (url.startsWith(audioUrl)) return new Response(AUDIO_MP4);
+      return new Response("", { status: 404 });
+    };
+    return requested;
+  }
+
+  /**
+   * Read back a muxed video from its blob URL.
+   * @param {string} url
+   * @returns {Promise<Uint8Array>}
+   */
+  async function readBlobUrl(url) {
+    assert.ok(url.startsWith("blob:"), `Should be a blob URL: ${url}`);
+    const blob = resolveObjectURL(url);
+    assert.ok(blob, "Blob URL should resolve");
+    return new Uint8Array(await blob.arrayBuffer());
+  }
+
+  /** @returns {StoryVideo} */
+  function loadStoryVideo() {
+    const mockData = JSON.parse(
+      readFileSync(join(__dirname, "story-video.json"), "utf8"),
+    );
+    const storyVideo = /** @type {StoryVideo | undefined} */ (
+      extractStories(mockData).find(
+        (s) => getStoryPostId(s) === "1140140214990654",
+      )
+    );
+    assert.ok(storyVideo, "Should find the StoryVideo");
+    return storyVideo;
+  }
+
+  it("should mux the best video and audio representations for StoryWatch", async () => {
+    const mockData = JSON.parse(
+      readFileSync(join(__dirname, "story-watched-video.json"), "utf8"),
+    );
+    const stories = extractStories(mockData);
+    extractVideoUrls(mockData);
+    const storyWatch = stories.find(
+      (s) => getStoryPostId(s) === "1403115984005683",
+    );
+    assert.ok(storyWatch, "Should find the StoryWatch");
+
+    const videoUrl =
+      "https://video.fyvr1-1.fna.fbcdn.net/o1/v/t2/f2/m366/AQP4OrSU9p3l17YC8Cyro0iZ-Bl6";
+    const audioUrl =
+      "https://video.fyvr1-1.fna.fbcdn.net/o1/v/t2/f2/m412/AQOL_aThPAbsEpXl8bFb_H6mZFmq";
+    const requested = mockDashFetch(videoUrl, audioUrl);
+
+    const downloads = await collectDownloads(storyWatch);
+    assert.ok(requested[0].startsWith(videoUrl), "Best video representation");
+    assert.ok(requested[1].startsWith(audioUrl), "Audio representation");
+
+    const videoDownload = downloads.find((d) => d.filename.endsWith(".mp4"));
+    assert.ok(videoDownload, "Should download video file");
+    const data = await readBlobUrl(videoDownload.url);
+    assert.strictEqual(findBoxes(data, undefined, ["moov", "trak"]).length, 2);
+
+    const storyJsonDownload = downloads.find((d) =>
+      d.filename.endsWith("/story.json"),
+    );
+    assert.ok(storyJsonDownload, "Should have story.json file");
+    const storyJson = JSON.parse(
+      decodeURIComponent(
+        storyJsonDownload.url.replace(
+          "data:application/json;charset=utf-8,",
+          "",
+        ),
+      ),
+    );
+    assert.ok(
+      storyJson.media[0].url.startsWith(videoUrl),
+      "story.json should keep the original video URL",
+    );
+  });
+
+  it("should prefer DASH for MediaVideo without a progressive HD URL", async () => {
+    const storyVideo = loadStoryVideo();
+    const result =
+      storyVideo.attachments[0].media.videoDeliveryResponseFragment
+        ?.videoDeliveryResponseResult;
+    assert.ok(result, "Should have delivery result");
+    result.progressive_urls = result.progressive_urls.filter(
+      (x) => x.metadata.quality === "SD",
+    );
+
+    const manifest = /** @type {{ manifest_xml: string }[]} */ (
+      result.dash_manifests
+    )[0].manifest_xml;
+    const [videoUrl, , audioUrl] = [
+      ...manifest.matchAll(/<BaseURL>([^<]*)<\/BaseURL>/g),
+    ].map((m) => m[1].replace(/&amp;/g, "&"));
+    const requested = mockDashFetch(videoUrl, audioUrl);
+
+    const downloads = await collectDownloads(storyVideo);
+    assert.deepStrictEqual(requested, [videoUrl, audioUrl]);
+    const data = await readBlobUrl(downloads[0].url);
+    assert.strictEqual(findBoxes(data, undefined, ["moov", "trak"]).length, 2);
+  });
+
+  it("should keep the progressive HD URL when DASH is not better", async () => {
+    const storyVideo = loadStoryVideo();
+    const requested = mockDashFetch("https://video.", "https://video.");
+
+    const downloads = await collectDownloads(storyVideo);
+    assert.deepStrictEqual(requested, [], "Should not fetch DASH");
+    const hd =
+      storyVideo.attachments[0].media.videoDeliveryResponseFragment?.videoDeliveryResponseResult.progressive_urls.find(
+        (x) => x.metadata.quality === "HD",
+      );
+    assert.strictEqual(downloads[0].url, hd?.progressive_url);
+  });
+
+  it("should fall back to the progressive URL when muxing fails", async () => {
+    const storyVideo = loadStoryVideo();
+    const result =
+      storyVideo.attachments[0].media.videoDeliveryResponseFragment
+        ?.videoDeliveryResponseResult;
+    assert.ok(result, "Should have delivery result");
+    result.progressive_urls = result.progressive_urls.filter(
+      (x) => x.metadata.quality === "SD",
+    );
+
+    // Every fetch fails with 404
+    const downloads = await collectDownloads(storyVideo);
+    assert.strictEqual(
+      downloads[0].url,
+      result.progressive_urls[0].progressive_url,
+    );
+  });
+});
+
+describe("naming templates", () => {
+  it("should name folders and files from the configured templates", async () => {
+    const mockData = JSON.parse(
+      readFileSync(join(__dirname, "story-video.json"), "utf8"),
+    );
+    const storyVideo = extractStories(mockData).find(
+      (s) => getStoryPostId(s) === "1140140214990654",
+    );
+    assert.ok(storyVideo, "Should find the StoryVideo");
+
+    const downloads = await collectDownloads(storyVideo, {
+      videoThumbnails: true,
+      folderTemplate: "{author}/{date:YYYY/MM}/{post_id}",
+      fileTemplate: "media/{title:12} ({index:2})",
+    });
+    const folder = "はじめてちゃれんじ/2025/11/1140140214990654";
+    assert.deepStrictEqual(
+      downloads.map((d) => d.filename),
+      [
+        `${folder}/media/THIS IS MEDI (01).mp4`,
+        `${folder}/media/THIS IS MEDI (01).thumb.jpg`,
+        `${folder}/index.md`,
+        `${folder}/index.html`,
+        `${folder}/story.json`,
+      ],
+    );
+
+    const indexMarkdown = decodeURIComponent(
+      downloads[2].url.slice(downloads[2].url.indexOf(",") + 1),
+    );
+    assert.ok(
+      indexMarkdown.includes(
+        "- [![THIS IS MEDI (01).mp4](./media/THIS%20IS%20MEDI%20%2801%29.thumb.jpg)](./media/THIS%20IS%20MEDI%20%2801%29.mp4)",
+      ),
+      "Markdown links should point into the nested media folder",
+    );
+
+    const storyJson = JSON.parse(
+      decodeURIComponent(
+        downloads[4].url.slice(downloads[4].url.indexOf(",") + 1),
+      ),
+    );
+    assert.strictEqual(
+      storyJson.media[0].filename,
+      "media/THIS IS MEDI (01).mp4",
+    );
+    assert.strictEqual(
+      storyJson.media[0].thumbnail,
+      "media/THIS IS MEDI (01).thumb.jpg",
+    );
+  });
+});
+
+describe("index.html", () => {
+  /**
+   * @param {Story} story
+   * @param {Partial<Settings>} [settings]
+   * @returns {Promise<string>}
+   */
+  async function renderIndexHtml(story, settings = {}) {
+    const indexHtml = (await collectDownloads(story, settings)).find((d) =>
+      d.filename.endsWith("/index.html"),
+    );
+    assert.ok(indexHtml, "Should have index.html file");
+    assert.ok(indexHtml.url.startsWith("data:text/html;charset=utf-8,"));
+    return decodeURIComponent(
+      indexHtml.url.slice(indexHtml.url.indexOf(",") + 1),
+    );
+  }
+
+  /**
+   * Check that a page only loads files from the story folder.
+   * @param {string} html
+   */
+  function assertOffline(html) {
+    assert.ok(!/<script|<link/.test(html), "Should not load scripts or styles");
+    for (const [, src] of html.matchAll(/\b(?:src|poster)="([^"]*)"/g)) {
+      assert.ok(src.startsWith("./"), `Should load ${src} from the folder`);
+    }
+  }
+
+  it("should nest the attached story with its photo gallery", async () => {
+    const mockData = JSON.parse(
+      readFileSync(join(__dirname, "story-attached-story.json"), "utf8"),
+    );
+    const stories = extractStories(mockData);
+    extractStoryCreateTime(mockData);
+    const story = /** @type {StoryPost} */ (
+      stories.find((s) => getStoryPostId(s) === "1414037856753198")
+    );
+    assert.ok(story, "Should find the story");
+
+    const html = await renderIndexHtml(story);
+    assert.ok(html.startsWith("<!DOCTYPE html>"));
+    assert.ok(html.includes("<title>蔡正元</title>"));
+    assert.ok(
+      html.includes('<div class="post-author">蔡正元</div>'),
+      "Should show the author",
+    );
+    assert.ok(
+      html.includes(
+        '<time datetime="2025-12-17T00:58:19.000Z">2025-12-17T00:58:19.000Z</time>',
+      ),
+      "Should show the date",
+    );
+    assert.ok(
+      html.includes('<p class="post-message">台灣的大法官不守法？！</p>'),
+    );
+
+    const quoted = html.slice(html.indexOf('<blockquote class="quoted">'));
+    assert.ok(quoted.includes('<div class="post-author">徐勝凌</div>'));
+    assert.ok(
+      quoted.includes(
+        '<a href="./0001_1284281187062002.jpg"><img src="./0001_1284281187062002.jpg" alt="May be an image of text that says &#39;',
+      ),
+      "The quoted story should show its photo with the caption as alt text",
+    );
+    assertOffline(html);
+  });
+
+  it("should escape the message and link its entities", async () => {
+    /** @type {StoryPost} */
+    const story = {
+      id: "html-story-id",
+      post_id: "html-post-id",
+      wwwURL: "https://www.facebook.com/test/posts/html-post-id",
+      actors: [{ __typename: "User", id: "123", name: "Tom & <Jerry>" }],
+      message: {
+        text: "<b>Hi</b> Jane Doe #cats",
+        ranges: [
+          {
+            offset: 10,
+            length: 8,
+            entity: {
+              __typename: "User",
+              id: "456",
+              url: "https://www.facebook.com/profile.php?id=456&sk=about",
+            },
+          },
+          { offset: 19, length: 5, entity: { __typename: "Hashtag" } },
+        ],
+      },
+      attachments: [],
+      attached_story: null,
+    };
+
+    const html = await renderIndexHtml(story);
+    assert.ok(html.includes("<title>Tom &amp; &lt;Jerry&gt;</title>"));
+    assert.ok(
+      html.includes(
+        '<p class="post-message">&lt;b&gt;Hi&lt;/b&gt; <a href="https://www.facebook.com/profile.php?id=456&amp;sk=about">Jane Doe</a> <a href="https://www.facebook.com/hashtag/cats">#cats</a></p>',
+      ),
+      "Should escape the text and link the mention and hashtag",
+    );
+    assert.ok(!html.includes('class="gallery"'), "No gallery without media");
+    assertOffline(html);
+  });
+
+  it("should embed videos with their poster and caption tracks", async () => {
+    const mockData = JSON.parse(
+      readFileSync(join(__dirname, "story-video.json"), "utf8"),
+    );
+    const storyVideo = extractStories(mockData).find(
+      (s) => getStoryPostId(s) === "1140140214990654",
+    );
+    assert.ok(storyVideo, "Should find the StoryVideo");
+
+    const html = await renderIndexHtml(storyVideo, { videoThumbnails: true });
+    assert.ok(html.includes('<h2 class="post-title">THIS IS MEDIA NAME</h2>'));
+    assert.ok(
+      html.includes(
+        '<video controls preload="metadata" src="./0001_1303605278204660.mp4" poster="./0001_1303605278204660.thumb.jpg">',
+      ),
+      "Should embed a video player with the poster",
+    );
+    assertOffline(html);
+  });
+});
+
+describe("link shares", () => {
+  /** @param {Record<string, unknown>} attachment */
+  const createLinkStory = (attachment) =>
+    createAttachmentStory("link", "Worth a read", attachment);
+
+  const ARTICLE = {
+    url: "https://l.facebook.com/l.php?u=https%3A%2F%2Fwww.example.com%2Fnews%2Farticle%3Fid%3D1&h=AT1",
+    source: { text: "EXAMPLE.COM" },
+    title_with_entities: { text: "Big [News] Today" },
+    description: { text: "What happened,\nand why it matters." },
+    target: { __typename: "ExternalUrl" },
+    media: {
+      __typename: "GenericAttachmentMedia",
+      large_share_image: {
+        uri: "https://external.xx.fbcdn.net/emg1/preview.jpg",
+      },
+    },
+  };
+
+  it("should count a link share as an attachment", () => {
+    const story = createLinkStory(ARTICLE);
+    assert.strictEqual(getAttachmentCount(story), 1);
+    assert.strictEqual(getDownloadCount(story), 4);
+  });
+
+  it("should download the preview image and render a link card", async () => {
+    const downloads = await collectDownloads(createLinkStory(ARTICLE));
+    assert.deepStrictEqual(
+      downloads.map((d) => d.filename.split("/").pop()),
+      ["0001_link_889fb615.jpg", "index.md", "index.html", "story.json"],
+    );
+    assert.strictEqual(
+      downloads[0].url,
+      "https://external.xx.fbcdn.net/emg1/preview.jpg",
+    );
+
+    const markdown = readDownload(downloads, "/index.md");
+    assert.ok(
+      markdown.includes(
+        [
+          "> [![Big \\[News\\] Today](./0001_link_889fb615.jpg)](https://www.example.com/news/article?id=1)",
+          ">",
+          "> **[Big \\[News\\] Today](https://www.example.com/news/article?id=1)**",
+          ">",
+          "> What happened, and why it matters.",
+          ">",
+          "> *example.com*",
+        ].join("\n"),
+      ),
+      "Markdown should render a card linking to the unwrapped URL",
+    );
+
+    const html = readDownload(downloads, "/index.html");
+    assert.ok(
+      html.includes(
+        '<a class="link-card" href="https://www.example.com/news/article?id=1"><img src="./0001_link_889fb615.jpg" alt="">',
+      ),
+      "HTML should render a card with the preview",
+    );
+    assert.ok(
+      html.includes('<span class="link-card-title">Big [News] Today</span>'),
+    );
+
+    const storyJson = JSON.parse(readDownload(downloads, "/story.json"));
+    assert.deepStrictEqual(storyJson.media, [
+      {
+        id: "link_889fb615",
+        type: "link",
+        url: "https://external.xx.fbcdn.net/emg1/preview.jpg",
+        filename: "0001_link_889fb615.jpg",
+        caption: null,
+        subtitles: [],
+        thumbnail: null,
+        link: {
+          url: "https://www.example.com/news/article?id=1",
+          title: "Big [News] Today",
+          description: "What happened,\nand why it matters.",
+          domain: "example.com",
+        },
+        event: null,
+      },
+    ]);
+  });
+
+  it("should give each link its own media ID", async () => {
+    const other = await collectDownloads(
+      createLinkStory({
+        ...ARTICLE,
+        web_link: { url: "https://example.org/" },
+      }),
+    );
+    const withTarget = await collectDownloads(
+      createLinkStory({
+        ...ARTICLE,
+        target: { __typename: "ExternalUrl", id: "4455", external_url: null },
+      }),
+    );
+    assert.strictEqual(
+      other[0].filename.split("/").pop(),
+      "0001_link_8f80af4d.jpg",
+    );
+    assert.strictEqual(
+      withTarget[0].filename.split("/").pop(),
+      "0001_4455.jpg",
+    );
+  });
+
+  it("should keep a PNG preview's extension and escape the Markdown link", async () => {
+    const downloads = await collectDownloads(
+      createLinkStory({
+        ...ARTICLE,
+        web_link: { url: "https://en.wikipedia.org/wiki/Foo_(bar) baz" },
+        title_with_entities: { text: "C:\\Temp [draft]" },
+        media: {
+          __typename: "GenericAttachmentMedia",
+          large_share_image: {
+            uri: "https://external.xx.fbcdn.net/emg1/safe_image.php?url=https%3A%2F%2Fexample.org%2Flogo.png&w=500",
+          },
+        },
+      }),
+    );
+    assert.ok(downloads[0].filename.endsWith(".png"));
+
+    const markdown = readDownload(downloads, "/index.md");
+    assert.ok(
+      markdown.includes(
+        "> **[C:\\\\Temp \\[draft\\]](https://en.wikipedia.org/wiki/Foo_%28bar%29%20baz)**",
+      ),
+      "Markdown should escape the title and encode the URL",
+    );
+  });
+
+  it("should render a link card without a preview image", async () => {
+    const downloads = await collectDownloads(
+      createLinkStory({
+        web_link: { url: "https://example.org/post" },
+        title_with_entities: { text: "No Picture" },
+        media: null,
+      }),
+    );
+    assert.deepStrictEqual(
+      downloads.map((d) => d.filename.split("/").pop()),
+      ["index.md", "index.html", "story.json"],
+    );
+    assert.ok(
+      readDownload(downloads, "/index.md").includes(
+        "> **[No Picture](https://example.org/post)**\n>\n> *example.org*",
+      ),
+    );
+    const storyJson = JSON.parse(readDownload(downloads, "/story.json"));
+    assert.strictEqual(storyJson.media[0].filename, null);
+    assert.strictEqual(storyJson.media[0].url, null);
+    assert.strictEqual(storyJson.media[0].link.url, "https://example.org/post");
+  });
+
+  it("should add link: null to photo and video media", async () => {
+    const mockData = JSON.parse(
+      readFileSync(join(__dirname, "story-video.json"), "utf8"),
+    );
+    const storyVideo = extractStories(mockData).find(
+      (s) => getStoryPostId(s) === "1140140214990654",
+    );
+    assert.ok(storyVideo, "Should find the StoryVideo");
+    const storyJson = JSON.parse(
+      readDownload(await collectDownloads(storyVideo), "/story.json"),
+    );
+    assert.strictEqual(storyJson.media[0].type, "video");
+    assert.strictEqual(storyJson.media[0].link, null);
+  });
+});
+
+describe("events", () => {
+  /** @param {Record<string, unknown>} attachment */
+  const createEventStory = (attachment) =>
+    createAttachmentStory("event", "See you there!", attachment);
+
+  const MEETUP = {
+    title_with_entities: { text: "Spring [Meetup]" },
+    description: { text: "Bring snacks,\nand friends." },
+    media: { __typename: "Photo", image: { uri: "https://example.com/x.jpg" } },
+    target: {
+      __typename: "Event",
+      id: "555",
+      name: "Spring [Meetup]",
+      url: "https://www.facebook.com/events/555/",
+      start_timestamp: 1714586400,
+      end_timestamp: 1714593600,
+      event_place: { name: "Town Hall, Main St" },
+      event_creator: { name: "Hiking Club" },
+      cover_media_renderer: {
+        cover_photo: {
+          photo: { image: { uri: "https://scontent.xx.fbcdn.net/cover.jpg" } },
+        },
+      },
+    },
+  };
+
+  it("should count an event as an attachment", () => {
+    const story = createEventStory(MEETUP);
+    assert.strictEqual(getAttachmentCount(story), 1);
+    assert.strictEqual(getDownloadCount(story), 4);
+  });
+
+  it("should download the cover photo and an .ics file and render an event card", async () => {
+    const downloads = await collectDownloads(createEventStory(MEETUP));
+    assert.deepStrictEqual(
+      downloads.map((d) => d.filename.split("/").pop()),
+      ["0001_555.jpg", "0001_555.ics", "index.md", "index.html", "story.json"],
+    );
+    assert.strictEqual(
+      downloads[0].url,
+      "https://scontent.xx.fbcdn.net/cover.jpg",
+      "Should prefer the event cover photo",
+    );
+    assert.ok(downloads[1].url.startsWith("data:text/calendar;"));
+    assert.match(
+      readDownload(downloads, ".ics"),
+      /DTSTART:20240501T180000Z\r\nDTEND:20240501T200000Z\r\nSUMMARY:Spring \[Meetup\]\r\nLOCATION:Town Hall\\, Main St\r\n/,
+    );
+
+    const markdown = readDownload(downloads, "/index.md");
+    assert.ok(
+      markdown.includes(
+        [
+          "> [![Spring \\[Meetup\\]](./0001_555.jpg)](https://www.facebook.com/events/555/)",
+          ">",
+          "> **Event: [Spring \\[Meetup\\]](https://www.facebook.com/events/555/)**",
+          ">",
+          "> **When:** 2024-05-01T18:00:00.000Z – 2024-05-01T20:00:00.000Z",
+          ">",
+          "> **Where:** Town Hall, Main St",
+          ">",
+          "> **Host:** Hiking Club",
+          ">",
+          "> Bring snacks, and friends.",
+          ">",
+          "> [Add to calendar](./0001_555.ics)",
+        ].join("\n"),
+      ),
+      "Markdown should render an event card",
+    );
+
+    const html = readDownload(downloads, "/index.html");
+    assert.ok(
+      html.includes(
+        '<div class="event-card"><img src="./0001_555.jpg" alt=""><div class="event-card-body"><a class="event-card-title" href="https://www.facebook.com/events/555/">Spring [Meetup]</a>',
+      ),
+      "HTML should render an event card with the cover photo",
+    );
+    assert.ok(html.includes('<a href="./0001_555.ics">Add to calendar</a>'));
+
+    const storyJson = JSON.parse(readDownload(downloads, "/story.json"));
+    assert.strictEqual(storyJson.media[0].type, "event");
+    assert.strictEqual(storyJson.media[0].filename, "0001_555.jpg");
+    assert.strictEqual(storyJson.media[0].link, null);
+    assert.deepStrictEqual(storyJson.media[0].event, {
+      url: "https://www.facebook.com/events/555/",
+      name: "Spring [Meetup]",
+      start_time: "2024-05-01T18:00:00.000Z",
+      end_time: "2024-05-01T20:00:00.000Z",
+      location: "Town Hall, Main St",
+      host: "Hiking Club",
+      description: "Bring snacks,\nand friends.",
+      calendar: "0001_555.ics",
+    });
+  });
+
+  it("should keep a PNG cover's extension and escape the Markdown link", async () => {
+    const downloads = await collectDownloads(
+      createEventStory({
+        ...MEETUP,
+        target: {
+          ...MEETUP.target,
+          name: "Open \\ Mic",
+          url: "https://www.facebook.com/events/555/?ref=(share)",
+          cover_media_renderer: {
+            cover_photo: {
+              photo: {
+                image: {
+                  uri: "https://scontent.xx.fbcdn.net/cover.png?stp=dst-png",
+                },
+              },
+            },
+          },
+        },
+      }),
+    );
+    assert.strictEqual(downloads[0].filename.split("/").pop(), "0001_555.png");
+    assert.ok(
+      readDownload(downloads, "/index.md").includes(
+        "> **Event: [Open \\\\ Mic](https://www.facebook.com/events/555/?ref=%28share%29)**",
+      ),
+      "Markdown should escape the name and encode the URL",
+    );
+  });
+
+  it("should render an event without a cover photo or start time", async () => {
+    const downloads = await collectDownloads(
+      createEventStory({
+        title_with_entities: { text: "Mystery Night" },
+        target: { __typename: "Event", id: "777" },
+      }),
+    );
+    assert.deepStrictEqual(
+      downloads.map((d) => d.filename.split("/").pop()),
+      ["index.md", "index.html", "story.json"],
+      "No .ics file can be created without a start time",
+    );
+    assert.ok(
+      readDownload(downloads, "/index.md").includes(
+        "> **Event: [Mystery Night](https://www.facebook.com/events/777/)**\n\n",
+      ),
+    );
+    const storyJson = JSON.parse(readDownload(downloads, "/story.json"));
+    assert.strictEqual(storyJson.media[0].filename, null);
+    assert.strictEqual(storyJson.media[0].event.calendar, null);
+    assert.strictEqual(storyJson.media[0].event.host, null);
+  });
+});
+
+describe("polls", () => {
+  /** @param {Record<string, unknown>} attachment */
+  const createPollStory = (attachment) =>
+    createAttachmentStory("poll", "Please vote by Friday", attachment);
+
+  const POLL = {
+    title_with_entities: { text: "Where should we meet?" },
+    url: "https://www.facebook.com/groups/1/posts/poll-post-id",
+    target: {
+      __typename: "Question",
+      id: "q1",
+      text: "Where should we meet?",
+      allows_multiple_choices: true,
+      is_closed: false,
+      options: {
+        nodes: [
+          {
+            id: "o1",
+            text_with_entities: { text: "Park | north gate" },
+            profile_voters: { count: 12 },
+          },
+          { id: "o2", text: "Library", vote_count: 3 },
+          { id: "o3", text: "Café" },
+        ],
+      },
+    },
+  };
+
+  it("should parse the question, options and votes", () => {
+    const story = createPollStory(POLL);
+    assert.deepStrictEqual(getStoryPoll(story), {
+      id: "q1",
+      question: "Where should we meet?",
+      options: [
+        { text: "Park | north gate", votes: 12 },
+        { text: "Library", votes: 3 },
+        { text: "Café", votes: null },
+      ],
+      multiple_choice: true,
+      closed: false,
+    });
+    assert.strictEqual(
+      getAttachmentCount(story),
+      0,
+      "A poll is not a media attachment",
+    );
+  });
+
+  it("should parse a poll nested under the attachment", () => {
+    const poll = getStoryPoll(
+      createPollStory({
+        poll: {
+          id: "q2",
+          options: {
+            edges: [{ node: { text: "Yes", voters: { count: 5 } } }, null],
+          },
+          is_closed: true,
+        },
+      }),
+    );
+    assert.deepStrictEqual(poll, {
+      id: "q2",
+      question: "Please vote by Friday",
+      options: [{ text: "Yes", votes: 5 }],
+      multiple_choice: null,
+      closed: true,
+    });
+  });
+
+  it("should render the poll as a table instead of a link card", async () => {
+    const downloads = await collectDownloads(createPollStory(POLL));
+    assert.deepStrictEqual(
+      downloads.map((d) => d.filename.split("/").pop()),
+      ["index.md", "index.html", "story.json"],
+    );
+
+    const markdown = readDownload(downloads, "/index.md");
+    assert.ok(
+      markdown.includes(
+        [
+          "**Poll:** Where should we meet?",
+          "",
+          "| Option | Votes |",
+          "| :----- | ----: |",
+          "| Park \\| north gate | 12 |",
+          "| Library | 3 |",
+          "| Café | ? |",
+          "",
+          "*Multiple answers · Open · 15 votes*",
+        ].join("\n"),
+      ),
+      "Markdown should render a poll table",
+    );
+    assert.ok(!markdown.includes("> **["), "Should not render a link card");
+
+    const html = readDownload(downloads, "/index.html");
+    assert.ok(
+      html.includes(
+        '<table class="poll">\n<caption>Where should we meet?</caption>',
+      ),
+    );
+    assert.ok(html.includes("<tr><td>Park | north gate</td><td>12</td></tr>"));
+
+    const storyJson = JSON.parse(readDownload(downloads, "/story.json"));
+    assert.strictEqual(storyJson.poll.question, "Where should we meet?");
+    assert.strictEqual(storyJson.poll.options.length, 3);
+    assert.deepStrictEqual(storyJson.media, []);
+  });
+
+  it("should set poll: null for other posts", async () => {
+    const story = createPollStory({});
+    assert.strictEqual(getStoryPoll(story), undefined);
+    const storyJson = JSON.parse(
+      readDownload(await collectDownloads(story), "/story.json"),
+    );
+    assert.strictEqual(storyJson.poll, null);
+  });
+});
+
+describe("story cards", () => {
+  const BUCKETS = {
+    data: {
+      bucket: {
+        __typename: "StoryBucket",
+        id: "100042",
+        story_bucket_owner: {
+          __typename: "User",
+          id: "100042",
+          name: "Jane Doe",
+        },
+        unified_stories: {
+          edges: [
+            {
+              node: {
+                __typename: "Story",
+                id: "UzpfSVNDOjE=",
+                creation_time: 1714586400,
+                attachments: [
+                  {
+                    media: {
+                      __typename: "Photo",
+                      id: "card-photo-1",
+                      image: {
+                        uri: "https://scontent.xx.fbcdn.net/card1.jpg",
+                        width: 1080,
+                        height: 1920,
+                      },
+                    },
+                  },
+                ],
+              },
+            },
+            {
+              node: {
+                __typename: "Story",
+                id: "UzpfSVNDOjI=",
+                creation_time: 1714590000,
+                attachments: [
+                  {
+                    media: {
+                      __typename: "Video",
+                      id: "card-video-2",
+                      browser_native_sd_url:
+                        "https://video.xx.fbcdn.net/sd.mp4",
+                      browser_native_hd_url:
+                        "https://video.xx.fbcdn.net/hd.mp4",
+                    },
+                  },
+                ],
+              },
+            },
+          ],
+        },
+      },
+    },
+  };
+
+  /** @returns {Story[]} */
+  function extractCards() {
+    const data = structuredClone(BUCKETS);
+    extractStoryCardBuckets(data);
+    return extractStories(data);
+  }
+
+  it("should extract each card of a bucket with its owner and time", () => {
+    const cards = extractCards();
+    assert.deepStrictEqual(
+      cards.map((s) => getStoryPostId(s)),
+      ["UzpfSVNDOjE=", "UzpfSVNDOjI="],
+    );
+    const [photo] = cards;
+    assert.strictEqual(getStoryActor(photo)?.name, "Jane Doe");
+    assert.strictEqual(
+      getCreateTime(photo)?.toISOString(),
+      "2024-05-01T18:00:00.000Z",
+    );
+    assert.strictEqual(
+      getStoryUrl(photo),
+      "https://www.facebook.com/stories/100042/UzpfSVNDOjE%3D/",
+    );
+    assert.strictEqual(getAttachmentCount(photo), 1);
+    assert.strictEqual(getDownloadCount(photo), 4);
+  });
+
+  it("should download the photo or the HD video of a card", async () => {
+    const [photo, video] = extractCards();
+
+    const photoDownloads = await collectDownloads(photo);
+    assert.deepStrictEqual(
+      photoDownloads.map((d) => d.filename),
+      [
+        "2024-05-01_Jane Doe_UzpfSVNDOjE=/0001_card-photo-1.jpg",
+        "2024-05-01_Jane Doe_UzpfSVNDOjE=/index.md",
+        "2024-05-01_Jane Doe_UzpfSVNDOjE=/index.html",
+        "2024-05-01_Jane Doe_UzpfSVNDOjE=/story.json",
+      ],
+    );
+    assert.strictEqual(
+      photoDownloads[0].url,
+      "https://scontent.xx.fbcdn.net/card1.jpg",
+    );
+
+    const videoDownloads = await collectDownloads(video);
+    assert.strictEqual(
+      videoDownloads[0].filename.split("/").pop(),
+      "0001_card-video-2.mp4",
+    );
+    assert.strictEqual(
+      videoDownloads[0].url,
+      "https://video.xx.fbcdn.net/hd.mp4",
+    );
+  });
+
+  it("should not treat feed posts as story cards", () => {
+    const stories = extractStories({
+      __typename: "Story",
+      id: "feed-story",
+      creation_time: 1714586400,
+      post_id: "123",
+      attachments: [{ media: { __typename: "Photo", id: "p1" } }],
+    });
+    assert.strictEqual(stories.length, 0);
+  });
+});
+
+describe("albums", () => {
+  it("should get the album ID from an album URL", () => {
+    assert.strictEqual(
+      getAlbumId("https://www.facebook.com/media/set/?set=a.1234&type=3"),
+      "1234",
+    );
+    assert.strictEqual(
+      getAlbumId("https://www.facebook.com/photo/?fbid=1&set=pcb.99"),
+      undefined,
+    );
+    assert.strictEqual(getAlbumId("not a url"), undefined);
+  });
+
+  it("should find an album's first photo in the album's own data", () => {
+    /**
+     * @param {string} id
+     * @param {string} set
+     */
+    const photo = (id, set) => ({
+      __typename: "Photo",
+      id,
+      url: `https://www.facebook.com/photo/?fbid=${id}&set=${set}`,
+    });
+    extractAlbumFirstMedia({
+      data: {
+        // A photo opened mid-album is not where the album starts
+        currMedia: photo("opened-photo", "a.5678"),
+        album: {
+          __typename: "Album",
+          id: "QWxidW06NTY3OA==",
+          url: "https://www.facebook.com/media/set/?set=a.5678&type=3",
+          media: {
+            edges: [
+              { node: photo("first-photo", "a.5678") },
+              { node: photo("second-photo", "a.5678") },
+            ],
+          },
+        },
+      },
+    });
+    // A later page of the album starts mid-album too
+    extractAlbumFirstMedia({
+      __typename: "Album",
+      id: "QWxidW06NTY3OA==",
+      url: "https://www.facebook.com/media/set/?set=a.5678&type=3",
+      media: { edges: [{ node: photo("third-photo", "a.5678") }] },
+    });
+    extractAlbumFirstMedia({ data: { node: photo("post-photo", "pcb.99") } });
+
+    assert.deepStrictEqual(getAlbumFirstMedia("5678"), {
+      __typename: "Photo",
+      id: "first-photo",
+    });
+    assert.strictEqual(getAlbumFirstMedia("99"), undefined);
+  });
+
+  it("should walk the whole mediaset and write an album index.md", async () => {
+    /** @param {number} n */
+    const photo = (n) => ({
+      __typename: "Photo",
+      id: `album-photo-${n}`,
+      created_time: 1705311000 + n * 60,
+      owner: { __typename: "User", id: "42", name: "Photo Crew" },
+      message: n === 2 ? { text: "Finish line\nat noon" } : null,
+      accessibility_caption: n === 1 ? "May be an image of runners" : undefined,
+      image: { uri: `https://example.com/a${n}.jpg`, width: 10, height: 10 },
+    });
+
+    /** @type {Array<{ nodeID: unknown, mediasetToken: unknown }>} */
+    const requests = [];
+    mockSendGraphqlRequestImpl = async ({ apiName, variables }) => {
+      assert.strictEqual(apiName, "CometPhotoRootContentQuery");
+      requests.push({
+        nodeID: variables.nodeID,
+        mediasetToken: variables.mediasetToken,
+      });
+      const n = Number(String(variables.nodeID).split("-").pop());
+      // The last photo points back to the first one
+      const next = n === 3 ? 1 : n + 1;
+      return [
+        {
+          data: {
+            currMedia: photo(n),
+            nextMediaAfterNodeId: {
+              __typename: "Photo",
+              id: `album-photo-${next}`,
+            },
+          },
+        },
+      ];
+    };
+
+    /** @type {StoryFile[]} */
+    const downloads = [];
+    try {
+      for await (const download of fetchAlbumFiles({
+        id: "1234",
+        url: "https://www.facebook.com/media/set/?set=a.1234",
+        title: "Marathon 2024",
+        first_media: { __typename: "Photo", id: "album-photo-1" },
+      })) {
+        downloads.push(download);
+      }
+    } finally {
+      mockSendGraphqlRequestImpl = async () => [];
+    }
+
+    assert.deepStrictEqual(
+      requests.map((r) => r.nodeID),
+      ["album-photo-1", "album-photo-2", "album-photo-3"],
+      "Should stop when the mediaset wraps around",
+    );
+    assert.ok(requests.every((r) => r.mediasetToken === "a.1234"));
+    assert.deepStrictEqual(
+      downloads.map((d) => d.filename),
+      [
+        "album_1234/0001_album-photo-1.jpg",
+        "album_1234/0002_album-photo-2.jpg",
+        "album_1234/0003_album-photo-3.jpg",
+        "album_1234/index.md",
+      ],
+    );
+    assert.ok(downloads.every((d) => d.storyId === "album:1234"));
+
+    const markdown = decodeURIComponent(
+      downloads[3].url.slice(downloads[3].url.indexOf(",") + 1),
+    );
+    assert.ok(markdown.startsWith("# Marathon 2024\n"));
+    assert.ok(markdown.includes("**Author:** Photo Crew"));
+    assert.ok(markdown.includes("**Items:** 3"));
+    assert.ok(
+      markdown.includes(
+        "![May be an image of runners](./0001_album-photo-1.jpg)\n\n*2024-01-15T09:31:00.000Z*",
+      ),
+    );
+    assert.ok(
+      markdown.includes(
+        "![0002_album-photo-2.jpg](./0002_album-photo-2.jpg)\n\nFinish line\nat noon\n\n*2024-01-15T09:32:00.000Z*",
+      ),
+      "Should render each photo's own description and date",
+    );
+  });
+});
+
+describe("media grid", () => {
+  const GRID = {
+    data: {
+      node: {
+        media: {
+          edges: [
+            {
+              node: {
+                __typename: "MediaGridItem",
+                url: "https://www.facebook.com/photo/?fbid=g1&set=g.1",
+                node: {
+                  __typename: "Photo",
+                  id: "g1",
+                  created_time: 1705311000,
+                  owner: { __typename: "User", id: "42", name: "Jane Doe" },
+                  creation_story: { post_id: "777" },
+                  image: {
+                    uri: "https://example.com/g1-thumb.jpg",
+                    width: 206,
+                    height: 206,
+                  },
+                },
+              },
+            },
+            {
+              node: {
+                __typename: "Video",
+                id: "g2",
+                permalink_url: "https://www.facebook.com/reel/g2",
+              },
+            },
+            { node: { __typename: "Album", id: "a1" } },
+          ],
+        },
+      },
+    },
+  };
+
+  it("should extract each photo and video of the grid", () => {
+    const items = extractMediaGridItems(structuredClone(GRID));
+    assert.deepStrictEqual(
+      items.map((s) => getStoryPostId(s)),
+      ["g1", "g2"],
+    );
+    const [photo, video] = items;
+    assert.strictEqual(
+      getStoryUrl(photo),
+      "https://www.facebook.com/photo/?fbid=g1&set=g.1",
+    );
+    assert.strictEqual(
+      getCreateTime(photo)?.toISOString(),
+      "2024-01-15T09:30:00.000Z",
+    );
+    assert.strictEqual(getStoryActor(photo)?.name, "Jane Doe");
+    assert.strictEqual(
+      getStorySourcePostUrl(photo),
+      "https://www.facebook.com/777",
+    );
+    assert.strictEqual(getAttachmentCount(photo), 1);
+
+    assert.strictEqual(getStoryUrl(video), "https://www.facebook.com/reel/g2");
+    assert.strictEqual(getCreateTime(video), undefined);
+    assert.strictEqual(getStorySourcePostUrl(video), undefined);
+  });
+
+  it("should download the full-size photo instead of the grid thumbnail", async () => {
+    const [photo] = extractMediaGridItems(structuredClone(GRID));
+
+    /** @type {Array<Record<string, unknown>>} */
+    const requests = [];
+    mockSendGraphqlRequestImpl = async ({ apiName, variables }) => {
+      requests.push({ apiName, ...variables });
+      return [
+        {
+          data: {
+            currMedia: {
+              __typename: "Photo",
+              id: "g1",
+              image: {
+                uri: "https://example.com/g1-full.jpg",
+                width: 2048,
+                height: 1536,
+              },
+            },
+          },
+        },
+      ];
+    };
+
+    /** @type {StoryFile[]} */
+    let downloads;
+    try {
+      downloads = await collectDownloads(photo);
+    } finally {
+      mockSendGraphqlRequestImpl = async () => [];
+    }
+
+    assert.deepStrictEqual(requests, [
+      {
+        apiName: "CometPhotoRootContentQuery",
+        nodeID: "g1",
+        mediasetToken: "pcb.777",
+      },
+    ]);
+    assert.deepStrictEqual(
+      downloads.map((d) => d.filename),
+      [
+        "2024-01-15_Jane Doe_g1/0001_g1.jpg",
+        "2024-01-15_Jane Doe_g1/index.md",
+        "2024-01-15_Jane Doe_g1/index.html",
+        "2024-01-15_Jane Doe_g1/story.json",
+      ],
+    );
+    assert.strictEqual(downloads[0].url, "https://example.com/g1-full.jpg");
+
+    const markdown = decodeURIComponent(
+      downloads[1].url.slice(downloads[1].url.indexOf(",") + 1),
+    );
+    assert.ok(markdown.includes("**Post:** https://www.facebook.com/777"));
+    const storyJson = JSON.parse(
+      decodeURIComponent(
+        downloads[3].url.slice(downloads[3].url.indexOf(",") + 1),
+      ),
+    );
+    assert.strictEqual(storyJson.post_url, "https://www.facebook.com/777");
+  });
+
+  it("should fall back to the grid media when the full-size fetch fails", async () => {
+    const [photo] = extractMediaGridItems(structuredClone(GRID));
+    mockSendGraphqlRequestImpl = async () => {
+      throw new Error("rate limited");
+    };
+    /** @type {StoryFile[]} */
+    let downloads;
+    try {
+      downloads = await collectDownloads(photo);
+    } finally {
+      mockSendGraphqlRequestImpl = async () => [];
+    }
+    assert.strictEqual(downloads[0].url, "https://example.com/g1-thumb.jpg");
+  });
+});
+
+describe("profile albums", () => {
+  const HEADER = {
+    data: {
+      user: {
+        profile_header_renderer: {
+          user: {
+            __typename: "User",
+            id: "42",
+            name: "Jane Doe",
+            profilePhoto: {
+              id: "pp1",
+              url: "https://www.facebook.com/photo/?fbid=pp1&set=a.111",
+            },
+            cover_photo: {
+              photo: {
+                id: "cp1",
+                url: "https://www.facebook.com/photo/?fbid=cp1&set=a.222",
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+
+  it("should extract the profile pictures and cover photos albums", () => {
+    const stories = extractProfileAlbums(HEADER);
+    assert.strictEqual(stories.length, 2);
+    const [profilePictures, coverPhotos] = stories;
+
+    assert.strictEqual(getStoryPostId(profilePictures), "111");
+    assert.strictEqual(
+      getStoryUrl(profilePictures),
+      "https://www.facebook.com/media/set/?set=a.111",
+    );
+    assert.strictEqual(
+      getStoryMessage(profilePictures),
+      "Jane Doe - Profile pictures",
+    );
+    assert.strictEqual(getStoryActor(profilePictures)?.name, "Jane Doe");
+    assert.strictEqual(getStoryPostId(coverPhotos), "222");
+    assert.strictEqual(getStoryMessage(coverPhotos), "Jane Doe - Cover photos");
+    assert.strictEqual(getDownloadCount(coverPhotos), 1);
+
+    assert.deepStrictEqual(
+      extractProfileAlbums({
+        id: "42",
+        name: "Jane Doe",
+        profilePhoto: { id: "pp1", url: "https://www.facebook.com/pp1" },
+      }),
+      [],
+      "Should ignore photos outside of an album",
+    );
+  });
+
+  it("should download the whole album with upload dates and captions", async () => {
+    const [profilePictures] = extractProfileAlbums(HEADER);
+
+    /** @type {unknown[]} */
+    const tokens = [];
+    mockSendGraphqlRequestImpl = async ({ variables }) => {
+      tokens.push(variables.mediasetToken);
+      const first = variables.nodeID === "pp1";
+      return [
+        {
+          data: {
+            currMedia: {
+              __typename: "Photo",
+              id: variables.nodeID,
+              created_time: first ? 1705311000 : 1605311000,
+              message: first ? { text: "New year, new me" } : null,
+              image: {
+                uri: `https://example.com/${variables.nodeID}.jpg`,
+                width: 960,
+                height: 960,
+              },
+            },
+            nextMediaAfterNodeId: {
+              __typename: "Photo",
+              id: first ? "pp0" : "pp1",
+            },
+          },
+        },
+      ];
+    };
+
+    /** @type {StoryFile[]} */
+    let downloads;
+    try {
+      downloads = await collectDownloads(profilePictures);
+    } finally {
+      mockSendGraphqlRequestImpl = async () => [];
+    }
+
+    assert.deepStrictEqual(tokens, ["a.111", "a.111"]);
+    assert.deepStrictEqual(
+      downloads.map((d) => d.filename),
+      [
+        "Jane Doe_album_111/0001_pp1.jpg",
+        "Jane Doe_album_111/0002_pp0.jpg",
+        "Jane Doe_album_111/index.md",
+      ],
+    );
+    assert.ok(downloads.every((d) => d.storyId === "album:111"));
+    assert.strictEqual(downloads[0].url, "https://example.com/pp1.jpg");
+
+    const markdown = decodeURIComponent(
+      downloads[2].url.slice(downloads[2].url.indexOf(",") + 1),
+    );
+    assert.ok(markdown.startsWith("# Jane Doe - Profile pictures\n"));
+    assert.ok(markdown.includes("**Author:** Jane Doe"));
+    assert.ok(
+      markdown.includes("New year, new me\n\n*2024-01-15T09:30:00.000Z*"),
+    );
+    assert.ok(markdown.includes("*2020-11-13T23:43:20.000Z*"));
+  });
+});
+
+describe("marketplace listings", () => {
+  const ITEM_PAGE = {
+    data: {
+      viewer: {
+        marketplace_product_details_page: {
+          target: {
+            __typename: "GroupCommerceProductItem",
+            id: "9001",
+            marketplace_listing_title: "Road bike, 56cm",
+            creation_time: 1705311000,
+            listing_price: {
+              amount: "350.00",
+              currency: "USD",
+              formatted_amount: "$350",
+            },
+            formatted_price: { text: "$350" },
+            location_text: { text: "Brooklyn, NY" },
+            redacted_description: { text: "Barely used.\nPickup only." },
+            attribute_data: [
+              { attribute_name: "Condition", label: "Used - Like New" },
+            ],
+            marketplace_listing_seller: {
+              __typename: "User",
+              id: "42",
+              name: "Jane Doe",
+            },
+            listing_photos: [
+              {
+                id: "mp1",
+                accessibility_caption: "May be an image of bicycle",
+                image: {
+                  uri: "https://example.com/mp1.jpg",
+                  width: 960,
+                  height: 720,
+                },
+              },
+              {
+                id: "mp2",
+                image: {
+                  uri: "https://example.com/mp2.jpg",
+                  width: 960,
+                  height: 720,
+                },
+              },
+            ],
+          },
+        },
+        // Search results have no listing photos
+        marketplace_search: {
+          feed_units: {
+            edges: [
+              {
+                node: {
+                  listing: {
+                    __typename: "GroupCommerceProductItem",
+                    id: "9002",
+                    marketplace_listing_title: "Helmet",
+                    primary_listing_photo: { id: "mp3" },
+                  },
+                },
+              },
+            ],
+          },
+        },
+      },
+    },
+  };
+
+  it("should extract a listing from a Marketplace item page", () => {
+    const stories = extractMarketplaceListings(ITEM_PAGE);
+    assert.strictEqual(stories.length, 1);
+    const [listing] = stories;
+
+    assert.strictEqual(getStoryPostId(listing), "9001");
+    assert.strictEqual(
+      getStoryUrl(listing),
+      "https://www.facebook.com/marketplace/item/9001/",
+    );
+    assert.strictEqual(getStoryActor(listing)?.name, "Jane Doe");
+    assert.strictEqual(getStoryMediaTitle(listing), "Road bike, 56cm");
+    assert.strictEqual(getStoryMessage(listing), "Barely used.\nPickup only.");
+    assert.strictEqual(getCreateTime(listing)?.getTime(), 1705311000 * 1000);
+    assert.strictEqual(getAttachmentCount(listing), 2);
+    assert.strictEqual(getDownloadCount(listing), 5);
+    assert.deepStrictEqual(getStoryListing(listing), {
+      title: "Road bike, 56cm",
+      price: "350.00",
+      currency: "USD",
+      formatted_price: "$350",
+      location: "Brooklyn, NY",
+      condition: "Used - Like New",
+      description: "Barely used.\nPickup only.",
+    });
+  });
+
+  it("should download the listing photos with an index.md of its details", async () => {
+    const [listing] = extractMarketplaceListings(ITEM_PAGE);
+
+    const downloads = await collectDownloads(listing);
+
+    assert.deepStrictEqual(
+      downloads.map((d) => d.filename),
+      [
+        "2024-01-15_Jane Doe_9001/0001_mp1.jpg",
+        "2024-01-15_Jane Doe_9001/0002_mp2.jpg",
+        "2024-01-15_Jane Doe_9001/index.md",
+        "2024-01-15_Jane Doe_9001/index.html",
+        "2024-01-15_Jane Doe_9001/story.json",
+      ],
+    );
+
+    /** @param {StoryFile} file */
+    const decode = (file) =>
+      decodeURIComponent(file.url.slice(file.url.indexOf(",") + 1));
+    const markdown = decode(downloads[2]);
+    assert.ok(markdown.includes("**Author:** Jane Doe"));
+    assert.ok(
+      markdown.includes(
+        "**Road bike, 56cm**\n\n**Price:** $350 (350.00 USD)\n\n**Condition:** Used - Like New\n\n**Location:** Brooklyn, NY\n\n---\n\nBarely used.\nPickup only.",
+      ),
+    );
+    assert.ok(
+      markdown.includes("![May be an image of bicycle](./0001_mp1.jpg)"),
+    );
+
+    assert.ok(
+      decode(downloads[3]).includes("<dt>Price</dt><dd>$350 (350.00 USD)</dd>"),
+    );
+
+    const json = JSON.parse(decode(downloads[4]));
+    assert.strictEqual(json.listing.condition, "Used - Like New");
+    assert.strictEqual(json.listing.currency, "USD");
+    assert.deepStrictEqual(
+      json.media.map((/** @type {{ id: string }} */ m) => m.id),
+      ["mp1", "mp2"],
+    );
+  });
+});
+
+describe("reshare chains", () => {
+  /**
+   * @param {string} id
+   * @param {string} author
+   * @param {StoryPost | null} attachedStory
+   * @returns {StoryPost}
+   */
+  const post = (id, author, attachedStory) => ({
+    id: `story-${id}`,
+    post_id: id,
+    wwwURL: `https://www.facebook.com/${author}/posts/${id}`,
+    actors: [{ __typename: "User", id: `user-${id}`, name: author }],
+    message: { text: `Message ${id}` },
+    attachments: attachedStory
+      ? []
+      : [
+          {
+            styles: {
+              attachment: {
+                media: /** @type {any} */ ({
+                  __typename: "Photo",
+                  id: `photo-${id}`,
+                  image: {
+                    uri: `https://example.com/${id}.jpg`,
+                    width: 100,
+                    height: 100,
+                  },
+                }),
+              },
+            },
+          },
+        ],
+    attached_story: attachedStory,
+  });
+
+  it("should follow shares of shares down to the original post", () => {
+    const original = post("1", "Original", null);
+    const reshare = post("3", "Third", post("2", "Second", original));
+
+    assert.deepStrictEqual(
+      getAttachedStories(reshare).map((s) => s.post_id),
+      ["2", "1"],
+    );
+    // 0 attachments + index.md + index.html + story.json + the original's photo
+    assert.strictEqual(getDownloadCount(reshare), 4);
+
+    const cyclic = post("4", "Cyclic", null);
+    cyclic.attached_story = post("5", "Loop", cyclic);
+    assert.deepStrictEqual(
+      getAttachedStories(cyclic).map((s) => s.post_id),
+      ["5"],
+      "Should stop at a story that was already visited",
+    );
+  });
+
+  it("should render every level as a nested quote", async () => {
+    const reshare = post(
+      "3",
+      "Third",
+      post("2", "Second", post("1", "Original", null)),
+    );
+
+    const downloads = await collectDownloads(reshare);
+    assert.deepStrictEqual(
+      downloads.map((d) => d.filename.split("/").pop()),
+      ["0001_photo-1.jpg", "index.md", "index.html", "story.json"],
+    );
+
+    /** @param {StoryFile} file */
+    const decode = (file) =>
+      decodeURIComponent(file.url.slice(file.url.indexOf(",") + 1));
+    const markdown = decode(downloads[1]);
+    assert.ok(
+      markdown.includes("> **URL:** https://www.facebook.com/Second/posts/2"),
+    );
+    assert.ok(markdown.includes("> **Author:** Second"));
+    assert.ok(
+      markdown.includes(
+        "> > **URL:** https://www.facebook.com/Original/posts/1",
+      ),
+    );
+    assert.ok(markdown.includes("> > **Author:** Original"));
+    assert.ok(markdown.includes("> > ![0001_photo-1.jpg](./0001_photo-1.jpg)"));
+
+    const html = decode(downloads[2]);
+    assert.strictEqual(html.split('<blockquote class="quoted">').length - 1, 2);
+
+    const json = JSON.parse(decode(downloads[3]));
+    assert.strictEqual(json.attached_story.post_id, "2");
+    assert.strictEqual(json.attached_story.attached_story.post_id, "1");
+    assert.strictEqual(
+      json.attached_story.attached_story.media[0].filename,
+      "0001_photo-1.jpg",
+    );
+    assert.strictEqual(json.attached_story.attached_story.attached_story, null);
+  });
+});
+
+describe("edit history", () => {
+  /** @type {StoryPost} */
+  const story = {
+    id: "edited-story-id",
+    post_id: "edited-post-id",
+    wwwURL: "https://www.facebook.com/jane/posts/edited-post-id",
+    actors: [{ __typename: "User", id: "1", name: "Jane Doe" }],
+    message: { text: "Meeting at 6pm, not 5pm" },
+    attachments: [],
+    attached_story: null,
+  };
+
+  it("should flag stories with an edit count", () => {
+    assert.strictEqual(isStoryEdited(story), false);
+    extractStoryEditCounts({
+      data: {
+        node: {
+          comet_sections: {
+            context_layout: {
+              story: { id: "edited-story-id", edit_history: { count: 2 } },
+            },
+          },
+        },
+      },
+    });
+    assert.strictEqual(isStoryEdited(story), true);
+  });
+
+  it("should write every version to history.md and story.json", async () => {
+    extractStoryEditCounts({
+      id: "edited-story-id",
+      edit_history: { count: 2 },
+    });
+
+    /** @type {Array<Record<string, unknown>>} */
+    const variables = [];
+    mockSendGraphqlRequestImpl = async (params) => {
+      assert.strictEqual(params.apiName, "CometEditHistoryDialogQuery");
+      variables.push(params.variables);
+      return [
+        {
+          data: {
+            node: {
+              edit_history: {
+                edges: [
+                  {
+                    node: {
+                      creation_time: 1705312000,
+                      message: { text: "Meeting at 6pm, not 5pm" },
+                    },
+                  },
+                  {
+                    node: {
+                      creation_time: 1705311000,
+                      message: { text: "Meeting at 5pm" },
+                    },
+                  },
+                  {
+                    node: {
+                      creation_time: 1705311500,
+                      message: { text: "Meeting at 6pm" },
+                    },
+                  },
+                ],
+              },
+            },
+          },
+        },
+      ];
+    };
+
+    /** @type {StoryFile[]} */
+    let downloads;
+    try {
+      downloads = await collectDownloads(story);
+    } finally {
+      mockSendGraphqlRequestImpl = async () => [];
+    }
+
+    assert.deepStrictEqual(variables, [{ storyID: "edited-story-id" }]);
+    assert.deepStrictEqual(
+      downloads.map((d) => d.filename.split("/").pop()),
+      ["history.md", "index.md", "index.html", "story.json"],
+    );
+
+    /** @param {StoryFile} file */
+    const decode = (file) =>
+      decodeURIComponent(file.url.slice(file.url.indexOf(",") + 1));
+    assert.strictEqual(
+      decode(downloads[0]),
+      [
+        "# Edit history",
+        "",
+        "---",
+        "",
+        "**Original** · 2024-01-15T09:30:00.000Z",
+        "",
+        "Meeting at 5pm",
+        "",
+        "---",
+        "",
+        "**Edit 1** · 2024-01-15T09:38:20.000Z",
+        "",
+        "Meeting at 6pm",
+        "",
+        "---",
+        "",
+        "**Current version** · 2024-01-15T09:46:40.000Z",
+        "",
+        "Meeting at 6pm, not 5pm",
+        "",
+      ].join("\n"),
+    );
+    assert.ok(
+      decode(downloads[1]).includes("**Edited:** [3 versions](./history.md)"),
+    );
+    assert.ok(
+      decode(downloads[2]).includes(
+        '<a href="./history.md">Edited (3 versions)</a>',
+      ),
+    );
+    assert.deepStrictEqual(JSON.parse(decode(downloads[3])).edit_history, [
+      { created_time: "2024-01-15T09:30:00.000Z", text: "Meeting at 5pm" },
+      { created_time: "2024-01-15T09:38:20.000Z", text: "Meeting at 6pm" },
+      {
+        created_time: "2024-01-15T09:46:40.000Z",
+        text: "Meeting at 6pm, not 5pm",
+      },
+    ]);
+  });
+
+  it("should say how to get an edit history Facebook has not loaded yet", async () => {
+    extractStoryEditCounts({
+      id: "edited-story-id",
+      edit_history: { count: 2 },
+    });
+    mockSendGraphqlRequestImpl = async () => {
+      throw Object.assign(
+        new Error("No doc_id available for API: CometEditHistoryDialogQuery"),
+        { unavailable: true },
+      );
+    };
+
+    const downloads = await collectDownloads(story);
+    assert.ok(
+      readDownload(downloads, "/index.md").includes(
+        "**Edited:** yes, Facebook had not loaded the edit history on the page yet. Open the post's edit history on Facebook, then download it again.",
+      ),
+    );
+    assert.ok(
+      readDownload(downloads, "/index.html").includes(
+        "Edited (open the post's edit history on Facebook, then download it again)",
+      ),
+    );
+  });
+
+  it("should say when the edit history could not be downloaded", async () => {
+    extractStoryEditCounts({
+      id: "edited-story-id",
+      edit_history: { count: 2 },
+    });
+    mockSendGraphqlRequestImpl = async () => {
+      throw new Error(
+        "No doc_id available for API: CometEditHistoryDialogQuery",
+      );
+    };
+
+    /** @type {StoryFile[]} */
+    let downloads;
+    try {
+      downloads = await collectDownloads(story);
+    } finally {
+      mockSendGraphqlRequestImpl = async () => [];
+    }
+
+    assert.deepStrictEqual(
+      downloads.map((d) => d.filename.split("/").pop()),
+      ["index.md", "index.html", "story.json"],
+    );
+    assert.ok(
+      decodeURIComponent(downloads[0].url).includes(
+        "**Edited:** yes, the edit history could not be downloaded",
+      ),
+    );
+  });
+});